@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+'use strict';
+
+const cli = require('../build/cli.js');
+
+cli(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,240 @@
+'use strict';
+const path = require('node:path');
+const fs = require('node:fs/promises');
+const {
+  createScanner
+} = require('./scanner');
+const {
+  parse
+} = require('./mrz-formats');
+const expandPaths = require('./lib/expandPaths');
+const {
+  MrzError,
+  InvalidInputError,
+  OcrError,
+  ParseError
+} = require('./errors');
+const METRICS = ['detected', 'read', 'valid', 'exact', 'characterErrorRate.raw', 'characterErrorRate.corrected', 'checkDigits', 'timing.mean', 'timing.p50', 'timing.p95'];
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+function share(count, total) {
+  return total ? round(count / total) : 0;
+}
+function levenshtein(a, b) {
+  let previous = Array.from({
+    length: b.length + 1
+  }, (value, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+function percentile(sorted, p) {
+  return sorted.length ? sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)] : 0;
+}
+async function readTruth(file) {
+  try {
+    const {
+      mrz
+    } = JSON.parse(await fs.readFile(path.join(path.dirname(file), `${path.basename(file, path.extname(file))}.json`), 'utf8'));
+    const lines = typeof mrz === 'string' ? mrz.trim().split(/\s*\n\s*/) : mrz;
+    return {
+      lines,
+      expected: parse(lines, {
+        autocorrect: false
+      })
+    };
+  } catch (e) {
+    return null;
+  }
+}
+function readLines(result) {
+  const raw = result.confidence.characters.map(line => line.map(character => character.symbol).join(''));
+  const corrected = raw.map(line => line.split(''));
+  for (const {
+    line,
+    column,
+    to
+  } of result.corrections) {
+    corrected[line][column] = to;
+  }
+  return {
+    raw,
+    corrected: corrected.map(line => line.join(''))
+  };
+}
+async function benchmark(options) {
+  const {
+    data,
+    modelPaths
+  } = options || {};
+  if (typeof data !== 'string' && !Array.isArray(data)) {
+    throw new InvalidInputError('data must list the images to benchmark', 'INVALID_OPTION');
+  }
+  const scanOptions = Object.assign({}, options.scan);
+  const workers = Number(options.workers) || 0;
+  const files = await expandPaths(Array.isArray(data) ? data : [data]);
+  const labelled = [];
+  const skipped = [];
+  for (const file of files) {
+    const truth = await readTruth(file);
+    if (truth) {
+      labelled.push({
+        file,
+        truth
+      });
+    } else {
+      skipped.push(file);
+    }
+  }
+  if (!labelled.length) {
+    throw new InvalidInputError(`no image with an mrz ground truth in ${String(data)}`, 'INVALID_DATASET');
+  }
+  const scanner = createScanner({
+    modelPaths: modelPaths || undefined,
+    workers
+  });
+  const reports = new Array(labelled.length);
+  const fieldMatches = {};
+  const fieldTotals = {};
+  let checkDigits = 0;
+  let validCheckDigits = 0;
+  try {
+    await scanner.load();
+    let next = 0;
+    const run = async () => {
+      while (next < labelled.length) {
+        const index = next++;
+        const {
+          file,
+          truth
+        } = labelled[index];
+        const {
+          expected
+        } = truth;
+        const text = truth.lines.join('\n');
+        let result = null;
+        let error = null;
+        let buffer = null;
+        let start = Date.now();
+        try {
+          buffer = await fs.readFile(file);
+          start = Date.now();
+          result = await scanner.scan(buffer, Object.assign({}, scanOptions, {
+            original: true,
+            errors: 'throw'
+          }));
+        } catch (e) {
+          error = e instanceof MrzError ? e : new MrzError(e.message, buffer ? 'UNKNOWN' : 'READ_FAILED', e);
+        }
+        const duration = Date.now() - start;
+        let rawDistance = text.length;
+        let distance = text.length;
+        if (result) {
+          const {
+            raw,
+            corrected
+          } = readLines(result);
+          rawDistance = levenshtein(raw.join('\n'), text);
+          distance = levenshtein(corrected.join('\n'), text);
+          for (const detail of result.details) {
+            if (/CheckDigit$/.test(detail.field)) {
+              checkDigits++;
+              if (detail.valid) validCheckDigits++;
+            }
+          }
+        }
+        for (const field of Object.keys(expected.fields)) {
+          fieldTotals[field] = (fieldTotals[field] || 0) + 1;
+          fieldMatches[field] = (fieldMatches[field] || 0) + Number(Boolean(result && result.format === expected.format && result.fields[field] === expected.fields[field]));
+        }
+        reports[index] = {
+          file,
+          ok: Boolean(result),
+          code: error ? error.code : null,
+          detected: Boolean(result) || error instanceof OcrError || error instanceof ParseError,
+          valid: Boolean(result && result.valid),
+          exact: distance === 0,
+          format: result ? result.format : null,
+          rawDistance,
+          distance,
+          characters: text.length,
+          duration
+        };
+      }
+    };
+    const runners = [];
+    for (let i = 0; i < Math.max(1, workers); i++) {
+      runners.push(run());
+    }
+    await Promise.all(runners);
+  } finally {
+    await scanner.destroy();
+  }
+  const count = predicate => reports.filter(predicate).length;
+  const sum = key => reports.reduce((total, report) => total + Number(report[key]), 0);
+  const durations = reports.map(report => report.duration).sort((a, b) => a - b);
+  const errors = {};
+  for (const {
+    code
+  } of reports) {
+    if (code) errors[code] = (errors[code] || 0) + 1;
+  }
+  const fields = {};
+  for (const field of Object.keys(fieldMatches)) {
+    fields[field] = share(fieldMatches[field], fieldTotals[field]);
+  }
+  return {
+    version: require('../package.json').version,
+    modelPaths: modelPaths || null,
+    scan: scanOptions,
+    images: reports.length,
+    skipped,
+    detected: share(count(report => report.detected), reports.length),
+    read: share(count(report => report.ok), reports.length),
+    valid: share(count(report => report.valid), reports.length),
+    exact: share(count(report => report.exact), reports.length),
+    characterErrorRate: {
+      raw: share(sum('rawDistance'), sum('characters')),
+      corrected: share(sum('distance'), sum('characters'))
+    },
+    checkDigits: checkDigits ? share(validCheckDigits, checkDigits) : null,
+    fields,
+    timing: {
+      mean: round(sum('duration') / reports.length),
+      p50: percentile(durations, 50),
+      p90: percentile(durations, 90),
+      p95: percentile(durations, 95),
+      p99: percentile(durations, 99),
+      max: durations[durations.length - 1]
+    },
+    errors,
+    files: reports
+  };
+}
+function get(report, metric) {
+  const value = metric.split('.').reduce((object, key) => object ? object[key] : undefined, report);
+  return typeof value === 'number' ? value : null;
+}
+function compareReports(report, baseline) {
+  const fields = Array.from(new Set(Object.keys(report.fields || {}).concat(Object.keys(baseline && baseline.fields || {}))));
+  return METRICS.concat(fields.map(field => `fields.${field}`)).map(metric => {
+    const value = get(report, metric);
+    const before = baseline ? get(baseline, metric) : null;
+    return {
+      metric,
+      value,
+      baseline: before,
+      delta: typeof value === 'number' && typeof before === 'number' ? round(value - before) : null
+    };
+  });
+}
+module.exports = {
+  benchmark,
+  compareReports
+};
\ No newline at end of file
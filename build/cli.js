@@ -0,0 +1,14 @@
+'use strict';
+
+const commands = {
+  train: () => require('./cli/train'),
+  generate: () => require('./cli/generate'),
+  benchmark: () => require('./cli/benchmark')
+};
+module.exports = function cli(argv, io) {
+  const command = commands[argv[0]];
+  if (command) {
+    return command()(argv.slice(1), io);
+  }
+  return require('./cli/scan')(argv, io);
+};
\ No newline at end of file
@@ -0,0 +1,180 @@
+'use strict';
+const path = require('node:path');
+const fs = require('node:fs/promises');
+const parseArgs = require('../lib/parseArgs');
+const {
+  benchmark,
+  compareReports
+} = require('../benchmark');
+const {
+  MrzError
+} = require('../errors');
+const DONE = 0;
+const FAILED = 1;
+const USAGE_ERROR = 2;
+const usage = `Usage: mrz-scan benchmark [options] <file|directory|glob>...
+
+Scans labelled images and measures the results against their ground truth: the "mrz" lines
+of the json file next to each image, as written by mrz-scan generate --kind documents.
+
+Options:
+  -m, --model-dir <dir>     directory holding ESC-v2.svm.descriptors and ESC-v2.svm.model
+      --scan <json>         scan options, e.g. '{"correct":false,"detection":{"minSurface":2000}}'
+  -w, --workers <n>         scan in n worker threads, timings then include the queue
+  -b, --baseline <report>   json report of a previous run to compare with
+  -o, --output <file>       also write the json report to file
+  -f, --format <format>     text (default) or json
+  -h, --help                show this help
+`;
+const spec = {
+  'model-dir': {
+    type: 'string',
+    alias: 'm'
+  },
+  scan: {
+    type: 'string'
+  },
+  workers: {
+    type: 'string',
+    alias: 'w'
+  },
+  baseline: {
+    type: 'string',
+    alias: 'b'
+  },
+  output: {
+    type: 'string',
+    alias: 'o'
+  },
+  format: {
+    type: 'string',
+    alias: 'f'
+  },
+  help: {
+    type: 'boolean',
+    alias: 'h'
+  }
+};
+function percent(value) {
+  return value === null || value === undefined ? '-' : `${(value * 100).toFixed(2)}%`;
+}
+function formatValue(metric, value) {
+  if (value === null || value === undefined) return '-';
+  return metric.startsWith('timing.') ? `${value} ms` : percent(value);
+}
+function formatDelta(metric, delta) {
+  if (delta === null || delta === undefined) return '';
+  const sign = delta > 0 ? '+' : '';
+  return metric.startsWith('timing.') ? `${sign}${delta} ms` : `${sign}${(delta * 100).toFixed(2)}`;
+}
+function formatReport(report, comparison) {
+  let text = `images       ${report.images}${report.skipped.length ? ` (${report.skipped.length} without ground truth skipped)` : ''}\n`;
+  const rows = comparison || compareReports(report);
+  text += `\n${'metric'.padEnd(34)}${'value'.padStart(10)}${comparison ? `${'baseline'.padStart(10)}${'delta'.padStart(10)}` : ''}\n`;
+  for (const {
+    metric,
+    value,
+    baseline,
+    delta
+  } of rows) {
+    text += `${metric.padEnd(34)}${formatValue(metric, value).padStart(10)}`;
+    if (comparison) {
+      text += `${formatValue(metric, baseline).padStart(10)}${formatDelta(metric, delta).padStart(10)}`;
+    }
+    text += '\n';
+  }
+  const {
+    p90,
+    p99,
+    max
+  } = report.timing;
+  text += `\ntiming       p90 ${p90} ms, p99 ${p99} ms, max ${max} ms\n`;
+  const codes = Object.keys(report.errors);
+  if (codes.length) {
+    text += `errors       ${codes.map(code => `${code} ${report.errors[code]}`).join(', ')}\n`;
+  }
+  return text;
+}
+module.exports = async function benchmarkCli(argv, io) {
+  const stdout = io ? io.stdout : process.stdout;
+  const stderr = io ? io.stderr : process.stderr;
+  let benchmarkOptions;
+  let format;
+  let baseline = null;
+  let output = null;
+  try {
+    const {
+      options,
+      positionals
+    } = parseArgs(argv, spec);
+    if (options.help) {
+      stdout.write(usage);
+      return DONE;
+    }
+    if (positionals.length === 0) {
+      throw new MrzError('no input file given', 'INVALID_ARGUMENT');
+    }
+    format = String(options.format || 'text');
+    if (!['text', 'json'].includes(format)) {
+      throw new MrzError(`unknown format ${format}, expected text or json`, 'INVALID_ARGUMENT');
+    }
+    let scan;
+    if (options.scan !== undefined) {
+      try {
+        scan = JSON.parse(String(options.scan));
+      } catch (e) {
+        throw new MrzError(`--scan expects a json object: ${e.message}`, 'INVALID_ARGUMENT');
+      }
+    }
+    if (options.baseline !== undefined) {
+      try {
+        baseline = JSON.parse(await fs.readFile(String(options.baseline), 'utf8'));
+      } catch (e) {
+        throw new MrzError(`could not read the baseline ${String(options.baseline)}: ${e.message}`, 'INVALID_ARGUMENT');
+      }
+    }
+    if (options.output !== undefined) {
+      output = String(options.output);
+    }
+    let modelPaths;
+    if (options['model-dir']) {
+      const modelDir = path.resolve(String(options['model-dir']));
+      modelPaths = {
+        descriptors: path.join(modelDir, 'ESC-v2.svm.descriptors'),
+        model: path.join(modelDir, 'ESC-v2.svm.model')
+      };
+    }
+    const workers = options.workers === undefined ? 0 : Number(options.workers);
+    if (String(options.workers).trim() === '' || !Number.isInteger(workers) || workers < 0) {
+      throw new MrzError(`--workers expects a non-negative integer, got ${String(options.workers)}`, 'INVALID_ARGUMENT');
+    }
+    benchmarkOptions = {
+      data: positionals,
+      scan,
+      modelPaths,
+      workers
+    };
+  } catch (e) {
+    stderr.write(`mrz-scan benchmark: ${e.message}\n\n${usage}`);
+    return USAGE_ERROR;
+  }
+  let report;
+  try {
+    report = await benchmark(benchmarkOptions);
+    if (output) {
+      await fs.writeFile(output, `${JSON.stringify(report, null, 2)}\n`);
+    }
+  } catch (e) {
+    stderr.write(`mrz-scan benchmark: ${e.message}\n`);
+    return FAILED;
+  }
+  const comparison = baseline ? compareReports(report, baseline) : null;
+  if (format === 'json') {
+    stdout.write(`${JSON.stringify(comparison ? Object.assign({}, report, {
+      comparison
+    }) : report, null, 2)}\n`);
+  } else {
+    stdout.write(formatReport(report, comparison));
+  }
+  return DONE;
+};
\ No newline at end of file
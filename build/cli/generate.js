@@ -0,0 +1,128 @@
+'use strict';
+
+const parseArgs = require('../lib/parseArgs');
+const {
+  generateDataset
+} = require('../synthetic');
+const {
+  MrzError
+} = require('../errors');
+const GENERATED = 0;
+const FAILED = 1;
+const USAGE_ERROR = 2;
+const usage = `Usage: mrz-scan generate [options] --output <dir>
+
+Renders random MRZs with valid check digits in OCR-B, through blur, noise, rotation, perspective, lighting
+and JPEG compression, and writes the images next to their json metadata.
+
+Options:
+  -o, --output <dir>      where to write the dataset
+  -k, --kind <kind>       characters (default): one labelled crop per character, to train a model
+                          documents: one data page per MRZ, to test the whole scan
+  -c, --count <n>         number of MRZs rendered, 100 by default
+      --formats <list>    comma separated TD1, TD2, TD3, all by default
+      --fonts <list>      comma separated fonts of fontData/12x12/mrz, ocrb by default
+      --seed <n>          seed of the random draws, 1 by default
+      --augment <json>    ranges of the augmentations, e.g. '{"rotation":[-5,5],"jpeg":null}'
+      --clean             no augmentation at all
+  -h, --help              show this help
+`;
+const spec = {
+  output: {
+    type: 'string',
+    alias: 'o'
+  },
+  kind: {
+    type: 'string',
+    alias: 'k'
+  },
+  count: {
+    type: 'string',
+    alias: 'c'
+  },
+  formats: {
+    type: 'string'
+  },
+  fonts: {
+    type: 'string'
+  },
+  seed: {
+    type: 'string'
+  },
+  augment: {
+    type: 'string'
+  },
+  clean: {
+    type: 'boolean'
+  },
+  help: {
+    type: 'boolean',
+    alias: 'h'
+  }
+};
+function parseInteger(name, value) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (String(value).trim() === '' || !Number.isInteger(number)) {
+    throw new MrzError(`--${name} expects an integer, got ${String(value)}`, 'INVALID_ARGUMENT');
+  }
+  return number;
+}
+function parseList(value) {
+  return value === undefined ? undefined : String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+module.exports = async function generateCli(argv, io) {
+  const stdout = io ? io.stdout : process.stdout;
+  const stderr = io ? io.stderr : process.stderr;
+  let generateOptions;
+  try {
+    const {
+      options,
+      positionals
+    } = parseArgs(argv, spec);
+    if (options.help) {
+      stdout.write(usage);
+      return GENERATED;
+    }
+    if (positionals.length) {
+      throw new MrzError(`unexpected argument ${positionals[0]}`, 'INVALID_ARGUMENT');
+    }
+    if (!options.output) {
+      throw new MrzError('--output is mandatory', 'INVALID_ARGUMENT');
+    }
+    if (options.clean && options.augment !== undefined) {
+      throw new MrzError('--clean and --augment are exclusive', 'INVALID_ARGUMENT');
+    }
+    let augment;
+    if (options.clean) {
+      augment = false;
+    } else if (options.augment !== undefined) {
+      try {
+        augment = JSON.parse(String(options.augment));
+      } catch (e) {
+        throw new MrzError(`--augment expects a json object: ${e.message}`, 'INVALID_ARGUMENT');
+      }
+    }
+    generateOptions = {
+      output: String(options.output),
+      kind: options.kind === undefined ? undefined : String(options.kind),
+      count: parseInteger('count', options.count),
+      formats: parseList(options.formats),
+      fonts: parseList(options.fonts),
+      seed: parseInteger('seed', options.seed),
+      augment
+    };
+  } catch (e) {
+    stderr.write(`mrz-scan generate: ${e.message}\n\n${usage}`);
+    return USAGE_ERROR;
+  }
+  let generated;
+  try {
+    generated = await generateDataset(generateOptions);
+  } catch (e) {
+    stderr.write(`mrz-scan generate: ${e.message}\n`);
+    return FAILED;
+  }
+  stdout.write(`${generated.files.length} images written to ${generated.directory}\n`);
+  return GENERATED;
+};
\ No newline at end of file
@@ -0,0 +1,303 @@
+'use strict';
+const path = require('node:path');
+const fs = require('node:fs/promises');
+const {
+  createScanner
+} = require('../scanner');
+const {
+  setModelPaths
+} = require('../svm');
+const parseArgs = require('../lib/parseArgs');
+const expandPaths = require('../lib/expandPaths');
+const {
+  MrzError
+} = require('../errors');
+const ALL_VALID = 0;
+const SOME_INVALID = 1;
+const USAGE_ERROR = 2;
+const usage = `Usage: mrz-scan [options] <file|directory|glob>...
+       mrz-scan train --help
+       mrz-scan generate --help
+       mrz-scan benchmark --help
+
+Scans images for a machine readable zone and prints what was read.
+Directories are walked recursively, quote globs to let mrz-scan expand them ("scans/**/*.jpg").
+
+Options:
+  -f, --format <format>   text (default), json, ndjson or csv
+  -o, --original          print every parsed field and detail instead of the summary
+  -m, --model-dir <dir>   directory holding ESC-v2.svm.descriptors and ESC-v2.svm.model
+      --method <method>   svm (default) or fingerprint, which needs no model files
+      --recognizer <file> module exporting the recognizer reading the characters instead
+  -w, --workers <n>       scan in n worker threads
+  -d, --debug <dir>       write the intermediate images of each file to <dir>/<file path>
+  -h, --help              show this help
+  -v, --version           show the version
+
+Exit codes: 0 every MRZ is valid, 1 a file is missing, a scan failed or an MRZ is invalid, 2 usage error.
+`;
+const spec = {
+  format: {
+    type: 'string',
+    alias: 'f'
+  },
+  original: {
+    type: 'boolean',
+    alias: 'o'
+  },
+  'model-dir': {
+    type: 'string',
+    alias: 'm'
+  },
+  method: {
+    type: 'string'
+  },
+  recognizer: {
+    type: 'string'
+  },
+  workers: {
+    type: 'string',
+    alias: 'w'
+  },
+  debug: {
+    type: 'string',
+    alias: 'd'
+  },
+  help: {
+    type: 'boolean',
+    alias: 'h'
+  },
+  version: {
+    type: 'boolean',
+    alias: 'v'
+  }
+};
+const formats = ['text', 'json', 'ndjson', 'csv'];
+const methods = ['svm', 'fingerprint'];
+const csvColumns = ['file', 'ok', 'valid', 'format', 'documentCode', 'issuingState', 'documentNumber', 'lastName', 'firstName', 'nationality', 'birthDate', 'sex', 'expirationDate', 'personalNumber', 'error'];
+function summarize(entry, original) {
+  const {
+    file,
+    ok,
+    result,
+    error
+  } = entry;
+  if (!ok || !result) {
+    return {
+      file,
+      ok,
+      valid: false,
+      error: error ? {
+        code: error.code,
+        message: error.message
+      } : null
+    };
+  }
+  if (original) {
+    return {
+      file,
+      ok,
+      result
+    };
+  }
+  const {
+    fields
+  } = result;
+  return {
+    file,
+    ok,
+    valid: result.valid,
+    format: result.format,
+    documentCode: fields.documentCode,
+    issuingState: fields.issuingState,
+    documentNumber: fields.documentNumber,
+    lastName: fields.lastName,
+    firstName: fields.firstName,
+    nationality: fields.nationality,
+    birthDate: fields.birthDate,
+    sex: fields.sex,
+    expirationDate: fields.expirationDate,
+    personalNumber: fields.personalNumber
+  };
+}
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? String(value.code) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+function formatText(entry, original) {
+  const {
+    file,
+    ok,
+    result,
+    error
+  } = entry;
+  if (!ok || !result) {
+    return `${file}  FAILED  ${error ? `${error.code}: ${error.message}` : ''}\n`;
+  }
+  let text = `${file}  ${result.valid ? 'VALID' : 'INVALID'}  ${result.format}\n`;
+  if (original) {
+    for (const detail of result.details) {
+      const mark = detail.valid ? ' ' : '!';
+      text += ` ${mark} ${detail.label.padEnd(30)} ${detail.value === null ? '' : detail.value}${detail.error ? `  (${detail.error})` : ''}\n`;
+    }
+    return text;
+  }
+  const summary = summarize(entry, false);
+  for (const column of csvColumns.slice(4, -1)) {
+    if (summary[column] !== null && summary[column] !== undefined) {
+      text += `  ${column.padEnd(16)} ${summary[column]}\n`;
+    }
+  }
+  return text;
+}
+function commonDirectory(files) {
+  const common = files.map(file => path.dirname(path.resolve(file)).split(path.sep)).reduce((prefix, segments) => {
+    let length = 0;
+    while (length < prefix.length && prefix[length] === segments[length]) length++;
+    return prefix.slice(0, length);
+  });
+  return common.join(path.sep) || path.sep;
+}
+function getDebugDirectories(files, dir) {
+  const root = commonDirectory(files);
+  const relatives = files.map(file => path.relative(root, path.resolve(file)));
+  const names = relatives.map(relative => relative.slice(0, relative.length - path.extname(relative).length));
+  return names.map((name, index) => {
+    const shared = names.indexOf(name) !== index || names.lastIndexOf(name) !== index;
+    return path.resolve(dir, shared ? relatives[index] : name);
+  });
+}
+module.exports = async function cli(argv, io) {
+  const stdout = io ? io.stdout : process.stdout;
+  const stderr = io ? io.stderr : process.stderr;
+  let options, positionals, files;
+  const missing = new Map();
+  try {
+    ({
+      options,
+      positionals
+    } = parseArgs(argv, spec));
+    if (options.help) {
+      stdout.write(usage);
+      return ALL_VALID;
+    }
+    if (options.version) {
+      stdout.write(`${require('../../package.json').version}\n`);
+      return ALL_VALID;
+    }
+    if (options.format !== undefined && !formats.includes(options.format)) {
+      throw new MrzError(`unknown format ${String(options.format)}, expected one of ${formats.join(', ')}`, 'INVALID_ARGUMENT');
+    }
+    if (options.method !== undefined && !methods.includes(options.method)) {
+      throw new MrzError(`unknown method ${String(options.method)}, expected one of ${methods.join(', ')}`, 'INVALID_ARGUMENT');
+    }
+    if (options.workers !== undefined) {
+      const workers = Number(options.workers);
+      if (String(options.workers).trim() === '' || !Number.isInteger(workers) || workers < 0) {
+        throw new MrzError(`--workers expects a non-negative integer, got ${String(options.workers)}`, 'INVALID_ARGUMENT');
+      }
+    }
+    if (positionals.length === 0) {
+      throw new MrzError('no input file given', 'INVALID_ARGUMENT');
+    }
+    const expanded = [];
+    for (const positional of positionals) {
+      try {
+        expanded.push(...(await expandPaths([positional])));
+      } catch (e) {
+        if (e.code !== 'FILE_NOT_FOUND') throw e;
+        missing.set(positional, e);
+        expanded.push(positional);
+      }
+    }
+    files = Array.from(new Set(expanded));
+    if (files.length === 0) {
+      throw new MrzError(`no file matches ${positionals.join(' ')}`, 'FILE_NOT_FOUND');
+    }
+  } catch (e) {
+    stderr.write(`mrz-scan: ${e.message}\n\n${usage}`);
+    return USAGE_ERROR;
+  }
+  const format = String(options.format || 'text');
+  const original = Boolean(options.original);
+  if (options['model-dir']) {
+    const modelDir = path.resolve(String(options['model-dir']));
+    setModelPaths({
+      descriptors: path.join(modelDir, 'ESC-v2.svm.descriptors'),
+      model: path.join(modelDir, 'ESC-v2.svm.model')
+    });
+  }
+  const workers = Number(options.workers) || 0;
+  const recognizer = options.recognizer ? path.resolve(String(options.recognizer)) : undefined;
+  const scanner = createScanner({
+    workers,
+    method: options.method,
+    recognizer
+  });
+  const entries = new Array(files.length);
+  const debugDirectories = options.debug ? getDebugDirectories(files, String(options.debug)) : [];
+  let printed = 0;
+  if (format === 'csv') {
+    stdout.write(`${csvColumns.join(',')}\n`);
+  }
+  const print = () => {
+    for (; printed < entries.length && entries[printed]; printed++) {
+      const entry = entries[printed];
+      if (format === 'text') {
+        stdout.write(formatText(entry, original));
+      } else if (format === 'ndjson') {
+        stdout.write(`${JSON.stringify(summarize(entry, original))}\n`);
+      } else if (format === 'csv') {
+        const summary = summarize(entry, false);
+        stdout.write(`${csvColumns.map(column => csvCell(summary[column])).join(',')}\n`);
+      }
+    }
+  };
+  let next = 0;
+  const run = async () => {
+    while (next < files.length) {
+      const index = next++;
+      const file = files[index];
+      try {
+        const error = missing.get(file);
+        if (error) throw error;
+        const buffer = await fs.readFile(file);
+        const scanOptions = {
+          original: true,
+          errors: 'throw'
+        };
+        if (options.debug) {
+          scanOptions.debug = debugDirectories[index];
+        }
+        const result = await scanner.scan(buffer, scanOptions);
+        entries[index] = {
+          file,
+          ok: true,
+          result
+        };
+      } catch (e) {
+        entries[index] = {
+          file,
+          ok: false,
+          error: e instanceof MrzError ? e : new MrzError(e.message, 'READ_FAILED', e)
+        };
+      }
+      print();
+    }
+  };
+  try {
+    const runners = [];
+    for (let i = 0; i < Math.max(1, workers); i++) {
+      runners.push(run());
+    }
+    await Promise.all(runners);
+  } finally {
+    await scanner.destroy();
+  }
+  if (format === 'json') {
+    stdout.write(`${JSON.stringify(entries.map(entry => summarize(entry, original)), null, 2)}\n`);
+  }
+  const allValid = entries.every(entry => entry.ok && entry.result && entry.result.valid);
+  return allValid ? ALL_VALID : SOME_INVALID;
+};
\ No newline at end of file
@@ -2,32 +2,252 @@ const ImageClass = require('image-js').Image;
 const getMrz = require('./getMrz');
 const mrzOcr = require('./internal/mrzOcr');
 const {
-  DateTime: luxon
-} = require('luxon');
-const parse = require('./mrz-relax');
+  addFingerprintVotes
+} = require('./fingerprint');
+const {
+  resolveRecognizer,
+  canFallBack,
+  createSvmRecognizer,
+  createFingerprintRecognizer
+} = require('./recognizers');
+const {
+  loadModel
+} = require('./svm');
+const roiOptions = require('./roiOptions');
+const {
+  parseLines,
+  formatFields,
+  validateParsed
+} = require('./parseMrzText');
+const {
+  resolveRules
+} = require('./validateDocument');
+const {
+  createDebugArtifacts,
+  writeDebugArtifacts
+} = require('./internal/debug');
+const {
+  resolveDetectionOptions
+} = require('./detectionOptions');
+const {
+  resolveReferenceDate
+} = require('./mrz-dates');
+const {
+  wrapError,
+  handleError,
+  MrzError,
+  InvalidInputError,
+  DetectionError,
+  OcrError,
+  ParseError
+} = require('./errors');
 const getOptions = value => typeof value === 'object' && !Array.isArray(value) && value !== null ? value : {};
-module.exports = async function detectAndParseMrz(buffer, options) {
+async function readCandidate(candidate, index, recognizer, options) {
+  let ocr;
   try {
-    const {
-      original
-    } = getOptions(options);
-    const mrz = await getMrz(await ImageClass.load(buffer));
-    const imageDataUrl = mrz.toDataURL();
+    const imageDataUrl = candidate.image.toDataURL();
     const toImage = await ImageClass.load(imageDataUrl);
-    var {
-      ocrResult
-    } = await mrzOcr(toImage);
-    //var { ocrResult } = await mrzOcr(toImage, options);
-    const parsed = parse(ocrResult);
-    const formattedResult = original ? parsed : {
-      number: parsed.fields.documentNumber,
-      validDate: luxon.fromFormat(parsed.fields.expirationDate, 'yyMMdd').toISODate(),
-      birthDate: luxon.fromFormat(parsed.fields.birthDate, 'yyMMdd').toISODate(),
-      name: parsed.fields.firstName.replace(/\s+/g, '').trim(),
-      surname: parsed.fields.lastName.replace(/\s+/g, '').trim()
+    ocr = await mrzOcr(toImage, {
+      topN: options.topN,
+      recognizer
+    });
+  } catch (e) {
+    throw wrapError(e, OcrError, 'OCR_FAILED');
+  }
+  const {
+    ocrResult,
+    confidence
+  } = ocr;
+  if (ocrResult.length === 0) {
+    throw new OcrError('no text line recognized in the mrz', 'NO_TEXT');
+  }
+  const read = characters => parseLines(ocrResult, {
+    characters,
+    correct: options.correct,
+    maxCorrections: options.maxCorrections
+  });
+  let parsed;
+  try {
+    parsed = read(confidence.characters);
+    const svm = options.recognizer === undefined && recognizer.name === 'svm';
+    if (!parsed.valid && svm && options.correct !== false) {
+      const voted = read(addFingerprintVotes(confidence.characters, ocr.rois));
+      if ((Number(voted.valid) - Number(parsed.valid) || countValidCheckDigits(voted) - countValidCheckDigits(parsed)) > 0) {
+        parsed = voted;
+      }
+    }
+  } catch (e) {
+    throw wrapError(e, ParseError, 'PARSE_FAILED');
+  }
+  return {
+    candidate,
+    index,
+    ocr,
+    parsed,
+    confidence
+  };
+}
+function errorStage(error) {
+  if (error instanceof ParseError) return 2;
+  if (error instanceof OcrError) return 1;
+  return 0;
+}
+function countValidCheckDigits(parsed) {
+  return parsed.details.filter(detail => /CheckDigit$/.test(detail.field) && detail.valid).length;
+}
+function compareReadings(a, b) {
+  return Number(a.parsed.valid) - Number(b.parsed.valid) || countValidCheckDigits(a.parsed) - countValidCheckDigits(b.parsed) || a.confidence.value - b.confidence.value;
+}
+async function scan(buffer, options, debug) {
+  if (!(buffer instanceof Uint8Array) || buffer.length === 0) {
+    throw new InvalidInputError('expected a non empty Buffer', 'INVALID_BUFFER');
+  }
+  const detection = resolveDetectionOptions(options.detection);
+  if (options.method !== undefined && options.method !== 'svm' && options.method !== 'fingerprint') {
+    throw new InvalidInputError(`method must be svm or fingerprint, got ${String(options.method)}`, 'INVALID_OPTION');
+  }
+  let recognizer = resolveRecognizer({
+    recognizer: options.recognizer,
+    method: options.method || roiOptions.method,
+    model: options.model
+  });
+  resolveReferenceDate(options.referenceDate);
+  if (options.rules !== undefined) {
+    resolveRules(options.rules);
+  }
+  let image;
+  try {
+    image = await ImageClass.load(buffer);
+  } catch (e) {
+    throw new InvalidInputError(`could not decode image: ${e.message}`, 'UNSUPPORTED_IMAGE', e);
+  }
+  if (debug) debug.stages.original = image;
+  let regions;
+  try {
+    regions = getMrz(image, Object.assign({}, detection, {
+      debug: debug && debug.stages
+    }));
+  } catch (e) {
+    throw wrapError(e, DetectionError, 'DETECTION_FAILED');
+  }
+  if (recognizer.name === 'svm' && options.recognizer === undefined && !options.model) {
+    try {
+      recognizer = createSvmRecognizer({
+        model: await loadModel()
+      });
+    } catch (e) {
+      if (!canFallBack(e, options)) throw e;
+      recognizer = createFingerprintRecognizer();
+    }
+  }
+  let best = null;
+  let error = null;
+  const keepError = e => {
+    if (!error || errorStage(e) > errorStage(error)) error = e;
+  };
+  let tried = 0;
+  for (const region of regions) {
+    for (const flipped of [false, true]) {
+      let candidate;
+      try {
+        candidate = region.crop(flipped);
+      } catch (e) {
+        keepError(wrapError(e, DetectionError, 'DETECTION_FAILED'));
+        break;
+      }
+      tried++;
+      try {
+        const reading = await readCandidate(candidate, region.index, recognizer, options);
+        if (!best || compareReadings(reading, best) > 0) {
+          best = reading;
+        }
+      } catch (e) {
+        keepError(e);
+      }
+      if (best && best.parsed.valid || !candidate.ambiguous) break;
+    }
+    if (best && best.parsed.valid) break;
+  }
+  if (!best) {
+    throw error || new DetectionError('no roi found');
+  }
+  const {
+    parsed,
+    confidence,
+    candidate,
+    index,
+    ocr
+  } = best;
+  if (debug) {
+    debug.stages.lineMask = ocr.mask;
+    debug.stages.lines = ocr.painted;
+    debug.characters = ocr.rois;
+  }
+  const validation = options.rules !== undefined ? validateParsed(parsed, {
+    rules: options.rules,
+    referenceDate: options.referenceDate
+  }) : undefined;
+  if (options.original) {
+    parsed.confidence = confidence;
+    parsed.geometry = candidate.geometry;
+    parsed.candidate = {
+      index,
+      flipped: candidate.flipped,
+      tried
+    };
+    parsed.recognizer = recognizer.name || 'custom';
+    if (validation) parsed.validation = validation;
+    return parsed;
+  }
+  const formatted = formatFields(parsed, {
+    referenceDate: options.referenceDate,
+    compact: options.compact
+  });
+  if (validation) formatted.validation = validation;
+  formatted.geometry = candidate.geometry;
+  return formatted;
+}
+async function exportDebug(debug, target) {
+  if (target === true) {
+    return debug;
+  }
+  try {
+    return {
+      directory: target,
+      files: await writeDebugArtifacts(target, debug)
     };
-    return formattedResult;
   } catch (e) {
-    console.log(e);
+    throw new MrzError(`could not write the debug images to ${target}: ${e.message}`, 'DEBUG_WRITE_FAILED', e);
+  }
+}
+module.exports = async function detectAndParseMrz(buffer, options) {
+  const opts = getOptions(options);
+  const target = opts.debug;
+  const debug = target ? createDebugArtifacts() : null;
+  try {
+    let result;
+    try {
+      result = await scan(buffer, opts, debug);
+    } catch (e) {
+      if (debug && target) {
+        const error = wrapError(e, MrzError, 'UNKNOWN');
+        try {
+          error.debug = await exportDebug(debug, target);
+        } catch (writeError) {
+          error.debug = debug;
+        }
+        throw error;
+      }
+      throw e;
+    }
+    if (debug && target) {
+      result.debug = await exportDebug(debug, target);
+    }
+    return opts.errors === 'result' ? {
+      ok: true,
+      result
+    } : result;
+  } catch (e) {
+    return handleError(e, opts.errors);
   }
-};
+};
\ No newline at end of file
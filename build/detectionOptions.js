@@ -0,0 +1,73 @@
+'use strict';
+
+const {
+  InvalidInputError
+} = require('./errors');
+const transforms = ['grey', 'gaussianFilter', 'blackHat', 'scharrFilter'];
+const defaults = {
+  resize: 500,
+  transform: transforms,
+  gaussianRadius: 1,
+  lineKernel: [9, 5],
+  blockKernel: [19, 19],
+  erodeIterations: 4,
+  dilateIterations: 8,
+  minSurface: 5000,
+  minRatio: 4,
+  maxRatio: 12,
+  maxCandidates: 3
+};
+function invalid(name, expected, value) {
+  return new InvalidInputError(`detection option ${name} must be ${expected}, got ${JSON.stringify(value) || String(value)}`, 'INVALID_OPTION');
+}
+function checkNumber(name, value, min, integer) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || integer && !Number.isInteger(value)) {
+    throw invalid(name, `${integer ? 'an integer' : 'a number'} >= ${min}`, value);
+  }
+  return value;
+}
+function checkKernel(name, value) {
+  if (!Array.isArray(value) || value.length !== 2 || !value.every(size => typeof size === 'number' && Number.isInteger(size) && size > 0)) {
+    throw invalid(name, 'a [number, number] pair of positive integers', value);
+  }
+  return [Number(value[0]), Number(value[1])];
+}
+function resolveDetectionOptions(options) {
+  if (options === undefined || options === null) {
+    return defaults;
+  }
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw invalid('object', 'an object', options);
+  }
+  for (const name of Object.keys(options)) {
+    if (!(name in defaults)) {
+      throw new InvalidInputError(`unknown detection option ${name}`, 'INVALID_OPTION');
+    }
+  }
+  const merged = Object.assign({}, defaults, options);
+  const transform = merged.transform;
+  if (!Array.isArray(transform) || !transform.includes('grey') || !transform.every(step => transforms.includes(step))) {
+    throw invalid('transform', `a list with 'grey' among ${transforms.join(', ')}`, transform);
+  }
+  const resolved = {
+    resize: checkNumber('resize', merged.resize, 1, true),
+    transform: transforms.filter(step => transform.includes(step)),
+    gaussianRadius: checkNumber('gaussianRadius', merged.gaussianRadius, 1, true),
+    lineKernel: checkKernel('lineKernel', merged.lineKernel),
+    blockKernel: checkKernel('blockKernel', merged.blockKernel),
+    erodeIterations: checkNumber('erodeIterations', merged.erodeIterations, 0, true),
+    dilateIterations: checkNumber('dilateIterations', merged.dilateIterations, 0, true),
+    minSurface: checkNumber('minSurface', merged.minSurface, 0, false),
+    minRatio: checkNumber('minRatio', merged.minRatio, 0, false),
+    maxRatio: checkNumber('maxRatio', merged.maxRatio, 0, false),
+    maxCandidates: checkNumber('maxCandidates', merged.maxCandidates, 1, true)
+  };
+  if (resolved.minRatio >= resolved.maxRatio) {
+    throw invalid('minRatio', `lower than maxRatio (${resolved.maxRatio})`, resolved.minRatio);
+  }
+  return resolved;
+}
+module.exports = {
+  defaults,
+  resolveDetectionOptions
+};
\ No newline at end of file
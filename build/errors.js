@@ -0,0 +1,117 @@
+'use strict';
+class MrzError extends Error {
+  constructor(message, code, cause) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    if (cause !== undefined) {
+      this.cause = cause;
+    }
+  }
+}
+class InvalidInputError extends MrzError {
+  constructor(message, code = 'INVALID_INPUT', cause) {
+    super(message, code, cause);
+  }
+}
+class DetectionError extends MrzError {
+  constructor(message, code = 'MRZ_NOT_FOUND', cause) {
+    super(message, code, cause);
+  }
+}
+class OcrError extends MrzError {
+  constructor(message, code = 'OCR_FAILED', cause) {
+    super(message, code, cause);
+  }
+}
+class ParseError extends MrzError {
+  constructor(message, code = 'PARSE_FAILED', cause) {
+    super(message, code, cause);
+  }
+}
+class ModelLoadError extends MrzError {
+  constructor(message, code = 'MODEL_LOAD_FAILED', cause) {
+    super(message, code, cause);
+  }
+}
+class AbortError extends MrzError {
+  constructor(message, code = 'ABORTED', cause) {
+    super(message, code, cause);
+  }
+}
+class TimeoutError extends MrzError {
+  constructor(message, code = 'TIMEOUT', cause) {
+    super(message, code, cause);
+  }
+}
+function wrapError(error, ErrorClass, code) {
+  if (error instanceof MrzError) {
+    return error;
+  }
+  const message = error instanceof Error ? error.message : String(error);
+  return new ErrorClass(message, code, error);
+}
+function handleError(e, mode) {
+  const error = wrapError(e, MrzError, 'UNKNOWN');
+  if (mode === 'throw') {
+    throw error;
+  }
+  if (mode === 'result') {
+    return {
+      ok: false,
+      error
+    };
+  }
+  console.log(error);
+}
+function serializeError(e) {
+  const error = wrapError(e, MrzError, 'UNKNOWN');
+  const data = {
+    name: error.name,
+    code: error.code,
+    message: error.message,
+    stack: error.stack
+  };
+  const {
+    debug
+  } = error;
+  if (debug && typeof debug === 'object' && typeof debug.directory === 'string') {
+    data.debug = debug;
+  }
+  return data;
+}
+function deserializeError(data) {
+  const classes = {
+    MrzError,
+    InvalidInputError,
+    DetectionError,
+    OcrError,
+    ParseError,
+    ModelLoadError,
+    AbortError,
+    TimeoutError
+  };
+  const ErrorClass = classes[data.name] || MrzError;
+  const error = new ErrorClass(data.message, data.code);
+  if (data.stack) {
+    error.stack = data.stack;
+  }
+  if (data.debug) {
+    error.debug = data.debug;
+  }
+  return error;
+}
+module.exports = {
+  wrapError,
+  handleError,
+  serializeError,
+  deserializeError,
+  MrzError,
+  InvalidInputError,
+  DetectionError,
+  OcrError,
+  ParseError,
+  ModelLoadError,
+  AbortError,
+  TimeoutError
+};
\ No newline at end of file
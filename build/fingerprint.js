@@ -0,0 +1,130 @@
+'use strict';
+const path = require('path');
+const fs = require('fs');
+const fingerprintOptions = require('./fingerprintOptions');
+const roiOptions = require('./roiOptions');
+const {
+  ModelLoadError
+} = require('./errors');
+const fonts = new Map();
+const BIT_COUNT = Array.from({
+  length: 256
+}, (value, byte) => {
+  let count = 0;
+  for (let bits = byte; bits; bits >>= 1) count += bits & 1;
+  return count;
+});
+function loadFont(name = fingerprintOptions.fontName) {
+  const cached = fonts.get(name);
+  if (cached) return cached;
+  const file = path.join(fingerprintOptions.baseDir, fingerprintOptions.category, `${path.basename(name)}.json`);
+  let font;
+  try {
+    font = JSON.parse(fs.readFileSync(file, 'utf8')).fingerprint.map(({
+      symbol,
+      fingerprints
+    }) => ({
+      label: symbol.charCodeAt(0),
+      fingerprints
+    }));
+  } catch (e) {
+    throw new ModelLoadError(`could not read the fingerprints of font ${name} from ${file}: ${e.message}`, 'FONT_LOAD_FAILED', e);
+  }
+  fonts.set(name, font);
+  return font;
+}
+function getSimilarity(a, b) {
+  let common = 0;
+  let total = 0;
+  for (let i = 0; i < a.length; i++) {
+    common += BIT_COUNT[a[i] & b[i]];
+    total += BIT_COUNT[a[i] | b[i]];
+  }
+  return total === 0 ? 0 : common / total;
+}
+function getFingerprint(image) {
+  const mask = image.grey({
+    allowGrey: true
+  }).mask({
+    invert: true,
+    algorithm: roiOptions.algorithm
+  });
+  let [minX, minY, maxX, maxY] = [mask.width, mask.height, -1, -1];
+  for (let y = 0; y < mask.height; y++) {
+    for (let x = 0; x < mask.width; x++) {
+      if (mask.getBitXY(x, y)) {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+      }
+    }
+  }
+  if (maxX < 0) {
+    return new Array(fingerprintOptions.width * fingerprintOptions.height / 8).fill(0);
+  }
+  const ink = mask.crop({
+    x: minX,
+    y: minY,
+    width: maxX - minX + 1,
+    height: maxY - minY + 1
+  });
+  return Array.from(ink.scale({
+    width: fingerprintOptions.width,
+    height: fingerprintOptions.height
+  }).data);
+}
+function predictFingerprints(fingerprints, options = {}) {
+  const {
+    topN = 3,
+    fontName
+  } = options;
+  const font = loadFont(fontName);
+  return fingerprints.map(fingerprint => {
+    const [best, ...others] = font.map(({
+      label,
+      fingerprints: references
+    }) => ({
+      label,
+      score: Math.max(...references.map(reference => getSimilarity(fingerprint, reference)))
+    })).sort((a, b) => b.score - a.score);
+    const alternatives = fingerprintOptions.ambiguity ? others.filter(({
+      score
+    }) => score >= fingerprintOptions.minSimilarity).slice(0, topN) : [];
+    return {
+      label: best.label,
+      confidence: best.score,
+      alternatives
+    };
+  });
+}
+function addFingerprintVotes(characters, rois) {
+  const read = rois.filter(roi => roi.kind !== 'filler');
+  const votes = predictFingerprints(read.map(roi => roi.fingerprint), {
+    topN: 0
+  });
+  const result = characters.map(line => line.slice());
+  read.forEach((roi, idx) => {
+    const symbol = String.fromCharCode(votes[idx].label);
+    const character = result[roi.line][roi.column];
+    if (symbol === character.symbol) return;
+    const previous = character.alternatives.find(alternative => alternative.symbol === symbol);
+    const score = Math.max(votes[idx].confidence, previous ? previous.score : 0);
+    result[roi.line][roi.column] = {
+      symbol: character.symbol,
+      confidence: character.confidence,
+      alternatives: character.alternatives.filter(alternative => alternative !== previous).concat({
+        symbol,
+        score
+      })
+    };
+  });
+  return result;
+}
+module.exports = {
+  addFingerprintVotes,
+  loadFont,
+  getSimilarity,
+  getFingerprint,
+  predictFingerprints
+};
\ No newline at end of file
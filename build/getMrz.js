@@ -4,59 +4,201 @@ const {
   Matrix
 } = require('ml-matrix');
 const {
+  identity,
+  inverse,
   rotateDEG,
   translate,
   transform,
   applyToPoint,
   applyToPoints
 } = require('transformation-matrix');
-const rectKernel = getRectKernel(9, 5);
-const sqKernel = getRectKernel(19, 19);
-function getMrz(image) {
+const {
+  DetectionError
+} = require('./errors');
+const {
+  resolveDetectionOptions
+} = require('./detectionOptions');
+const AMBIGUOUS_FLIP = 0.15;
+function getMrz(image, options = {}) {
+  const {
+    debug
+  } = options;
+  const detectionOptions = Object.assign({}, options);
+  delete detectionOptions.debug;
+  const config = resolveDetectionOptions(detectionOptions);
+  const keep = (stage, stageImage) => {
+    if (debug) debug[stage] = stageImage;
+  };
+  let crops = 0;
+  const getRegions = (source, sourceTransform, sourceOrientation) => {
+    const regions = findRegions(source, config, debug);
+    return regions.slice(0, config.maxCandidates).map((region, index) => {
+      const done = new Map();
+      const crop = flipped => {
+        const mrz = cropRegion(source, region, flipped);
+        keep(crops === 0 ? 'mrz' : `mrz-${crops}`, mrz.image);
+        crops++;
+        mrz.transform = transform(mrz.transform, sourceTransform);
+        mrz.orientation += sourceOrientation;
+        return {
+          image: mrz.image,
+          geometry: getGeometry(image, mrz),
+          flipped: Boolean(flipped),
+          ambiguous: mrz.ambiguous
+        };
+      };
+      return {
+        index,
+        crop: flipped => {
+          const key = Boolean(flipped);
+          if (!done.has(key)) {
+            try {
+              done.set(key, {
+                candidate: crop(key)
+              });
+            } catch (e) {
+              done.set(key, {
+                error: e
+              });
+            }
+          }
+          const {
+            candidate,
+            error
+          } = done.get(key) || {};
+          if (!candidate) throw error;
+          return candidate;
+        }
+      };
+    });
+  };
   try {
-    return internalGetMrz(image);
+    const regions = getRegions(image, identity(), 0);
+    const cropped = regions.some(region => {
+      try {
+        region.crop(false);
+        return true;
+      } catch (e) {
+        return false;
+      }
+    });
+    if (!cropped) {
+      throw new DetectionError('no region could be cropped');
+    }
+    return regions;
   } catch (e) {
-    return internalGetMrz(image.rotateLeft());
+    return getRegions(image.rotateLeft(), transform(translate(0, image.width), rotateDEG(-90)), 270);
   }
 }
-function internalGetMrz(image) {
+function getGeometry(image, {
+  crop,
+  transform: toCrop,
+  orientation,
+  skew
+}) {
+  const toSource = inverse(toCrop);
+  const corners = [{
+    x: crop.x,
+    y: crop.y
+  }, {
+    x: crop.x + crop.width,
+    y: crop.y
+  }, {
+    x: crop.x + crop.width,
+    y: crop.y + crop.height
+  }, {
+    x: crop.x,
+    y: crop.y + crop.height
+  }].map(corner => {
+    const {
+      x,
+      y
+    } = applyToPoint(toSource, corner);
+    return {
+      x: round(x),
+      y: round(y)
+    };
+  });
+  const xs = corners.map(corner => corner.x);
+  const ys = corners.map(corner => corner.y);
+  const minX = Math.max(0, Math.min(...xs));
+  const minY = Math.max(0, Math.min(...ys));
+  const maxX = Math.min(image.width, Math.max(...xs));
+  const maxY = Math.min(image.height, Math.max(...ys));
+  return {
+    quadrilateral: [corners[0], corners[1], corners[2], corners[3]],
+    boundingBox: {
+      x: minX,
+      y: minY,
+      width: round(maxX - minX),
+      height: round(maxY - minY)
+    },
+    skew: round(skew),
+    orientation: orientation % 360,
+    imageWidth: image.width,
+    imageHeight: image.height
+  };
+}
+function round(value) {
+  return Math.round(value * 100) / 100 || 0;
+}
+function findRegions(image, config, debug) {
+  const keep = (stage, stageImage) => {
+    if (debug) debug[stage] = stageImage;
+  };
+  const lineKernel = getRectKernel(...config.lineKernel);
+  const blockKernel = getRectKernel(...config.blockKernel);
+  const steps = config.transform;
   const original = image;
   const resized = image.resize({
-    width: 500
+    width: config.resize
   });
+  keep('resized', resized);
   const originalToTreatedRatio = original.width / resized.width;
   const grey = resized.grey();
-  const resizedGray = grey.gaussianFilter({
-    radius: 1
-  });
-  const blackHat = resizedGray.blackHat({
-    kernel: rectKernel
-  });
-  const scharrFilter = blackHat.scharrFilter({
-    direction: 'x',
-    bitDepth: 32
-  });
-  const abs = scharrFilter.abs();
-  const rgba8 = abs.rgba8().grey();
+  keep('grey', grey);
+  const resizedGray = steps.includes('gaussianFilter') ? grey.gaussianFilter({
+    radius: config.gaussianRadius
+  }) : grey;
+  keep('gaussian', resizedGray);
+  const blackHat = steps.includes('blackHat') ? resizedGray.blackHat({
+    kernel: lineKernel
+  }) : resizedGray;
+  keep('blackHat', blackHat);
+  let rgba8 = blackHat;
+  if (steps.includes('scharrFilter')) {
+    const scharrFilter = blackHat.scharrFilter({
+      direction: 'x',
+      bitDepth: 32
+    });
+    const abs = scharrFilter.abs();
+    rgba8 = abs.rgba8().grey();
+  }
+  keep('scharr', rgba8);
   const closeRect = rgba8.close({
-    kernel: rectKernel
+    kernel: lineKernel
   });
+  keep('closed', closeRect);
   const mask = closeRect.mask({
     algorithm: 'otsu'
   });
+  keep('mask', mask);
   const closeKernel = mask.close({
-    kernel: sqKernel
+    kernel: blockKernel
   });
+  keep('maskClosed', closeKernel);
   const erode = closeKernel.erode({
-    iterations: 4
+    iterations: config.erodeIterations
   });
+  keep('eroded', erode);
   const dilate = erode.dilate({
-    iterations: 8
+    iterations: config.dilateIterations
   });
+  keep('dilated', dilate);
   const roiManager = resized.getRoiManager();
   roiManager.fromMask(dilate);
   let rois = roiManager.getRois({
-    minSurface: 5000
+    minSurface: config.minSurface
   });
   let masks = rois.map(roi => roi.getMask());
   rois = rois.map((roi, idx) => {
@@ -88,16 +230,42 @@ function internalGetMrz(image) {
       roi: roi
     };
   });
-  rois = rois.filter(roi => checkRatio(roi.meta.ratio));
+  rois = rois.filter(roi => checkRatio(roi.meta.ratio, config));
   masks = rois.map(roi => roi.roi.getMask());
+  if (debug) {
+    const painted = roiManager.paint({
+      minSurface: config.minSurface,
+      positive: true,
+      negative: false
+    });
+    for (const {
+      roi
+    } of rois) {
+      painted.paintPolyline(roi.getMask().minimalBoundingRectangle().map(([x, y]) => [x + roi.minX, y + roi.minY]), {
+        color: [255, 0, 0],
+        closed: true
+      });
+    }
+    keep('rois', painted);
+  }
   if (rois.length === 0) {
-    throw new Error('no roi found');
+    throw new DetectionError('no roi found');
   }
   if (rois.length > 1) {
     rois.sort((a, b) => b.roi.surface - a.roi.surface);
   }
+  return rois.map(mrzRoi => ({
+    mrzRoi,
+    originalToTreatedRatio
+  }));
+}
+function cropRegion(original, {
+  mrzRoi,
+  originalToTreatedRatio
+}, flipped) {
   let toCrop = original;
-  const mrzRoi = rois[0];
+  let toCropTransform = identity();
+  let orientation = 0;
   let angle = mrzRoi.meta.angle;
   let regionTransform;
   if (Math.abs(angle) > 45) {
@@ -105,11 +273,14 @@ function internalGetMrz(image) {
       toCrop = toCrop.rotateRight();
       angle += 90;
       regionTransform = transform(translate(toCrop.width, 0), rotateDEG(90));
+      orientation = 90;
     } else {
       toCrop = toCrop.rotateLeft();
       angle -= 90;
       regionTransform = transform(translate(0, toCrop.height), rotateDEG(-90));
+      orientation = 270;
     }
+    toCropTransform = regionTransform;
   }
   let mrzCropOptions;
   if (Math.abs(angle) < 1) {
@@ -124,8 +295,13 @@ function internalGetMrz(image) {
       const tmp = mrzCropOptions.width;
       mrzCropOptions.width = mrzCropOptions.height;
       mrzCropOptions.height = tmp;
-      mrzCropOptions.x = rotated.x;
-      mrzCropOptions.y = rotated.y - mrzCropOptions.height;
+      if (orientation === 90) {
+        mrzCropOptions.x = rotated.x - mrzCropOptions.width;
+        mrzCropOptions.y = rotated.y;
+      } else {
+        mrzCropOptions.x = rotated.x;
+        mrzCropOptions.y = rotated.y - mrzCropOptions.height;
+      }
     }
   } else {
     let hull = mrzRoi.roi.mask.monotoneChainConvexHull().map(([x, y]) => ({
@@ -164,23 +340,39 @@ function internalGetMrz(image) {
       height: maxY - minY
     };
     toCrop = afterRotate;
+    toCropTransform = transform(transformation, toCropTransform);
   }
-  if (mrzCropOptions.y < toCrop.height / 2) {
+  const center = mrzCropOptions.y + mrzCropOptions.height / 2;
+  const ambiguous = Math.abs(center - toCrop.height / 2) < toCrop.height * AMBIGUOUS_FLIP;
+  const upsideDown = mrzCropOptions.y < toCrop.height / 2;
+  if (upsideDown !== Boolean(flipped)) {
     toCrop = toCrop.rotate(180);
     const newXY = applyToPoint(getRotationAround(toCrop, 180), mrzCropOptions);
     mrzCropOptions.x = newXY.x - mrzCropOptions.width;
     mrzCropOptions.y = newXY.y - mrzCropOptions.height;
+    toCropTransform = transform(getRotationAround(toCrop, 180), toCropTransform);
+    orientation += 180;
   }
   const cropped = toCrop.crop(mrzCropOptions);
-  return cropped;
+  return {
+    image: cropped,
+    crop: mrzCropOptions,
+    transform: toCropTransform,
+    orientation,
+    skew: angle,
+    ambiguous
+  };
 }
 function getRectKernel(w, h) {
   const arr = new Array(w);
   arr.fill(new Array(h).fill(1));
   return arr;
 }
-function checkRatio(ratio) {
-  return ratio > 4 && ratio < 12;
+function checkRatio(ratio, {
+  minRatio,
+  maxRatio
+}) {
+  return ratio > minRatio && ratio < maxRatio;
 }
 function getDistance(p1, p2) {
   const dv = getDiffVector(p1, p2);
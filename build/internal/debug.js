@@ -0,0 +1,46 @@
+'use strict';
+const path = require('node:path');
+const {
+  writeImages
+} = require('../util/readWrite');
+function createDebugArtifacts() {
+  return {
+    stages: {},
+    characters: []
+  };
+}
+async function writeDebugArtifacts(directory, artifacts) {
+  const entries = Object.keys(artifacts.stages).map((stage, index) => ({
+    image: artifacts.stages[stage],
+    filePath: path.join(directory, `${String(index).padStart(2, '0')}-${stage}.png`),
+    stage
+  }));
+  for (const {
+    image,
+    line,
+    column,
+    kind,
+    predicted,
+    confidence,
+    alternatives
+  } of artifacts.characters) {
+    if (kind === 'filler') continue;
+    entries.push({
+      image,
+      filePath: path.join(directory, 'characters', `${line}-${String(column).padStart(2, '0')}.png`),
+      label: predicted.charCodeAt(0),
+      predicted,
+      confidence,
+      alternatives,
+      kind,
+      line,
+      column
+    });
+  }
+  await writeImages(entries);
+  return entries.map(entry => entry.filePath);
+}
+module.exports = {
+  createDebugArtifacts,
+  writeDebugArtifacts
+};
\ No newline at end of file
@@ -1,9 +1,106 @@
 const ImageClass = require('image-js').Image;
 const getLinesFromImage = require('../lib/getLinesFromImage.js');
 const {
-  predictImages
-} = require('../svm');
-async function mrzOcr(image) {
+  getFingerprint
+} = require('../fingerprint');
+const {
+  resolveRecognizer,
+  checkReadings,
+  checkLineReadings
+} = require('../recognizers');
+const {
+  fitLines
+} = require('../lib/fixedPitch');
+function aggregate(characters) {
+  if (characters.length === 0) {
+    return {
+      value: 0,
+      min: 0
+    };
+  }
+  let sum = 0;
+  let min = Infinity;
+  for (const {
+    confidence
+  } of characters) {
+    sum += confidence;
+    min = Math.min(min, confidence);
+  }
+  return {
+    value: sum / characters.length,
+    min
+  };
+}
+function cropCell(image, cell) {
+  const x = Math.min(Math.max(0, cell.minX), image.width - 1);
+  const y = Math.min(Math.max(0, cell.minY), image.height - 1);
+  return image.crop({
+    x,
+    y,
+    width: Math.max(1, Math.min(cell.width, image.width - x)),
+    height: Math.max(1, Math.min(cell.height, image.height - y))
+  });
+}
+function cropLine(image, cells) {
+  const margin = Math.round(Math.max(...cells.map(cell => cell.width)) / 2);
+  const minX = Math.min(...cells.map(cell => cell.minX)) - margin;
+  const minY = Math.min(...cells.map(cell => cell.minY)) - margin;
+  const maxX = Math.max(...cells.map(cell => cell.minX + cell.width)) + margin;
+  const maxY = Math.max(...cells.map(cell => cell.minY + cell.height)) + margin;
+  return cropCell(image, {
+    minX,
+    minY,
+    width: maxX - minX,
+    height: maxY - minY,
+    kind: 'merged'
+  });
+}
+async function recognize(recognizer, image, cells, rois, topN) {
+  if (recognizer.input === 'lines') {
+    const images = cells.map(line => cropLine(image, line));
+    const lengths = cells.map(line => line.length);
+    const characters = checkLineReadings(recognizer, await recognizer.recognize(images, {
+      topN,
+      lengths
+    }), cells.length);
+    for (const roi of rois) {
+      const reading = characters[roi.line][roi.column];
+      if (reading) Object.assign(roi, {
+        predicted: reading.symbol,
+        confidence: reading.confidence,
+        alternatives: reading.alternatives
+      });
+    }
+    return characters;
+  }
+  const toRead = rois.filter(roi => roi.kind !== 'filler');
+  if (toRead.length > 0) {
+    const readings = await recognizer.recognize(toRead.map(roi => roi.image), {
+      topN,
+      rois: toRead
+    });
+    checkReadings(recognizer, readings, toRead.length).forEach((reading, idx) => {
+      Object.assign(toRead[idx], {
+        predicted: reading.symbol,
+        confidence: reading.confidence,
+        alternatives: reading.alternatives
+      });
+    });
+  }
+  for (const roi of rois) {
+    if (roi.kind === 'filler') roi.predicted = '<';
+  }
+  return cells.map((line, i) => rois.filter(roi => roi.line === i).map(({
+    predicted,
+    confidence,
+    alternatives
+  }) => ({
+    symbol: predicted,
+    confidence,
+    alternatives
+  })));
+}
+async function mrzOcr(image, options = {}) {
   let rois;
   let {
     lines,
@@ -12,50 +109,50 @@ async function mrzOcr(image) {
     averageSurface
   } = getLinesFromImage(image);
   lines = lines.filter(line => line.rois.length > 5);
-  if (lines.length > 3) {
-    lines = lines.slice(lines.length - 3, lines.length);
-  }
+  const cells = fitLines(lines);
   let ocrResult = [];
   rois = [];
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    for (let j = 0; j < line.rois.length; j++) {
-      const roi = line.rois[j];
+  for (let i = 0; i < cells.length; i++) {
+    const line = cells[i];
+    for (let j = 0; j < line.length; j++) {
+      const cell = line[j];
+      const crop = cropCell(image, cell);
       rois.push({
-        image: image.crop({
-          x: roi.minX,
-          y: roi.minY,
-          width: roi.width,
-          height: roi.height
-        }),
-        width: roi.width,
-        height: roi.height,
+        image: crop,
+        width: cell.width,
+        height: cell.height,
         line: i,
-        column: j
+        column: j,
+        kind: cell.kind,
+        fingerprint: cell.roi ? cell.roi.data : getFingerprint(crop),
+        predicted: '',
+        confidence: 0,
+        alternatives: []
       });
     }
   }
-  const imagesToPredict = rois.map(roi => roi.image);
-  let predicted = await predictImages(imagesToPredict);
-  //let predicted = await predictImages(imagesToPredict, options && options.modelPaths);
-  predicted = predicted.map(p => String.fromCharCode(p));
-  predicted.forEach((p, idx) => {
-    rois[idx].predicted = p;
+  const recognizer = options.recognizer || resolveRecognizer({
+    method: options.method,
+    model: options.model
   });
-  let count = 0;
-  for (let line of lines) {
-    let lineText = '';
-    for (let i = 0; i < line.rois.length; i++) {
-      lineText += predicted[count++];
-    }
-    ocrResult.push(lineText);
+  const lineCharacters = await recognize(recognizer, image, cells, rois, options.topN === undefined ? 3 : options.topN);
+  for (const line of lineCharacters) {
+    ocrResult.push(line.map(character => character.symbol).join(''));
   }
+  const overall = aggregate([].concat(...lineCharacters));
+  const confidence = {
+    value: overall.value,
+    min: overall.min,
+    lines: lineCharacters.map(aggregate),
+    characters: lineCharacters
+  };
   return {
     rois,
     ocrResult,
+    confidence,
     mask,
     painted,
     averageSurface
   };
 }
-module.exports = mrzOcr;
+module.exports = mrzOcr;
\ No newline at end of file
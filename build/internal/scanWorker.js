@@ -0,0 +1,43 @@
+'use strict';
+const {
+  parentPort,
+  workerData
+} = require('worker_threads');
+const {
+  MrzScanner
+} = require('../scanner');
+const {
+  serializeError
+} = require('../errors');
+const scanner = new MrzScanner(workerData.options);
+parentPort.on('message', async ({
+  id,
+  type,
+  buffer,
+  options
+}) => {
+  try {
+    let result;
+    if (type === 'load') {
+      await scanner.load();
+    } else {
+      result = await scanner.scan(Buffer.from(buffer), Object.assign({}, options, {
+        errors: 'throw'
+      }));
+    }
+    parentPort.postMessage({
+      id,
+      ok: true,
+      result
+    });
+  } catch (e) {
+    parentPort.postMessage({
+      id,
+      ok: false,
+      error: serializeError(e)
+    });
+  }
+});
+parentPort.postMessage({
+  ready: true
+});
\ No newline at end of file
@@ -0,0 +1,139 @@
+'use strict';
+const median = require('./medianQuickSelect.js');
+const {
+  countZoneLines,
+  uniqueLengths
+} = require('../mrz-formats');
+const MAX_LENGTH_ERROR = 0.15;
+function center(box) {
+  return box.minX + box.width / 2;
+}
+function union(boxes) {
+  const minX = Math.min(...boxes.map(box => box.minX));
+  const minY = Math.min(...boxes.map(box => box.minY));
+  const maxX = Math.max(...boxes.map(box => box.minX + box.width));
+  const maxY = Math.max(...boxes.map(box => box.minY + box.height));
+  return {
+    minX,
+    minY,
+    width: maxX - minX,
+    height: maxY - minY
+  };
+}
+function estimatePitch(rois) {
+  const centers = rois.map(center).sort((a, b) => a - b);
+  const gaps = centers.slice(1).map((value, i) => value - centers[i]);
+  return median(gaps) || 0;
+}
+function estimateLength(rois) {
+  const pitch = estimatePitch(rois);
+  if (rois.length < 2 || pitch <= 0) return rois.length;
+  const centers = rois.map(center);
+  return Math.round((Math.max(...centers) - Math.min(...centers)) / pitch) + 1;
+}
+function fitLine(rois, length) {
+  const sorted = rois.slice().sort((a, b) => a.minX - b.minX);
+  const glyphWidth = median(sorted.map(roi => roi.width)) || 1;
+  const top = median(sorted.map(roi => roi.minY)) || 0;
+  const height = median(sorted.map(roi => roi.height)) || 0;
+  let pitch = estimatePitch(sorted) || glyphWidth;
+  const pieces = [];
+  for (const roi of sorted) {
+    const count = Math.max(1, Math.round((roi.width - glyphWidth) / pitch) + 1);
+    const width = roi.width / count;
+    for (let i = 0; i < count; i++) {
+      const box = count === 1 ? roi : {
+        minX: Math.round(roi.minX + i * width),
+        minY: roi.minY,
+        width: Math.round(width),
+        height: roi.height
+      };
+      pieces.push({
+        box,
+        roi,
+        split: count > 1
+      });
+    }
+  }
+  const first = center(pieces[0].box);
+  const last = center(pieces[pieces.length - 1].box);
+  if (length > 1 && Math.round((last - first) / pitch) + 1 === length) {
+    pitch = (last - first) / (length - 1);
+  }
+  const cells = Array.from({
+    length
+  }, () => []);
+  for (const piece of pieces) {
+    const cell = Math.round((center(piece.box) - first) / pitch);
+    if (cell < length) cells[cell].push(piece);
+  }
+  return cells.map((list, i) => {
+    if (list.length === 0) {
+      const width = Math.round(Math.min(glyphWidth, pitch));
+      return {
+        minX: Math.round(first + i * pitch - width / 2),
+        minY: top,
+        width,
+        height,
+        kind: 'filler'
+      };
+    }
+    if (list.length === 1 && !list[0].split) {
+      const {
+        roi
+      } = list[0];
+      return {
+        minX: roi.minX,
+        minY: roi.minY,
+        width: roi.width,
+        height: roi.height,
+        kind: 'roi',
+        roi
+      };
+    }
+    return {
+      ...union(list.map(piece => piece.box)),
+      kind: list.length === 1 ? 'split' : 'merged'
+    };
+  });
+}
+function fitLines(lines) {
+  const asFound = line => line.rois.slice().sort((a, b) => a.minX - b.minX).map(roi => ({
+    minX: roi.minX,
+    minY: roi.minY,
+    width: roi.width,
+    height: roi.height,
+    kind: 'roi',
+    roi
+  }));
+  const exact = countZoneLines(lines.map(line => line.rois.length));
+  if (exact > 0) {
+    return lines.slice(-exact).map(asFound);
+  }
+  const estimates = lines.map(line => estimateLength(line.rois));
+  let best = null;
+  for (const lengths of uniqueLengths()) {
+    if (lengths.length > lines.length) continue;
+    const found = estimates.slice(-lengths.length);
+    const errors = lengths.map((length, i) => Math.abs(found[i] - length) / length);
+    const error = errors.reduce((sum, value) => sum + value, 0);
+    if (errors.every(value => value <= MAX_LENGTH_ERROR) && (!best || error < best.error)) {
+      best = {
+        lengths,
+        error
+      };
+    }
+  }
+  if (!best) {
+    return lines.slice(-3).map(asFound);
+  }
+  const {
+    lengths
+  } = best;
+  return lines.slice(-lengths.length).map((line, i) => fitLine(line.rois, lengths[i]));
+}
+module.exports = {
+  fitLines,
+  fitLine,
+  estimateLength
+};
\ No newline at end of file
@@ -0,0 +1,63 @@
+'use strict';
+
+const {
+  InvalidInputError
+} = require('../errors');
+module.exports = function parseArgs(argv, spec) {
+  const options = {};
+  const positionals = [];
+  const aliases = {};
+  for (const name of Object.keys(spec)) {
+    if (spec[name].alias) {
+      aliases[spec[name].alias] = name;
+    }
+  }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+    let name = arg.replace(/^--?/, '');
+    let value;
+    const equal = name.indexOf('=');
+    if (equal !== -1) {
+      value = name.slice(equal + 1);
+      name = name.slice(0, equal);
+    }
+    if (!arg.startsWith('--')) {
+      name = aliases[name] || name;
+    }
+    const definition = spec[name];
+    if (!definition) {
+      throw new InvalidInputError(`unknown option ${arg}`, 'INVALID_ARGUMENT');
+    }
+    if (definition.type === 'boolean') {
+      if (value !== undefined) {
+        throw new InvalidInputError(`option --${name} does not take a value`, 'INVALID_ARGUMENT');
+      }
+      options[name] = true;
+      continue;
+    }
+    if (value === undefined) {
+      value = argv[++i];
+      if (value === undefined) {
+        throw new InvalidInputError(`option --${name} expects a value`, 'INVALID_ARGUMENT');
+      }
+    }
+    if (definition.multiple) {
+      const values = Array.isArray(options[name]) ? options[name] : [];
+      options[name] = values.concat(value);
+    } else {
+      options[name] = value;
+    }
+  }
+  return {
+    options,
+    positionals
+  };
+};
\ No newline at end of file
@@ -0,0 +1,225 @@
+'use strict';
+
+const DEFAULT_PROB_A = -6;
+const MIN_PROB = 1e-7;
+function parseSvmModel(serialized) {
+  const lines = serialized.split('\n');
+  const header = {};
+  let i = 0;
+  for (; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line === 'SV') {
+      i++;
+      break;
+    }
+    const [key, ...values] = line.split(' ');
+    header[key] = values;
+  }
+  if (!header.label || !header.rho || !header.nr_sv) {
+    throw new Error('svm model is missing label, rho or nr_sv');
+  }
+  const nrClass = header.label.length;
+  const svCoef = [];
+  for (let k = 0; k < nrClass - 1; k++) {
+    svCoef.push([]);
+  }
+  const svIndices = [];
+  for (; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line === '') continue;
+    const parts = line.split(' ');
+    for (let k = 0; k < nrClass - 1; k++) {
+      svCoef[k].push(Number(parts[k]));
+    }
+    svIndices.push(Number(parts[nrClass - 1].split(':')[1]) - 1);
+  }
+  return {
+    labels: header.label.map(Number),
+    rho: header.rho.map(Number),
+    nSV: header.nr_sv.map(Number),
+    svIndices,
+    svCoef,
+    probA: header.probA ? header.probA.map(Number) : null,
+    probB: header.probB ? header.probB.map(Number) : null
+  };
+}
+function sigmoidPredict(decisionValue, A, B) {
+  const fApB = decisionValue * A + B;
+  const p = fApB >= 0 ? Math.exp(-fApB) / (1 + Math.exp(-fApB)) : 1 / (1 + Math.exp(fApB));
+  return Math.min(Math.max(p, MIN_PROB), 1 - MIN_PROB);
+}
+function multiclassProbability(r) {
+  const k = r.length;
+  const maxIter = Math.max(100, k);
+  const eps = 0.005 / k;
+  const Q = [];
+  const Qp = new Array(k).fill(0);
+  const p = new Array(k).fill(1 / k);
+  for (let t = 0; t < k; t++) {
+    Q.push(new Array(k).fill(0));
+    for (let j = 0; j < k; j++) {
+      if (j === t) continue;
+      Q[t][t] += r[j][t] * r[j][t];
+      Q[t][j] = -r[j][t] * r[t][j];
+    }
+  }
+  for (let iter = 0; iter < maxIter; iter++) {
+    let pQp = 0;
+    for (let t = 0; t < k; t++) {
+      Qp[t] = 0;
+      for (let j = 0; j < k; j++) {
+        Qp[t] += Q[t][j] * p[j];
+      }
+      pQp += p[t] * Qp[t];
+    }
+    let maxError = 0;
+    for (let t = 0; t < k; t++) {
+      maxError = Math.max(maxError, Math.abs(Qp[t] - pQp));
+    }
+    if (maxError < eps) break;
+    for (let t = 0; t < k; t++) {
+      const diff = (-Qp[t] + pQp) / Q[t][t];
+      p[t] += diff;
+      pQp = (pQp + diff * (diff * Q[t][t] + 2 * Qp[t])) / (1 + diff) / (1 + diff);
+      for (let j = 0; j < k; j++) {
+        Qp[j] = (Qp[j] + diff * Q[t][j]) / (1 + diff);
+        p[j] /= 1 + diff;
+      }
+    }
+  }
+  return p;
+}
+function getStarts(nSV) {
+  const start = [0];
+  for (let c = 1; c < nSV.length; c++) {
+    start[c] = start[c - 1] + nSV[c - 1];
+  }
+  return start;
+}
+function getDecisionValues(model, kernelValues) {
+  const {
+    labels,
+    rho,
+    nSV,
+    svCoef
+  } = model;
+  const nrClass = labels.length;
+  const start = getStarts(nSV);
+  const values = [];
+  for (let a = 0; a < nrClass; a++) {
+    for (let b = a + 1; b < nrClass; b++) {
+      const coefA = svCoef[b - 1];
+      const coefB = svCoef[a];
+      let sum = 0;
+      for (let k = 0; k < nSV[a]; k++) {
+        sum += coefA[start[a] + k] * kernelValues[start[a] + k];
+      }
+      for (let k = 0; k < nSV[b]; k++) {
+        sum += coefB[start[b] + k] * kernelValues[start[b] + k];
+      }
+      values.push(sum - rho[values.length]);
+    }
+  }
+  return values;
+}
+function collapseLinear(model, supportVectors) {
+  const {
+    labels,
+    nSV,
+    svCoef
+  } = model;
+  const nrClass = labels.length;
+  const start = getStarts(nSV);
+  const length = supportVectors.length ? supportVectors[0].length : 0;
+  const weights = [];
+  const add = (weight, coef, first, count) => {
+    for (let k = first; k < first + count; k++) {
+      const vector = supportVectors[k];
+      for (let i = 0; i < length; i++) {
+        weight[i] += coef[k] * vector[i];
+      }
+    }
+  };
+  for (let a = 0; a < nrClass; a++) {
+    for (let b = a + 1; b < nrClass; b++) {
+      const weight = new Float64Array(length);
+      add(weight, svCoef[b - 1], start[a], nSV[a]);
+      add(weight, svCoef[a], start[b], nSV[b]);
+      weights.push(weight);
+    }
+  }
+  return weights;
+}
+function getLinearDecisionValues(model, weights, sample) {
+  return weights.map((weight, p) => {
+    let sum = 0;
+    for (let i = 0; i < weight.length; i++) {
+      sum += weight[i] * sample[i];
+    }
+    return sum - model.rho[p];
+  });
+}
+function countVotes(nrClass, decisionValues) {
+  const votes = new Array(nrClass).fill(0);
+  let p = 0;
+  for (let a = 0; a < nrClass; a++) {
+    for (let b = a + 1; b < nrClass; b++) {
+      if (decisionValues[p++] > 0) {
+        votes[a]++;
+      } else {
+        votes[b]++;
+      }
+    }
+  }
+  return votes;
+}
+function getWinner(votes) {
+  let winner = 0;
+  for (let c = 1; c < votes.length; c++) {
+    if (votes[c] > votes[winner]) winner = c;
+  }
+  return winner;
+}
+function predictLabel(model, decisionValues) {
+  return model.labels[getWinner(countVotes(model.labels.length, decisionValues))];
+}
+function scoreDecisionValues(model, decisionValues) {
+  const {
+    labels,
+    probA,
+    probB
+  } = model;
+  const nrClass = labels.length;
+  const votes = countVotes(nrClass, decisionValues);
+  const pairwise = labels.map(() => new Array(nrClass).fill(0));
+  let p = 0;
+  for (let a = 0; a < nrClass; a++) {
+    for (let b = a + 1; b < nrClass; b++) {
+      pairwise[a][b] = sigmoidPredict(decisionValues[p], probA ? probA[p] : DEFAULT_PROB_A, probB ? probB[p] : 0);
+      pairwise[b][a] = 1 - pairwise[a][b];
+      p++;
+    }
+  }
+  const probabilities = nrClass > 1 ? multiclassProbability(pairwise) : [1];
+  const scores = labels.map((label, c) => ({
+    label,
+    votes: votes[c],
+    score: probabilities[c]
+  }));
+  const winner = getWinner(votes);
+  const others = scores.filter((score, c) => c !== winner);
+  others.sort((x, y) => y.score - x.score);
+  return [scores[winner]].concat(others);
+}
+function scoreSample(model, kernelValues) {
+  return scoreDecisionValues(model, getDecisionValues(model, kernelValues));
+}
+module.exports = {
+  parseSvmModel,
+  collapseLinear,
+  getDecisionValues,
+  getLinearDecisionValues,
+  scoreDecisionValues,
+  scoreSample,
+  predictLabel
+};
\ No newline at end of file
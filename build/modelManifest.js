@@ -0,0 +1,87 @@
+'use strict';
+const crypto = require('crypto');
+const {
+  ModelLoadError
+} = require('./errors');
+const MANIFEST_VERSION = 1;
+function checksum(content) {
+  return crypto.createHash('sha256').update(typeof content === 'string' ? content : Buffer.from(content)).digest('hex');
+}
+function sameConfig(a, b) {
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => sameConfig(a[key], b[key]));
+  }
+  return a === b;
+}
+function createManifest(options) {
+  return {
+    version: MANIFEST_VERSION,
+    name: options.name,
+    createdAt: new Date().toISOString(),
+    library: options.library,
+    features: options.features,
+    kernel: options.kernel,
+    alphabet: options.alphabet,
+    descriptorLength: options.descriptorLength,
+    checksums: {
+      algorithm: 'sha256',
+      descriptors: checksum(options.descriptors),
+      model: checksum(options.model)
+    },
+    metrics: options.metrics || null
+  };
+}
+function verifyManifest(manifest, loaded) {
+  const mismatch = message => new ModelLoadError(`the model does not fit this version of mrz-scan: ${message}`, 'MODEL_MISMATCH');
+  if (manifest) {
+    if (typeof manifest.version !== 'number' || manifest.version > MANIFEST_VERSION) {
+      throw mismatch(`manifest version ${String(manifest.version)} is not supported, expected ${MANIFEST_VERSION} at most`);
+    }
+    const {
+      checksums
+    } = manifest;
+    if (!checksums || checksum(loaded.descriptors) !== checksums.descriptors || checksum(loaded.model) !== checksums.model) {
+      throw new ModelLoadError(`the model files of ${manifest.name} do not match the checksums of their manifest`, 'MODEL_CORRUPTED');
+    }
+    if (!sameConfig(manifest.features, loaded.features)) {
+      throw mismatch(`trained on the features ${JSON.stringify(manifest.features)}, extracted now with ${JSON.stringify(loaded.features)}`);
+    }
+    if (manifest.alphabet !== loaded.alphabet) {
+      throw mismatch(`trained on the symbols ${manifest.alphabet}, expected ${loaded.alphabet}`);
+    }
+    if (manifest.descriptorLength !== loaded.descriptorLength) {
+      throw new ModelLoadError(`the descriptors of ${manifest.name} hold ${loaded.descriptorLength} features, their manifest ${manifest.descriptorLength}`, 'MODEL_CORRUPTED');
+    }
+  }
+  if (loaded.descriptorLength !== loaded.expectedLength) {
+    throw mismatch(`the descriptors hold ${loaded.descriptorLength} features, extractHOG computes ${loaded.expectedLength}`);
+  }
+  const unknown = loaded.labels.filter(label => !loaded.alphabet.includes(String.fromCharCode(label)));
+  if (unknown.length > 0) {
+    throw mismatch(`the svm predicts symbols outside the alphabet: ${unknown.map(label => String.fromCharCode(label)).join('')}`);
+  }
+}
+function parseManifest(content) {
+  try {
+    let manifest = content;
+    if (typeof content === 'string') manifest = JSON.parse(content);
+    if (content instanceof Uint8Array) manifest = JSON.parse(Buffer.from(content).toString('utf8'));
+    if (!manifest || typeof manifest !== 'object') {
+      throw new Error('expected an object');
+    }
+    return manifest;
+  } catch (e) {
+    throw new ModelLoadError(`could not read the model manifest: ${e.message}`, 'MODEL_LOAD_FAILED', e);
+  }
+}
+function getManifestPath(modelPath) {
+  return `${modelPath.replace(/\.model$/, '')}.manifest.json`;
+}
+module.exports = {
+  MANIFEST_VERSION,
+  createManifest,
+  verifyManifest,
+  parseManifest,
+  getManifestPath
+};
\ No newline at end of file
@@ -0,0 +1,270 @@
+'use strict';
+
+const {
+  parse: _parse
+} = require('./mrz-formats');
+const confusions = {
+  '0': 'ODQ',
+  '1': 'IL7',
+  '2': 'Z',
+  '3': '8',
+  '4': 'A',
+  '5': 'S6',
+  '6': 'G58',
+  '7': '1T',
+  '8': 'B36',
+  '9': 'G',
+  'A': '4',
+  'B': '8',
+  'D': '0O',
+  'G': '69',
+  'I': '1L',
+  'L': '1I',
+  'O': '0DQ',
+  'Q': '0O',
+  'S': '5',
+  'T': '7',
+  'Z': '2',
+  '<': 'KL'
+};
+const CONFUSION_PROBABILITY = 0.01;
+const MAX_REPAIRS = 5;
+const AMBIGUITY_MARGIN = Math.log(2);
+const DIGITS = /^[0-9]$/;
+const ALPHANUMERIC = /^[0-9A-Z<]$/;
+const WEIGHTS = [7, 3, 1];
+function charValue(char) {
+  if (char === '<') return 0;
+  const code = char.charCodeAt(0);
+  if (code >= 48 && code <= 57) return code - 48;
+  return code - 55;
+}
+function computeCheckDigit(value) {
+  let sum = 0;
+  for (let i = 0; i < value.length; i++) {
+    sum += charValue(value[i]) * WEIGHTS[i % 3];
+  }
+  return sum % 10;
+}
+function isCheckDigitField(detail) {
+  return /CheckDigit$/.test(detail.field);
+}
+function isNumericField(field) {
+  return isCheckDigitField({
+    field
+  }) || field === 'birthDate' || field === 'expirationDate';
+}
+function getPositions(detail) {
+  const positions = [];
+  for (const range of detail.ranges) {
+    for (let column = range.start; column < range.end; column++) {
+      positions.push({
+        line: range.line,
+        column
+      });
+    }
+  }
+  return positions;
+}
+function readCheck(lines, positions) {
+  const [digit, ...data] = positions.map(({
+    line,
+    column
+  }) => lines[line][column]);
+  if (!DIGITS.test(digit) && digit !== '<') return false;
+  return computeCheckDigit(data.join('')) === charValue(digit);
+}
+function getFieldOf(details, position) {
+  for (const detail of details) {
+    if (detail.line === position.line && position.column >= detail.start && position.column < detail.end) {
+      return detail.field;
+    }
+  }
+  return null;
+}
+function getOptions(current, candidates, numeric, anyDigit = false) {
+  const probabilities = new Map();
+  if (candidates) {
+    probabilities.set(candidates.symbol, candidates.confidence);
+    for (const {
+      symbol,
+      score
+    } of candidates.alternatives) {
+      probabilities.set(symbol, score);
+    }
+  }
+  for (const symbol of (confusions[current] || '') + (anyDigit && candidates ? '0123456789' : '')) {
+    if (!probabilities.has(symbol)) {
+      probabilities.set(symbol, CONFUSION_PROBABILITY);
+    }
+  }
+  const currentProbability = probabilities.get(current) || CONFUSION_PROBABILITY;
+  const options = [{
+    symbol: current,
+    cost: 0
+  }];
+  for (const [symbol, probability] of probabilities) {
+    if (symbol === current) continue;
+    if (!(numeric ? DIGITS : ALPHANUMERIC).test(symbol)) continue;
+    options.push({
+      symbol,
+      cost: Math.max(0, Math.log(currentProbability) - Math.log(Math.max(probability, 1e-9)))
+    });
+  }
+  return options;
+}
+function pickRepair(repairs) {
+  const [best, next] = repairs;
+  if (!best || next && next.cost - best.cost < AMBIGUITY_MARGIN) {
+    return null;
+  }
+  return best;
+}
+function search(lines, positions, options, maxCorrections) {
+  const repairs = [];
+  const mutable = lines.map(line => line.split(''));
+  function visit(start, changes, cost) {
+    if (changes.length > 0 && readCheck(mutable.map(line => line.join('')), positions)) {
+      repairs.push({
+        changes: changes.slice(),
+        cost: cost + changes.length * 1000
+      });
+      return;
+    }
+    if (changes.length === maxCorrections) return;
+    for (let i = start; i < positions.length; i++) {
+      const {
+        line,
+        column
+      } = positions[i];
+      const original = mutable[line][column];
+      for (const option of options[i]) {
+        if (option.symbol === original) continue;
+        mutable[line][column] = option.symbol;
+        changes.push({
+          position: positions[i],
+          symbol: option.symbol
+        });
+        visit(i + 1, changes, cost + option.cost);
+        changes.pop();
+      }
+      mutable[line][column] = original;
+    }
+  }
+  visit(0, [], 0);
+  return repairs.sort((x, y) => x.cost - y.cost);
+}
+function combinations(lists) {
+  let result = [{
+    changes: [],
+    cost: 0
+  }];
+  for (const list of lists) {
+    const next = [];
+    for (const partial of result) {
+      for (const repair of list) {
+        next.push({
+          changes: partial.changes.concat(repair.changes),
+          cost: partial.cost + repair.cost
+        });
+      }
+    }
+    result = next;
+  }
+  return result.sort((x, y) => x.cost - y.cost);
+}
+function apply(lines, changes) {
+  const result = lines.map(line => line.split(''));
+  for (const {
+    position,
+    symbol
+  } of changes) {
+    result[position.line][position.column] = symbol;
+  }
+  return result.map(line => line.join(''));
+}
+function correct(mrz, options = {}) {
+  const {
+    characters = [],
+    maxCorrections = 2
+  } = options;
+  const result = _parse(mrz);
+  const optionsAt = (lines, detail, positions, anyDigit = false) => positions.map((position, idx) => {
+    const current = lines[position.line][position.column];
+    const candidates = characters[position.line] && characters[position.line][position.column];
+    const numeric = idx === 0 || isNumericField(getFieldOf(result.details, position) || detail.field);
+    return getOptions(current, candidates, numeric, idx === 0 && anyDigit);
+  });
+  const checks = result.details.filter(isCheckDigitField);
+  const composite = checks.find(detail => detail.field === 'compositeCheckDigit');
+  const fieldChecks = checks.filter(detail => detail !== composite);
+  const failing = fieldChecks.filter(detail => !detail.valid && !readCheck(mrz, getPositions(detail)));
+  const repairs = failing.map(detail => {
+    const positions = getPositions(detail);
+    return search(mrz, positions, optionsAt(mrz, detail, positions), maxCorrections).slice(0, MAX_REPAIRS);
+  }).filter(list => list.length > 0);
+  let candidates = combinations(repairs);
+  if (composite) {
+    const positions = getPositions(composite);
+    const consistent = candidates.filter(candidate => readCheck(apply(mrz, candidate.changes), positions));
+    if (consistent.length > 0 || composite.valid) {
+      candidates = consistent;
+    }
+  }
+  const chosen = repairs.length > 0 ? pickRepair(candidates) : null;
+  let lines = chosen ? apply(mrz, chosen.changes) : mrz;
+  if (composite && !readCheck(lines, getPositions(composite))) {
+    const trusted = new Set();
+    const key = ({
+      line,
+      column
+    }) => `${line}:${column}`;
+    for (const detail of fieldChecks) {
+      const positions = getPositions(detail);
+      if (detail.valid || readCheck(lines, positions)) {
+        positions.forEach(position => trusted.add(key(position)));
+      }
+    }
+    const positions = getPositions(composite);
+    const onlyDigitUntrusted = positions.every((position, idx) => idx === 0 || trusted.has(key(position)));
+    const options = optionsAt(lines, composite, positions, onlyDigitUntrusted).map((choices, idx) => {
+      return idx > 0 && trusted.has(key(positions[idx])) ? [choices[0]] : choices;
+    });
+    const fieldsHold = repair => {
+      const repaired = apply(lines, repair.changes);
+      return fieldChecks.every(detail => detail.valid || readCheck(repaired, getPositions(detail)));
+    };
+    const repair = pickRepair(search(lines, positions, options, 1).filter(fieldsHold));
+    lines = repair ? apply(lines, repair.changes) : mrz;
+  }
+  const corrections = listCorrections(mrz, lines, _parse(lines).details);
+  return {
+    lines,
+    corrections
+  };
+}
+function listCorrections(mrz, lines, details) {
+  const corrections = [];
+  for (let line = 0; line < lines.length; line++) {
+    for (let column = 0; column < lines[line].length; column++) {
+      if (lines[line][column] !== mrz[line][column]) {
+        corrections.push({
+          line,
+          column,
+          from: mrz[line][column],
+          to: lines[line][column],
+          field: getFieldOf(details, {
+            line,
+            column
+          })
+        });
+      }
+    }
+  }
+  return corrections;
+}
+module.exports = {
+  correct,
+  listCorrections,
+  computeCheckDigit
+};
\ No newline at end of file
@@ -0,0 +1,203 @@
+'use strict';
+const {
+  parsers
+} = require('mrz/lib/parse/parsers');
+const {
+  getResult
+} = require('mrz/lib/parse/getResult');
+const createFieldParser = require('mrz/lib/parse/createFieldParser').default;
+const templates = require('mrz/lib/parse/fieldTemplates');
+const {
+  parseOptional
+} = require('mrz/lib/parsers/parseOptional');
+function parseVisaDocumentCode(source) {
+  if (source[0] !== 'V') {
+    throw new Error(`invalid document code: ${source}. First character must be V`);
+  }
+  return source[1] === '<' ? {
+    value: 'V',
+    start: 0,
+    end: 1
+  } : source;
+}
+function visaFields(length) {
+  return [{
+    ...templates.documentCodeTemplate,
+    line: 0,
+    start: 0,
+    end: 2,
+    parser: parseVisaDocumentCode
+  }, {
+    ...templates.issuingStateTemplate,
+    line: 0,
+    start: 2,
+    end: 5
+  }, {
+    ...templates.lastNameTemplate,
+    line: 0,
+    start: 5,
+    end: length
+  }, {
+    ...templates.firstNameTemplate,
+    line: 0,
+    start: 5,
+    end: length
+  }, {
+    ...templates.documentNumberTemplate,
+    line: 1,
+    start: 0,
+    end: 9,
+    related: [{
+      line: 1,
+      start: 9,
+      end: 10
+    }]
+  }, {
+    ...templates.documentNumberCheckDigitTemplate,
+    line: 1,
+    start: 9,
+    end: 10,
+    related: [{
+      line: 1,
+      start: 0,
+      end: 9
+    }]
+  }, {
+    ...templates.nationalityTemplate,
+    line: 1,
+    start: 10,
+    end: 13
+  }, {
+    ...templates.birthDateTemplate,
+    line: 1,
+    start: 13,
+    end: 19
+  }, {
+    ...templates.birthDateCheckDigitTemplate,
+    line: 1,
+    start: 19,
+    end: 20,
+    related: [{
+      line: 1,
+      start: 13,
+      end: 19
+    }]
+  }, {
+    ...templates.sexTemplate,
+    line: 1,
+    start: 20,
+    end: 21
+  }, {
+    ...templates.expirationDateTemplate,
+    line: 1,
+    start: 21,
+    end: 27
+  }, {
+    ...templates.expirationDateCheckDigitTemplate,
+    line: 1,
+    start: 27,
+    end: 28,
+    related: [{
+      line: 1,
+      start: 21,
+      end: 27
+    }]
+  }, {
+    label: 'Optional data',
+    field: 'optional',
+    line: 1,
+    start: 28,
+    end: length,
+    parser: parseOptional
+  }].map(createFieldParser);
+}
+const MRV_A_FIELDS = visaFields(44);
+const MRV_B_FIELDS = visaFields(36);
+const isVisa = lines => lines[0][0] === 'V';
+const FORMATS = [{
+  format: 'TD1',
+  lengths: [30, 30, 30],
+  parse: parsers.td1
+}, {
+  format: 'SWISS_DRIVING_LICENSE',
+  lengths: [9, 30, 30],
+  parse: parsers.swissDrivingLicense
+}, {
+  format: 'MRV_B',
+  lengths: [36, 36],
+  test: isVisa,
+  parse: (lines, options) => getResult('MRV_B', lines, MRV_B_FIELDS, options)
+}, {
+  format: 'FRENCH_NATIONAL_ID',
+  lengths: [36, 36],
+  test: lines => lines[0].startsWith('IDFRA') || /[0-9]/.test(lines[0].slice(30)),
+  parse: parsers.frenchNationalId
+}, {
+  format: 'TD2',
+  lengths: [36, 36],
+  parse: parsers.td2
+}, {
+  format: 'MRV_A',
+  lengths: [44, 44],
+  test: isVisa,
+  parse: (lines, options) => getResult('MRV_A', lines, MRV_A_FIELDS, options)
+}, {
+  format: 'TD3',
+  lengths: [44, 44],
+  parse: parsers.td3
+}];
+function hasLengths(lengths, expected) {
+  return lengths.length === expected.length && expected.every((length, i) => lengths[i] === length);
+}
+function detectFormat(lines) {
+  return findFormat(lines).format;
+}
+function findFormat(lines) {
+  const lengths = lines.map(line => line.length);
+  const format = FORMATS.find(candidate => hasLengths(lengths, candidate.lengths) && (!candidate.test || candidate.test(lines)));
+  if (!format) {
+    const expected = uniqueLengths().map(layout => layout.join('+')).join(', ');
+    throw new Error(`unrecognized document format: lines of ${lengths.join('+')} characters, expected ${expected}`);
+  }
+  return format;
+}
+function uniqueLengths() {
+  const seen = new Map();
+  for (const {
+    lengths
+  } of FORMATS) {
+    seen.set(lengths.join('+'), lengths);
+  }
+  return Array.from(seen.values());
+}
+function countZoneLines(lengths) {
+  const layout = uniqueLengths().find(expected => hasLengths(lengths.slice(-expected.length), expected));
+  return layout ? layout.length : 0;
+}
+function parse(lines, options = {}) {
+  const format = findFormat(lines);
+  const result = format.parse(lines, options);
+  const layout = {
+    format: format.format,
+    lengths: format.lengths,
+    fields: result.details.map(({
+      field,
+      label,
+      ranges: [range]
+    }) => ({
+      field,
+      label,
+      line: range.line,
+      start: range.start,
+      end: range.end
+    }))
+  };
+  result.layout = layout;
+  return result;
+}
+module.exports = {
+  parse,
+  detectFormat,
+  countZoneLines,
+  uniqueLengths
+};
\ No newline at end of file
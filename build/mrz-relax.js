@@ -1,6 +1,6 @@
 'use strict';
 
-var _parse = require('mrz').parse;
+var _parse = require('./mrz-formats').parse;
 module.exports = function parse(mrz, modified) {
   var _mrz = mrz.slice(0);
   var result = _parse(_mrz);
@@ -0,0 +1,207 @@
+'use strict';
+
+const parse = require('./mrz-relax');
+const {
+  uniqueLengths
+} = require('./mrz-formats');
+const {
+  correct,
+  listCorrections
+} = require('./mrz-correct');
+const {
+  resolveDates
+} = require('./mrz-dates');
+const {
+  describeState
+} = require('./lib/countries');
+const {
+  validateDocument,
+  resolveRules
+} = require('./validateDocument');
+const {
+  wrapError,
+  handleError,
+  InvalidInputError,
+  ParseError
+} = require('./errors');
+const DOCUMENT_TYPES = {
+  P: 'passport',
+  I: 'identity-card',
+  A: 'identity-card',
+  C: 'identity-card',
+  V: 'visa'
+};
+function normalizeLines(input) {
+  let lines;
+  if (typeof input === 'string') {
+    lines = input.split(/\r\n|\r|\n/);
+  } else if (Array.isArray(input) && input.every(line => typeof line === 'string')) {
+    lines = input.map(String);
+  } else {
+    throw new InvalidInputError('expected the mrz as a string or an array of lines', 'INVALID_TEXT');
+  }
+  lines = lines.map(line => line.normalize('NFD').replace(/[\u0300-\u036f\s]/g, '').toUpperCase().replace(/[^A-Z0-9<]/g, '<')).filter(line => line.length > 0);
+  if (lines.length === 0) {
+    throw new InvalidInputError('no mrz line in the text', 'INVALID_TEXT');
+  }
+  if (lines.length === 1) {
+    const line = lines[0];
+    const lengths = uniqueLengths().find(layout => layout.reduce((sum, length) => sum + length, 0) === line.length);
+    if (lengths) {
+      let start = 0;
+      lines = lengths.map(length => line.slice(start, start += length));
+    }
+  }
+  return lines;
+}
+function parseLines(mrz, options = {}) {
+  let lines = mrz;
+  let parsed = parse(lines);
+  lines = parsed.modified || lines;
+  if (!parsed.valid && options.correct !== false) {
+    ({
+      lines
+    } = correct(lines, {
+      characters: options.characters,
+      maxCorrections: options.maxCorrections
+    }));
+    parsed = parse(lines);
+    lines = parsed.modified || lines;
+  }
+  parsed.corrections = listCorrections(mrz, lines, parsed.details);
+  parsed.lines = lines;
+  return parsed;
+}
+function readField(parsed, field) {
+  const value = parsed.fields[field];
+  const detail = parsed.details.find(d => d.field === field);
+  if (value !== null || !detail || !parsed.lines) {
+    return value;
+  }
+  return parsed.lines[detail.line].slice(detail.start, detail.end);
+}
+function getDocumentType(format, code) {
+  if (format === 'SWISS_DRIVING_LICENSE') return 'driving-license';
+  if (format === 'FRENCH_NATIONAL_ID') return 'identity-card';
+  return DOCUMENT_TYPES[code[0]] || 'other';
+}
+function spaceName(name) {
+  return name.replace(/\s+/g, ' ').trim();
+}
+function describeDocument(parsed, referenceDate) {
+  const {
+    fields
+  } = parsed;
+  const dates = resolveDates({
+    birthDate: readField(parsed, 'birthDate'),
+    expirationDate: readField(parsed, 'expirationDate')
+  }, {
+    referenceDate
+  });
+  const code = readField(parsed, 'documentCode') || '';
+  const validity = {};
+  for (const detail of parsed.details) {
+    if (detail.field) validity[detail.field] = detail.valid;
+  }
+  const defined = new Set(parsed.details.map(detail => detail.field));
+  const firstName = fields.firstName || '';
+  const lastName = fields.lastName || '';
+  return {
+    number: fields.documentNumber || '',
+    validDate: dates.expirationDate,
+    birthDate: dates.birthDate,
+    name: firstName.replace(/\s+/g, ''),
+    surname: lastName.replace(/\s+/g, ''),
+    format: parsed.format,
+    documentType: getDocumentType(parsed.format, code),
+    documentCode: code.slice(0, 1),
+    documentSubtype: code.length > 1 && code[1] !== '<' ? code[1] : null,
+    issuingState: describeState(fields.issuingState),
+    nationality: describeState(fields.nationality),
+    firstName: spaceName(firstName),
+    lastName: spaceName(lastName),
+    sex: fields.sex || null,
+    personalNumber: fields.personalNumber || null,
+    optionalData: ['optional', 'optional1', 'optional2'].map(field => fields[field]).filter(Boolean),
+    valid: parsed.valid,
+    validity,
+    warnings: dates.warnings.filter(warning => defined.has(warning.field)).map(warning => Object.assign({}, warning, {
+      field: warning.field === 'expirationDate' ? 'validDate' : warning.field
+    }))
+  };
+}
+function formatFields(parsed, options = {}) {
+  const {
+    fields
+  } = parsed;
+  if (fields.documentNumber === null || fields.firstName === null || fields.lastName === null) {
+    throw new ParseError('document number or holder name could not be read', 'MISSING_FIELD');
+  }
+  const rich = describeDocument(parsed, options.referenceDate);
+  if (options.compact) {
+    const {
+      number,
+      validDate,
+      birthDate,
+      name,
+      surname,
+      warnings
+    } = rich;
+    const compact = {
+      number,
+      validDate,
+      birthDate,
+      name,
+      surname,
+      warnings
+    };
+    return compact;
+  }
+  return rich;
+}
+function validateParsed(parsed, options) {
+  return validateDocument(describeDocument(parsed, options.referenceDate), options.rules, {
+    referenceDate: options.referenceDate
+  });
+}
+function parseMrzText(lines, options) {
+  const opts = options || {};
+  try {
+    const mrz = normalizeLines(lines);
+    if (opts.rules !== undefined) {
+      resolveRules(opts.rules);
+    }
+    let parsed;
+    try {
+      parsed = parseLines(mrz, {
+        correct: opts.correct === true,
+        maxCorrections: opts.maxCorrections
+      });
+    } catch (e) {
+      throw wrapError(e, ParseError, 'PARSE_FAILED');
+    }
+    const result = opts.original ? parsed : formatFields(parsed, {
+      referenceDate: opts.referenceDate,
+      compact: opts.compact
+    });
+    if (opts.rules !== undefined) {
+      result.validation = validateParsed(parsed, {
+        rules: opts.rules,
+        referenceDate: opts.referenceDate
+      });
+    }
+    return opts.errors === 'result' ? {
+      ok: true,
+      result
+    } : result;
+  } catch (e) {
+    return handleError(e, opts.errors);
+  }
+}
+module.exports = {
+  parseMrzText,
+  normalizeLines,
+  parseLines,
+  formatFields,
+  validateParsed
+};
\ No newline at end of file
@@ -0,0 +1,257 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const {
+  Worker
+} = require('worker_threads');
+const {
+  MrzScanner
+} = require('./scanner');
+const {
+  getModelSource
+} = require('./svm');
+const {
+  handleError,
+  InvalidInputError,
+  deserializeError,
+  MrzError,
+  AbortError,
+  TimeoutError
+} = require('./errors');
+const workerPath = path.join(__dirname, 'internal', 'scanWorker.js');
+const MAX_STARTUP_FAILURES = 3;
+class MrzScannerPool extends MrzScanner {
+  constructor(options = {}) {
+    super(options);
+    const size = Math.max(1, Math.floor(Number(options.workers) || os.cpus().length));
+    this.scanDefaults = Object.assign({}, options);
+    delete this.scanDefaults.workers;
+    delete this.scanDefaults.timeout;
+    delete this.scanDefaults.modelPaths;
+    this.slots = [];
+    this.queue = [];
+    this.nextId = 0;
+    this.destroyed = false;
+    this.startupFailures = 0;
+    this.failure = null;
+    for (let i = 0; i < size; i++) {
+      this.slots.push(this.spawn());
+    }
+  }
+  get size() {
+    return this.slots.length;
+  }
+  createWorker() {
+    return new Worker(workerPath, {
+      workerData: {
+        options: {
+          modelPaths: this.getModelPaths()
+        }
+      }
+    });
+  }
+  spawn() {
+    const worker = this.createWorker();
+    const slot = {
+      worker,
+      job: null,
+      ready: false,
+      exited: false
+    };
+    worker.on('message', message => this.onMessage(slot, message));
+    worker.on('error', error => this.onExit(slot, error));
+    worker.on('exit', code => this.onExit(slot, new Error(`worker stopped with exit code ${code}`)));
+    worker.unref();
+    return slot;
+  }
+  onMessage(slot, message) {
+    if (message.ready) {
+      slot.ready = true;
+      this.startupFailures = 0;
+      return;
+    }
+    const job = slot.job;
+    if (!job || job.id !== message.id) return;
+    slot.job = null;
+    slot.worker.unref();
+    job.cleanup();
+    if (message.ok) {
+      job.resolve(message.result);
+    } else {
+      job.reject(deserializeError(message.error));
+    }
+    this.dispatch();
+  }
+  onExit(slot, error) {
+    if (slot.exited) return;
+    slot.exited = true;
+    const index = this.slots.indexOf(slot);
+    if (index === -1) return;
+    const job = slot.job;
+    slot.job = null;
+    if (job) {
+      job.cleanup();
+      job.reject(new MrzError(`scan worker crashed: ${error.message}`, 'WORKER_CRASHED', error));
+    }
+    if (!slot.ready && !this.destroyed && !this.failure && ++this.startupFailures >= MAX_STARTUP_FAILURES) {
+      this.fail(new MrzError(`scan workers crashed ${this.startupFailures} times before starting: ${error.message}`, 'WORKER_CRASHED', error));
+    }
+    if (this.destroyed || this.failure) {
+      this.slots.splice(index, 1);
+    } else {
+      this.slots[index] = this.spawn();
+      this.dispatch();
+    }
+  }
+  fail(error) {
+    this.failure = error;
+    for (const job of this.queue.splice(0)) {
+      job.cleanup();
+      job.reject(error);
+    }
+  }
+  getModelPaths() {
+    if (this.options.modelPaths) {
+      return this.options.modelPaths;
+    }
+    try {
+      return getModelSource();
+    } catch (e) {
+      return undefined;
+    }
+  }
+  kill(job) {
+    const slot = this.slots.find(candidate => candidate.job === job);
+    if (!slot) return;
+    slot.job = null;
+    const index = this.slots.indexOf(slot);
+    this.slots[index] = this.spawn();
+    slot.worker.removeAllListeners();
+    slot.worker.terminate();
+  }
+  dispatch() {
+    for (let index = 0; index < this.slots.length; index++) {
+      if (this.queue.length === 0) return;
+      const slot = this.slots[index];
+      if (slot.job) continue;
+      const position = this.queue.findIndex(job => job.slot === undefined || job.slot === index);
+      if (position === -1) continue;
+      const [job] = this.queue.splice(position, 1);
+      slot.job = job;
+      slot.worker.ref();
+      slot.worker.postMessage({
+        id: job.id,
+        type: job.type,
+        buffer: job.buffer,
+        options: job.options
+      });
+    }
+  }
+  submit(type, buffer, options = {}, slot) {
+    return new Promise((resolve, reject) => {
+      if (this.destroyed) {
+        reject(new AbortError('the scanner pool was destroyed'));
+        return;
+      }
+      if (this.failure) {
+        reject(this.failure);
+        return;
+      }
+      const signal = options.signal;
+      const timeout = options.timeout !== undefined ? Number(options.timeout) : Number(this.options.timeout);
+      const jobOptions = Object.assign({}, options);
+      delete jobOptions.signal;
+      delete jobOptions.timeout;
+      if (signal && signal.aborted) {
+        reject(new AbortError('the scan was aborted'));
+        return;
+      }
+      let timer;
+      const job = {
+        id: this.nextId++,
+        type,
+        slot,
+        buffer,
+        options: jobOptions,
+        resolve,
+        reject,
+        cleanup: () => {
+          clearTimeout(timer);
+          if (signal) signal.removeEventListener('abort', onAbort);
+        }
+      };
+      const cancel = error => {
+        job.cleanup();
+        const position = this.queue.indexOf(job);
+        if (position !== -1) {
+          this.queue.splice(position, 1);
+        } else {
+          this.kill(job);
+        }
+        reject(error);
+        this.dispatch();
+      };
+      const onAbort = () => cancel(new AbortError('the scan was aborted'));
+      if (signal) signal.addEventListener('abort', onAbort);
+      if (timeout > 0) {
+        timer = setTimeout(() => cancel(new TimeoutError(`the scan did not finish within ${timeout}ms`)), timeout);
+      }
+      this.queue.push(job);
+      this.dispatch();
+    });
+  }
+  async load() {
+    await Promise.all(this.slots.map((slot, index) => this.submit('load', undefined, {}, index)));
+  }
+  async scan(buffer, options) {
+    const opts = Object.assign({}, this.scanDefaults, options);
+    const errors = opts.errors;
+    delete opts.errors;
+    try {
+      if (!(buffer instanceof Uint8Array)) {
+        throw new InvalidInputError('expected a non empty Buffer', 'INVALID_BUFFER');
+      }
+      if (opts.recognizer !== undefined && typeof opts.recognizer !== 'string') {
+        throw new InvalidInputError('the recognizer of a pooled scan must be the path of its module', 'INVALID_OPTION');
+      }
+      const result = await this.submit('scan', Uint8Array.from(buffer), opts);
+      return errors === 'result' ? {
+        ok: true,
+        result
+      } : result;
+    } catch (e) {
+      return handleError(e, errors);
+    }
+  }
+  scanMany(buffers, options = {}) {
+    return super.scanMany(buffers, Object.assign({
+      concurrency: this.size
+    }, options));
+  }
+  async destroy() {
+    this.destroyed = true;
+    for (const job of this.queue.splice(0)) {
+      job.cleanup();
+      job.reject(new AbortError('the scanner pool was destroyed'));
+    }
+    const slots = this.slots.splice(0);
+    await Promise.all(slots.map(slot => {
+      const job = slot.job;
+      slot.job = null;
+      slot.worker.removeAllListeners();
+      if (job) {
+        job.cleanup();
+        job.reject(new AbortError('the scanner pool was destroyed'));
+      }
+      return slot.worker.terminate();
+    }));
+  }
+}
+function createPool(options) {
+  return new MrzScannerPool(options);
+}
+module.exports = {
+  MrzScannerPool,
+  createPool
+};
\ No newline at end of file
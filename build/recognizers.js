@@ -0,0 +1,127 @@
+'use strict';
+const path = require('path');
+const {
+  predictImagesWithScores
+} = require('./svm');
+const {
+  getFingerprint,
+  predictFingerprints
+} = require('./fingerprint');
+const {
+  InvalidInputError,
+  ModelLoadError,
+  OcrError
+} = require('./errors');
+const toReading = ({
+  label,
+  confidence,
+  alternatives
+}) => ({
+  symbol: String.fromCharCode(label),
+  confidence,
+  alternatives: alternatives.map(alternative => ({
+    symbol: String.fromCharCode(alternative.label),
+    score: alternative.score
+  }))
+});
+function createSvmRecognizer(options = {}) {
+  return {
+    name: 'svm',
+    input: 'characters',
+    async recognize(images, {
+      topN
+    }) {
+      const predictions = await predictImagesWithScores(images, {
+        topN,
+        model: options.model
+      });
+      return predictions.map(toReading);
+    }
+  };
+}
+function createFingerprintRecognizer(options = {}) {
+  return {
+    name: 'fingerprint',
+    input: 'characters',
+    recognize(images, {
+      topN,
+      rois
+    }) {
+      const fingerprints = images.map((image, i) => rois && rois[i].fingerprint || getFingerprint(image));
+      return predictFingerprints(fingerprints, {
+        topN,
+        fontName: options.fontName
+      }).map(toReading);
+    }
+  };
+}
+function canFallBack(error, options) {
+  return error instanceof ModelLoadError && error.code === 'MODEL_NOT_FOUND' && options.method === undefined && options.recognizer === undefined;
+}
+function loadRecognizer(file) {
+  const resolved = path.resolve(file);
+  try {
+    const exported = require(resolved);
+    return exported && exported.default ? exported.default : exported;
+  } catch (e) {
+    throw new ModelLoadError(`could not load the recognizer ${resolved}: ${e.message}`, 'RECOGNIZER_LOAD_FAILED', e);
+  }
+}
+function resolveRecognizer(options) {
+  const {
+    recognizer: value
+  } = options;
+  if (value === undefined) {
+    return options.method === 'fingerprint' ? createFingerprintRecognizer() : createSvmRecognizer({
+      model: options.model
+    });
+  }
+  const recognizer = typeof value === 'string' ? loadRecognizer(value) : value;
+  if (!recognizer || typeof recognizer !== 'object' || typeof recognizer.recognize !== 'function') {
+    throw new InvalidInputError('recognizer must be an object with a recognize function, or the path of a module exporting one', 'INVALID_OPTION');
+  }
+  if (recognizer.input !== undefined && recognizer.input !== 'characters' && recognizer.input !== 'lines') {
+    throw new InvalidInputError(`recognizer input must be characters or lines, got ${String(recognizer.input)}`, 'INVALID_OPTION');
+  }
+  return recognizer;
+}
+function invalid(name, message) {
+  return new OcrError(`recognizer ${name} ${message}`, 'INVALID_RECOGNITION');
+}
+function checkReadings(recognizer, readings, count) {
+  const name = recognizer.name || 'custom';
+  if (!Array.isArray(readings)) {
+    throw invalid(name, `returned ${typeof readings} instead of an array of readings`);
+  }
+  if (count !== undefined && readings.length !== count) {
+    throw invalid(name, `returned ${readings.length} readings for ${count} images`);
+  }
+  return readings.map(reading => {
+    if (!reading || typeof reading.symbol !== 'string' || reading.symbol.length !== 1 || typeof reading.confidence !== 'number') {
+      throw invalid(name, `returned ${JSON.stringify(reading) || String(reading)}, expected { symbol, confidence, alternatives }`);
+    }
+    const alternatives = reading.alternatives || [];
+    if (!Array.isArray(alternatives) || !alternatives.every(alternative => alternative && typeof alternative.symbol === 'string' && typeof alternative.score === 'number')) {
+      throw invalid(name, 'returned alternatives which are not { symbol, score }');
+    }
+    return {
+      symbol: reading.symbol,
+      confidence: reading.confidence,
+      alternatives
+    };
+  });
+}
+function checkLineReadings(recognizer, lines, count) {
+  if (!Array.isArray(lines) || lines.length !== count) {
+    throw invalid(recognizer.name || 'custom', `returned ${Array.isArray(lines) ? lines.length : typeof lines} lines for ${count} images`);
+  }
+  return lines.map(line => checkReadings(recognizer, line));
+}
+module.exports = {
+  createSvmRecognizer,
+  createFingerprintRecognizer,
+  resolveRecognizer,
+  canFallBack,
+  checkReadings,
+  checkLineReadings
+};
\ No newline at end of file
@@ -0,0 +1,95 @@
+'use strict';
+
+const detectAndParseMrz = require('./detect-and-parse');
+const {
+  loadModel
+} = require('./svm');
+const {
+  canFallBack
+} = require('./recognizers');
+const {
+  wrapError,
+  handleError,
+  MrzError
+} = require('./errors');
+class MrzScanner {
+  constructor(options = {}) {
+    this.options = options;
+    this.modelPromise = null;
+  }
+  load() {
+    if (!this.modelPromise) {
+      this.modelPromise = loadModel(this.options.modelPaths).catch(error => {
+        this.modelPromise = null;
+        throw error;
+      });
+    }
+    return this.modelPromise;
+  }
+  async scan(buffer, options) {
+    const opts = Object.assign({}, this.options, options);
+    delete opts.modelPaths;
+    if (opts.method !== 'fingerprint' && opts.recognizer === undefined) {
+      try {
+        opts.model = await this.load();
+      } catch (e) {
+        if (!canFallBack(e, opts)) return handleError(e, opts.errors);
+        opts.method = 'fingerprint';
+      }
+    }
+    return detectAndParseMrz(buffer, opts);
+  }
+  async scanMany(buffers, options = {}) {
+    const concurrency = Math.max(1, Math.floor(Number(options.concurrency) || 1));
+    const scanOptions = Object.assign({}, options, {
+      errors: 'throw'
+    });
+    delete scanOptions.concurrency;
+    const results = new Array(buffers.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < buffers.length) {
+        const index = next++;
+        const start = Date.now();
+        try {
+          const result = await this.scan(buffers[index], scanOptions);
+          results[index] = {
+            index,
+            ok: true,
+            result,
+            duration: Date.now() - start
+          };
+        } catch (e) {
+          results[index] = {
+            index,
+            ok: false,
+            error: wrapError(e, MrzError, 'UNKNOWN'),
+            duration: Date.now() - start
+          };
+        }
+      }
+    };
+    const workers = [];
+    for (let i = 0; i < Math.min(concurrency, buffers.length); i++) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+    return results;
+  }
+  async destroy() {
+    this.modelPromise = null;
+  }
+}
+function createScanner(options) {
+  if (options && options.workers) {
+    const {
+      MrzScannerPool
+    } = require('./pool');
+    return new MrzScannerPool(options);
+  }
+  return new MrzScanner(options);
+}
+module.exports = {
+  MrzScanner,
+  createScanner
+};
\ No newline at end of file
@@ -1,43 +1,88 @@
 'use strict';
+
 const path = require('path');
 const fs = require('fs');
 const fsPromises = require('node:fs/promises');
-
 const groupBy = require('lodash.groupby');
 const hog = require('hog-features');
 const Kernel = require('ml-kernel');
 const range = require('lodash.range');
 const uniq = require('lodash.uniq');
 const BSON = require('bson');
-
 const SVM = require('libsvm-js/asm');
-const { readImages } = require('./util/readWrite');
-
-// Global variable to hold externally set model paths
+const {
+  Image
+} = require('image-js');
+const {
+  readImages
+} = require('./util/readWrite');
+const {
+  MrzError,
+  ModelLoadError,
+  InvalidInputError
+} = require('./errors');
+const {
+  parseSvmModel,
+  scoreSample,
+  scoreDecisionValues,
+  getDecisionValues,
+  collapseLinear,
+  getLinearDecisionValues,
+  predictLabel
+} = require('./lib/svmScores');
+const {
+  createManifest,
+  verifyManifest,
+  parseManifest,
+  getManifestPath
+} = require('./modelManifest');
+const MRZ = require('./internal/symbols');
+const FEATURES = {
+  scale: {
+    width: 20,
+    height: 20
+  },
+  pad: 2,
+  hog: {
+    cellSize: 5,
+    blockSize: 2,
+    blockStride: 1,
+    bins: 4,
+    norm: 'L2'
+  },
+  heightFeature: true
+};
+const ALPHABET = String.fromCharCode(...MRZ.symbols);
 let externalModelPaths = null;
-
-/**
- * Inject external model paths.
- * @param {Object} models - Should have properties:
- *   - descriptors: Path to the descriptors file
- *   - model: Path to the model (classifier) file
- */
+let externalModel = null;
+const bundledModelPaths = {
+  descriptors: path.join(__dirname, '..', 'models', 'ESC-v2.svm.descriptors'),
+  model: path.join(__dirname, '..', 'models', 'ESC-v2.svm.model')
+};
 function setModelPaths(models) {
   externalModelPaths = models;
 }
-
+function setModel(model) {
+  if (model !== null && !isModelData(model)) {
+    throw new InvalidInputError('setModel expects { descriptors: Buffer, model: string, manifest? }', 'INVALID_OPTION');
+  }
+  externalModel = model;
+}
+function isModelData(source) {
+  return Boolean(source) && source.descriptors instanceof Uint8Array && (typeof source.model === 'string' || source.model instanceof Uint8Array);
+}
 async function loadData(dir) {
   const data = await readImages(path.resolve(path.join(__dirname, '..'), dir));
-
   for (let entry of data) {
-    const { image } = entry;
+    const {
+      image
+    } = entry;
     entry.descriptor = extractHOG(image);
     entry.height = image.height;
   }
-
-  const groupedData = groupBy(data, (d) => d.card);
+  const groupedData = groupBy(data, d => d.card);
   for (let card in groupedData) {
-    const heights = groupedData[card].map((d) => d.height);
+    const heights = groupedData[card].map(d => d.height);
     const maxHeight = Math.max.apply(null, heights);
     const minHeight = Math.min.apply(null, heights);
     for (let d of groupedData[card]) {
@@ -50,29 +95,30 @@ async function loadData(dir) {
   }
   return data;
 }
-
 function extractHOG(image) {
-  image = image.scale({ width: 20, height: 20 });
-  image = image.pad({ size: 2 });
-  const optionsHog = {
-    cellSize: 5,
-    blockSize: 2,
-    blockStride: 1,
-    bins: 4,
-    norm: 'L2'
-  };
-  const hogFeatures = hog.extractHOG(image, optionsHog);
+  image = image.scale(FEATURES.scale);
+  image = image.pad({
+    size: FEATURES.pad
+  });
+  const hogFeatures = hog.extractHOG(image, FEATURES.hog);
   return hogFeatures;
 }
-
-// Get descriptors from an array of images
+let descriptorLength = 0;
+function getDescriptorLength() {
+  if (!descriptorLength) {
+    const blank = new Image(FEATURES.scale.width, FEATURES.scale.height, {
+      kind: 'GREY'
+    });
+    descriptorLength = extractHOG(blank).length + (FEATURES.heightFeature ? 1 : 0);
+  }
+  return descriptorLength;
+}
 function getDescriptors(images) {
   const result = [];
   for (let image of images) {
     result.push(extractHOG(image));
   }
-
-  const heights = images.map((img) => img.height);
+  const heights = images.map(img => img.height);
   const maxHeight = Math.max.apply(null, heights);
   const minHeight = Math.min.apply(null, heights);
   for (let i = 0; i < images.length; i++) {
@@ -85,81 +131,221 @@ function getDescriptors(images) {
   }
   return result;
 }
-
-function predictImages(images) {
+function predictImages(images, model) {
   const Xtest = getDescriptors(images);
-  return applyModel(Xtest);
+  return applyModel(Xtest, model);
 }
-
-function predict(classifier, Xtrain, Xtest, kernelOptions) {
-  const kernel = getKernel(kernelOptions);
-  const Ktest = kernel
-    .compute(Xtest, Xtrain)
-    .addColumn(0, range(1, Xtest.length + 1));
+function predictImagesWithScores(images, options = {}) {
+  const Xtest = getDescriptors(images);
+  return applyModelWithScores(Xtest, options);
+}
+function predict(classifier, Xtrain, Xtest, kernelOptions, kernel = getKernel(kernelOptions)) {
+  const Ktest = kernel.compute(Xtest, Xtrain).addColumn(0, range(1, Xtest.length + 1));
   return classifier.predict(Ktest);
 }
-
-async function applyModel(Xtest) {
-  const { descriptors: descriptorsPath, model: modelPath } = getFilePath();
-
+function predictWithScores(model, Xtest, topN) {
+  const {
+    svmModel,
+    supportVectors,
+    kernel,
+    weights
+  } = model;
+  const Ktest = weights ? null : kernel.compute(Xtest, supportVectors);
+  return Xtest.map((x, row) => {
+    const [best, ...others] = Ktest ? scoreSample(svmModel, Ktest.getRow(row)) : scoreDecisionValues(svmModel, getLinearDecisionValues(svmModel, weights, x));
+    return {
+      label: best.label,
+      confidence: best.score,
+      alternatives: others.slice(0, topN).map(({
+        label,
+        score
+      }) => ({
+        label,
+        score
+      }))
+    };
+  });
+}
+async function loadModel(source) {
+  source = source || getModelSource();
+  const inMemory = isModelData(source);
+  const {
+    descriptors: descriptorsPath,
+    model: modelPath
+  } = source;
+  let file;
+  let model;
   try {
-    const bson = new BSON();
-    const file = await fsPromises.readFile(descriptorsPath);
-    const { descriptors: Xtrain, kernelOptions } = bson.deserialize(file);
-
-    const model = await fsPromises.readFile(modelPath, {
+    file = inMemory ? Buffer.from(source.descriptors) : await fsPromises.readFile(descriptorsPath);
+    model = inMemory ? Buffer.from(source.model).toString('utf8') : await fsPromises.readFile(modelPath, {
       encoding: 'utf8'
     });
+  } catch (error) {
+    throw loadError(source, inMemory, error, error.code === 'ENOENT' ? 'MODEL_NOT_FOUND' : 'MODEL_LOAD_FAILED');
+  }
+  try {
+    const bson = new BSON();
+    const {
+      descriptors: Xtrain,
+      kernelOptions
+    } = bson.deserialize(file);
     const classifier = await SVM.load(model);
-
-    const prediction = predict(classifier, Xtrain, Xtest, kernelOptions);
-    return prediction;
+    const svmModel = parseSvmModel(model);
+    const supportVectors = svmModel.svIndices.map(index => Xtrain[index]);
+    const kernel = getKernel(kernelOptions);
+    const pairs = svmModel.labels.length * (svmModel.labels.length - 1) / 2;
+    const manifest = await readModelManifest(source, inMemory);
+    verifyManifest(manifest, {
+      features: FEATURES,
+      alphabet: ALPHABET,
+      descriptorLength: Xtrain.length ? Xtrain[0].length : 0,
+      expectedLength: getDescriptorLength(),
+      labels: svmModel.labels,
+      descriptors: file,
+      model
+    });
+    return {
+      Xtrain,
+      kernelOptions,
+      kernel,
+      classifier,
+      svmModel,
+      supportVectors,
+      weights: kernel.kernelType === 'linear' && pairs < supportVectors.length ? collapseLinear(svmModel, supportVectors) : null,
+      manifest
+    };
   } catch (error) {
-    const errorInfo = `Error loading model files. Tried paths:
-    - descriptors: ${descriptorsPath}
-    - model: ${modelPath}
+    if (error instanceof ModelLoadError) throw error;
+    throw loadError(source, inMemory, error, 'MODEL_LOAD_FAILED');
+  }
+}
+function loadError(source, inMemory, error, code) {
+  const errorInfo = inMemory ? `Error loading the model given to setModel: ${error.message}` : `Error loading model files. Tried paths:
+    - descriptors: ${source.descriptors}
+    - model: ${source.model}
     Original error: ${error.message}`;
-    console.error(errorInfo);
-    throw new Error(errorInfo);
+  console.error(errorInfo);
+  return new ModelLoadError(errorInfo, code, error);
+}
+async function readModelManifest(source, inMemory) {
+  if (inMemory) {
+    return source.manifest ? parseManifest(source.manifest) : null;
+  }
+  const manifestPath = source.manifest || getManifestPath(source.model);
+  if (!source.manifest && !fs.existsSync(manifestPath)) {
+    return null;
   }
+  return parseManifest(await fsPromises.readFile(manifestPath, {
+    encoding: 'utf8'
+  }));
 }
-
-async function createModel(letters, name, SVMOptions, kernelOptions) {
-  const { descriptors: descriptorsPath, model: modelPath } = getFilePath();
-  const { descriptors, classifier } = await train(letters, SVMOptions, kernelOptions);
+function checkDescriptors(model, Xtest) {
+  const {
+    Xtrain
+  } = model;
+  if (Xtest.length && Xtrain.length && Xtest[0].length !== Xtrain[0].length) {
+    throw new ModelLoadError(`the model was trained on ${Xtrain[0].length} features, the descriptors hold ${Xtest[0].length}`, 'MODEL_MISMATCH');
+  }
+}
+async function applyModel(Xtest, model) {
+  model = model || (await loadModel());
+  checkDescriptors(model, Xtest);
+  const {
+    svmModel,
+    supportVectors,
+    kernel,
+    weights
+  } = model;
+  if (weights) {
+    return Xtest.map(x => predictLabel(svmModel, getLinearDecisionValues(svmModel, weights, x)));
+  }
+  const Ktest = kernel.compute(Xtest, supportVectors);
+  return Xtest.map((x, row) => predictLabel(svmModel, getDecisionValues(svmModel, Ktest.getRow(row))));
+}
+async function applyModelWithScores(Xtest, {
+  topN = 3,
+  model
+} = {}) {
+  model = model || (await loadModel());
+  checkDescriptors(model, Xtest);
+  return predictWithScores(model, Xtest, topN);
+}
+async function createModel(letters, name, SVMOptions, kernelOptions, paths) {
+  const target = paths || getFilePath();
+  if (target === bundledModelPaths) {
+    throw new MrzError('createModel needs the paths of the files to write, the bundled model is not overwritten', 'MODEL_WRITE_FAILED');
+  }
+  const trained = await train(letters, SVMOptions, kernelOptions);
+  await saveModel(trained, kernelOptions, target, {
+    samples: letters.length
+  });
+  return trained;
+}
+async function saveModel({
+  descriptors,
+  classifier
+}, kernelOptions, paths, metrics) {
+  const {
+    descriptors: descriptorsPath,
+    model: modelPath
+  } = paths;
+  const manifestPath = paths.manifest || getManifestPath(modelPath);
   const bson = new BSON();
-
   try {
-    await fsPromises.writeFile(
-      descriptorsPath,
-      bson.serialize({ descriptors, kernelOptions })
-    );
-    await fsPromises.writeFile(modelPath, classifier.serializeModel());
+    const descriptorsFile = bson.serialize({
+      descriptors,
+      kernelOptions
+    });
+    const model = classifier.serializeModel();
+    const manifest = createManifest({
+      name: path.basename(modelPath).replace(/\.model$/, '').replace(/\.svm$/, ''),
+      library: require('../package.json').version,
+      features: FEATURES,
+      kernel: Object.assign({
+        type: 'linear'
+      }, kernelOptions),
+      alphabet: ALPHABET,
+      descriptorLength: descriptors.length ? descriptors[0].length : 0,
+      descriptors: descriptorsFile,
+      model,
+      metrics
+    });
+    await fsPromises.mkdir(path.dirname(descriptorsPath), {
+      recursive: true
+    });
+    await fsPromises.mkdir(path.dirname(modelPath), {
+      recursive: true
+    });
+    await fsPromises.mkdir(path.dirname(manifestPath), {
+      recursive: true
+    });
+    await fsPromises.writeFile(descriptorsPath, descriptorsFile);
+    await fsPromises.writeFile(modelPath, model);
+    await fsPromises.writeFile(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
   } catch (e) {
-    console.log(e);
+    throw new MrzError(`could not write the model files ${descriptorsPath} and ${modelPath}: ${e.message}`, 'MODEL_WRITE_FAILED', e);
   }
 }
-
+const CLASSIFIER_TYPES = [SVM.SVM_TYPES.C_SVC, SVM.SVM_TYPES.NU_SVC];
 async function train(letters, SVMOptions, kernelOptions) {
+  if (SVMOptions && SVMOptions.type !== undefined && !CLASSIFIER_TYPES.includes(String(SVMOptions.type))) {
+    throw new InvalidInputError(`svm type must be C_SVC (${SVM.SVM_TYPES.C_SVC}) or NU_SVC (${SVM.SVM_TYPES.NU_SVC}), got ${String(SVMOptions.type)}`, 'INVALID_OPTION');
+  }
   const SVMOptionsOneClass = {
     type: SVM.SVM_TYPES.ONE_CLASS,
     kernel: SVM.KERNEL_TYPES.PRECOMPUTED,
     nu: 0.5,
     quiet: true
   };
-
   const SVMNormalOptions = {
     type: SVM.SVM_TYPES.C_SVC,
     kernel: SVM.KERNEL_TYPES.PRECOMPUTED,
     gamma: 1,
     quiet: true
   };
-
-  const Xtrain = letters.map((s) => s.descriptor);
-  const Ytrain = letters.map((s) => s.label);
-
+  const Xtrain = letters.map(s => s.descriptor);
+  const Ytrain = letters.map(s => s.label);
   const uniqLabels = uniq(Ytrain);
-
   if (uniqLabels.length === 1) {
     console.log('training mode: ONE_CLASS');
     SVMOptions = Object.assign({}, SVMOptionsOneClass, SVMOptions, {
@@ -170,12 +356,9 @@ async function train(letters, SVMOptions, kernelOptions) {
       kernel: SVM.KERNEL_TYPES.PRECOMPUTED
     });
   }
-
   const classifier = new SVM(SVMOptions);
   const kernel = getKernel(kernelOptions);
-  const KData = kernel
-    .compute(Xtrain)
-    .addColumn(0, range(1, Ytrain.length + 1));
+  const KData = kernel.compute(Xtrain).addColumn(0, range(1, Ytrain.length + 1));
   classifier.train(KData, Ytrain);
   return {
     classifier,
@@ -183,61 +366,65 @@ async function train(letters, SVMOptions, kernelOptions) {
     oneClass: SVMOptions.type === SVM.SVM_TYPES.ONE_CLASS
   };
 }
-
-/**
- * Determines the file paths for the model files.
- * Priority:
- * 1. Use environment variables if set
- * 2. Use externally provided model paths if set via setModelPaths().
- * 3. Check for production files under /var/task/static/mrz-models.
- * 4. Fallback to local development files in public/mrz-models.
- */
 function getFilePath() {
-  // 1. Check environment variables first
   if (process.env.MRZ_DESCRIPTORS_PATH && process.env.MRZ_MODEL_PATH) {
     return {
       descriptors: process.env.MRZ_DESCRIPTORS_PATH,
-      model: process.env.MRZ_MODEL_PATH,
+      model: process.env.MRZ_MODEL_PATH
     };
   }
-
-  // 2. Check if an external path has been provided via setModelPaths()
   if (externalModelPaths?.descriptors && externalModelPaths?.model) {
     return externalModelPaths;
   }
-
-  // 3. Try using a production “public” path.
-  // Using path.resolve here ensures that the relative path is resolved against process.cwd() once.
   const prodPublicPath = path.resolve("public", "mrz-models");
   const descriptorsProd = path.join(prodPublicPath, "ESC-v2.svm.descriptors");
   const modelProd = path.join(prodPublicPath, "ESC-v2.svm.model");
   if (fs.existsSync(descriptorsProd)) {
-    return { descriptors: descriptorsProd, model: modelProd };
+    return {
+      descriptors: descriptorsProd,
+      model: modelProd
+    };
   }
-
-  // 4. Fallback to local development (using process.cwd())
   const localPath = path.join(process.cwd(), "public", "mrz-models");
   const descriptorsLocal = path.join(localPath, "ESC-v2.svm.descriptors");
   const modelLocal = path.join(localPath, "ESC-v2.svm.model");
   if (fs.existsSync(descriptorsLocal)) {
-    return { descriptors: descriptorsLocal, model: modelLocal };
+    return {
+      descriptors: descriptorsLocal,
+      model: modelLocal
+    };
   }
-
-  throw new Error("MRZ model files not found in any expected locations");
+  if (fs.existsSync(bundledModelPaths.descriptors)) {
+    return bundledModelPaths;
+  }
+  throw new ModelLoadError('MRZ model files not found in any expected locations', 'MODEL_NOT_FOUND');
+}
+function getModelSource() {
+  if (externalModel && !(process.env.MRZ_DESCRIPTORS_PATH && process.env.MRZ_MODEL_PATH)) {
+    return externalModel;
+  }
+  return getFilePath();
 }
-
 function getKernel(options) {
-  options = Object.assign({ type: 'linear' }, options);
+  options = Object.assign({
+    type: 'linear'
+  }, options);
   return new Kernel(options.type, options);
 }
-
 module.exports = {
   applyModel,
+  applyModelWithScores,
+  loadModel,
   createModel,
+  saveModel,
   train,
   predict,
   extractHOG,
   predictImages,
+  predictImagesWithScores,
   loadData,
-  setModelPaths
-};
+  getFilePath,
+  getModelSource,
+  setModelPaths,
+  setModel
+};
\ No newline at end of file
@@ -18,14 +18,16 @@ async function writeImages(images) {
       throw new Error('image and filePath props are mandatory');
     }
     const baseDir = path.resolve(path.dirname(filePath));
-    await fs.mkdir(baseDir);
+    await fs.mkdir(baseDir, {
+      recursive: true
+    });
     const metadataPath = path.join(baseDir, path.basename(filePath).replace(path.extname(filePath), '.json'));
     await image.save(filePath);
     const controller = new AbortController();
     const {
       signal
     } = controller;
-    await fs.writeFile(metadataPath, metadata, {
+    await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2), {
       signal
     });
   }
@@ -44,7 +46,7 @@ async function readImages(dir) {
       }
       const image = await Image.load(filePath);
       try {
-        metadata = await fs.readFile(path.join(dir, file.replace(ext, '.json')));
+        metadata = JSON.parse(await fs.readFile(path.join(dir, file.replace(ext, '.json')), 'utf8'));
       } catch (e) {
         metadata = {};
         console.log(`no metadata associated to ${filePath} found`);
@@ -0,0 +1,170 @@
+'use strict';
+const {
+  DateTime
+} = require('luxon');
+const {
+  resolveReferenceDate
+} = require('./mrz-dates');
+const {
+  InvalidInputError
+} = require('./errors');
+const RULES = ['notExpired', 'expiringWithinDays', 'minAge', 'maxAge', 'maxValidityYears', 'issuingStates', 'documentCodes'];
+function invalid(name, expected, value) {
+  return new InvalidInputError(`rule ${name} must be ${expected}, got ${JSON.stringify(value) || String(value)}`, 'INVALID_OPTION');
+}
+function checkNumber(name, value) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw invalid(name, 'a number >= 0', value);
+  }
+  return value;
+}
+function checkCodes(name, value) {
+  if (!Array.isArray(value) || !value.every(code => typeof code === 'string')) {
+    throw invalid(name, 'a list of codes', value);
+  }
+  return value.map(code => String(code).toUpperCase());
+}
+function resolveRules(rules) {
+  if (typeof rules !== 'object' || rules === null || Array.isArray(rules)) {
+    throw invalid('object', 'an object', rules);
+  }
+  const resolved = {};
+  for (const name of Object.keys(rules)) {
+    if (!RULES.includes(name)) {
+      throw new InvalidInputError(`unknown rule ${name}`, 'INVALID_OPTION');
+    }
+  }
+  if (rules.notExpired !== undefined) {
+    if (typeof rules.notExpired !== 'boolean') throw invalid('notExpired', 'a boolean', rules.notExpired);
+    resolved.notExpired = rules.notExpired;
+  }
+  for (const name of ['expiringWithinDays', 'minAge', 'maxAge']) {
+    if (rules[name] !== undefined) resolved[name] = checkNumber(name, rules[name]);
+  }
+  const {
+    maxValidityYears
+  } = rules;
+  if (maxValidityYears !== undefined) {
+    if (typeof maxValidityYears === 'object' && maxValidityYears !== null && !Array.isArray(maxValidityYears)) {
+      const years = {};
+      for (const type of Object.keys(maxValidityYears)) {
+        years[type] = checkNumber(`maxValidityYears.${type}`, maxValidityYears[type]);
+      }
+      resolved.maxValidityYears = years;
+    } else {
+      resolved.maxValidityYears = checkNumber('maxValidityYears', maxValidityYears);
+    }
+  }
+  for (const name of ['issuingStates', 'documentCodes']) {
+    if (rules[name] !== undefined) resolved[name] = checkCodes(name, rules[name]);
+  }
+  return resolved;
+}
+function bounds(value) {
+  if (!value) return null;
+  const date = DateTime.fromISO(value);
+  if (!date.isValid) return null;
+  const unit = value.length === 4 ? 'year' : value.length === 7 ? 'month' : 'day';
+  return {
+    first: date.startOf(unit).startOf('day'),
+    last: date.endOf(unit).startOf('day')
+  };
+}
+function decide(first, last) {
+  return first === last ? first : null;
+}
+function age(birth, reference) {
+  return Math.floor(reference.diff(birth, 'years').years);
+}
+function validateDocument(document, rules, options = {}) {
+  const resolved = resolveRules(rules);
+  const reference = resolveReferenceDate(options.referenceDate);
+  const expiration = bounds(document.validDate);
+  const birth = bounds(document.birthDate);
+  const outcomes = [];
+  const add = (rule, passed, message) => outcomes.push({
+    rule,
+    passed,
+    message
+  });
+  if (resolved.notExpired) {
+    if (!expiration) {
+      add('notExpired', null, 'the expiration date could not be read');
+    } else {
+      const passed = decide(expiration.first >= reference, expiration.last >= reference);
+      add('notExpired', passed, passed === false ? `the document expired on ${String(document.validDate)}` : `the document expires on ${String(document.validDate)}`);
+    }
+  }
+  const {
+    expiringWithinDays
+  } = resolved;
+  if (expiringWithinDays !== undefined) {
+    const limit = reference.plus({
+      days: expiringWithinDays
+    });
+    if (!expiration) {
+      add('expiringWithinDays', null, 'the expiration date could not be read');
+    } else {
+      const passed = decide(expiration.first > limit, expiration.last > limit);
+      add('expiringWithinDays', passed, passed === false ? `the document expires within ${expiringWithinDays} days, on ${String(document.validDate)}` : `the document expires after ${expiringWithinDays} days, on ${String(document.validDate)}`);
+    }
+  }
+  for (const rule of ['minAge', 'maxAge']) {
+    const limit = resolved[rule];
+    if (limit === undefined) continue;
+    if (!birth) {
+      add(rule, null, 'the birth date could not be read');
+      continue;
+    }
+    const youngest = age(birth.last, reference);
+    const oldest = age(birth.first, reference);
+    const passed = rule === 'minAge' ? decide(youngest >= limit, oldest >= limit) : decide(oldest <= limit, youngest <= limit);
+    const years = youngest === oldest ? `${youngest}` : `${youngest} to ${oldest}`;
+    add(rule, passed, `the holder is ${years} years old, ${rule === 'minAge' ? 'at least' : 'at most'} ${limit} expected`);
+  }
+  const {
+    maxValidityYears
+  } = resolved;
+  if (maxValidityYears !== undefined) {
+    const years = typeof maxValidityYears === 'number' ? maxValidityYears : maxValidityYears[document.documentType];
+    if (years !== undefined) {
+      const limit = reference.plus({
+        years
+      });
+      if (!expiration) {
+        add('maxValidityYears', null, 'the expiration date could not be read');
+      } else {
+        const passed = decide(expiration.first <= limit, expiration.last <= limit);
+        add('maxValidityYears', passed, `the document expires on ${String(document.validDate)}, at most ${years} years ahead expected`);
+      }
+    }
+  }
+  const {
+    issuingStates
+  } = resolved;
+  if (issuingStates) {
+    const state = document.issuingState;
+    if (!state) {
+      add('issuingStates', null, 'the issuing state could not be read');
+    } else {
+      const passed = issuingStates.includes(state.code) || Boolean(state.alpha2 && issuingStates.includes(state.alpha2));
+      add('issuingStates', passed, `issued by ${state.code}${passed ? '' : `, expected ${issuingStates.join(', ')}`}`);
+    }
+  }
+  const {
+    documentCodes
+  } = resolved;
+  if (documentCodes) {
+    const code = `${document.documentCode}${document.documentSubtype || ''}`;
+    const passed = documentCodes.includes(document.documentCode) || documentCodes.includes(code);
+    add('documentCodes', passed, `document code ${code}${passed ? '' : `, expected ${documentCodes.join(', ')}`}`);
+  }
+  return {
+    valid: outcomes.every(outcome => outcome.passed === true),
+    rules: outcomes
+  };
+}
+module.exports = {
+  validateDocument,
+  resolveRules
+};
\ No newline at end of file
@@ -1,16 +1,56 @@
 // index.js
-"use strict";
+'use strict';
 
 // Import the main MRZ scanning function:
-const detectAndParseMrz = require("./build/detect-and-parse.js");
-// Import the svm module which exports setModelPaths:
-const svm = require("./build/svm.js");
+const detectAndParseMrz = require('./build/detect-and-parse.js');
+// Import the svm module which exports setModelPaths and setModel:
+const svm = require('./build/svm.js');
+// Import the parser of MRZ text already read, e.g. from a chip or a manual entry:
+const parseMrzText = require('./build/parseMrzText.js');
+// Import the business rules evaluated on a result:
+const validate = require('./build/validateDocument.js');
+// Import the scanner which keeps the model loaded between scans:
+const scanner = require('./build/scanner.js');
+// Import the worker thread pool:
+const pool = require('./build/pool.js');
+// Import the training entry point, to build models on custom glyphs:
+const train = require('./build/train.js');
+// Import the synthetic data generator, to train and test offline:
+const synthetic = require('./build/synthetic.js');
+// Import the benchmark, to measure the accuracy on labelled images:
+const benchmark = require('./build/benchmark.js');
+// Import the built-in recognizers, to wrap them or to compare them with another engine:
+const recognizers = require('./build/recognizers.js');
+// Import the error classes so callers can branch on instanceof / code:
+const errors = require('./build/errors.js');
 
-// Attach the setModelPaths function onto the main export.
+// Attach the setModelPaths and setModel functions onto the main export.
 detectAndParseMrz.setModelPaths = svm.setModelPaths;
+detectAndParseMrz.setModel = svm.setModel;
 
 // Export both the main function and named functions for tree-shaking friendly imports
 module.exports = detectAndParseMrz;
 // For ESM and tree-shaking friendly imports - not needed for your current setup
 // but might be useful for future compatibility
 module.exports.setModelPaths = svm.setModelPaths;
+module.exports.setModel = svm.setModel;
+module.exports.parseMrzText = parseMrzText.parseMrzText;
+module.exports.validateDocument = validate.validateDocument;
+module.exports.createScanner = scanner.createScanner;
+module.exports.MrzScanner = scanner.MrzScanner;
+module.exports.createPool = pool.createPool;
+module.exports.MrzScannerPool = pool.MrzScannerPool;
+module.exports.trainModel = train.trainModel;
+module.exports.generateDataset = synthetic.generateDataset;
+module.exports.benchmark = benchmark.benchmark;
+module.exports.compareReports = benchmark.compareReports;
+module.exports.createSvmRecognizer = recognizers.createSvmRecognizer;
+module.exports.createFingerprintRecognizer = recognizers.createFingerprintRecognizer;
+module.exports.MrzError = errors.MrzError;
+module.exports.InvalidInputError = errors.InvalidInputError;
+module.exports.DetectionError = errors.DetectionError;
+module.exports.OcrError = errors.OcrError;
+module.exports.ParseError = errors.ParseError;
+module.exports.ModelLoadError = errors.ModelLoadError;
+module.exports.AbortError = errors.AbortError;
+module.exports.TimeoutError = errors.TimeoutError;
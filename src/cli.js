@@ -0,0 +1,29 @@
+// @flow strict
+'use strict';
+
+type Stream = { write: (chunk: string) => mixed };
+
+// Subcommands are loaded on demand, anything else is a list of files to scan
+const commands = {
+  // $FlowFixMe
+  train: () => require('./cli/train'),
+  // $FlowFixMe
+  generate: () => require('./cli/generate'),
+  // $FlowFixMe
+  benchmark: () => require('./cli/benchmark')
+};
+
+/**
+ * Runs the mrz-scan command line.
+ * @param {Array<string>} argv - Arguments without the node executable and script
+ * @param {object} [io] - { stdout, stderr } streams, process ones by default
+ * @return {Promise<number>} - The exit code
+ */
+module.exports = function cli(argv: Array<string>, io?: { stdout: Stream, stderr: Stream }): Promise<number> {
+  const command = commands[argv[0]];
+  if (command) {
+    return command()(argv.slice(1), io);
+  }
+  // $FlowFixMe
+  return require('./cli/scan')(argv, io);
+};
@@ -0,0 +1,143 @@
+// @flow strict
+'use strict';
+const parseArgs = require('../lib/parseArgs');
+const { trainModel } = require('../train');
+const { MrzError } = require('../errors');
+
+type Stream = { write: (chunk: string) => mixed };
+
+const TRAINED = 0;
+const FAILED = 1;
+const USAGE_ERROR = 2;
+
+const usage = `Usage: mrz-scan train [options] --output <dir> <dataset>
+
+Trains a character model on a directory of character images, each one next to a json file
+holding its "label" (the char code or the symbol), as written by the debug option of the scanner.
+
+Options:
+  -o, --output <dir>        where to write <name>.svm.descriptors and <name>.svm.model
+  -n, --name <name>         file name of the model, ESC-v2 by default
+      --validation <share>  share of each class kept to measure the accuracy, 0.2 by default
+      --seed <n>            seed of the train / validation split, 1 by default
+      --svm <json>          libsvm options, e.g. '{"cost":10}'
+      --kernel <json>       ml-kernel options, e.g. '{"type":"gaussian","sigma":2}', linear by default
+  -f, --format <format>     text (default) or json
+  -h, --help                show this help
+`;
+
+const spec = {
+  output: { type: 'string', alias: 'o' },
+  name: { type: 'string', alias: 'n' },
+  validation: { type: 'string' },
+  seed: { type: 'string' },
+  svm: { type: 'string' },
+  kernel: { type: 'string' },
+  format: { type: 'string', alias: 'f' },
+  help: { type: 'boolean', alias: 'h' }
+};
+
+function parseNumber(name: string, value: mixed): ?number {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (String(value).trim() === '' || !Number.isFinite(number)) {
+    throw new MrzError(`--${name} expects a number, got ${String(value)}`, 'INVALID_ARGUMENT');
+  }
+  return number;
+}
+
+function parseJson(name: string, value: mixed): ?{ [option: string]: mixed } {
+  if (value === undefined) return undefined;
+  let parsed;
+  try {
+    parsed = JSON.parse(String(value));
+  } catch (e) {
+    throw new MrzError(`--${name} expects a json object: ${e.message}`, 'INVALID_ARGUMENT');
+  }
+  if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+    throw new MrzError(`--${name} expects a json object`, 'INVALID_ARGUMENT');
+  }
+  return parsed;
+}
+
+function percent(value: ?number): string {
+  return value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+function formatReport(report: Object): string {
+  let text = `model        ${report.paths.model}\n`;
+  text += `descriptors  ${report.paths.descriptors}\n`;
+  text += `manifest     ${report.paths.manifest}\n`;
+  text += `samples      ${report.train} for training, ${report.validation} for validation\n`;
+  text += `accuracy     ${percent(report.accuracy)}\n`;
+  if (!report.validation) {
+    return text;
+  }
+
+  text += '\nclass  samples  correct  accuracy\n';
+  for (const { symbol, total, correct, accuracy } of report.classes) {
+    text += `${symbol.padStart(5)}  ${String(total).padStart(7)}  ${String(correct).padStart(7)}  ${(total ? percent(accuracy) : '-').padStart(8)}\n`;
+  }
+
+  // rows are the expected symbols, columns the predicted ones
+  const { labels, matrix } = report.confusion;
+  text += `\nconfusion (row: expected, column: predicted)\n   ${labels.map((label) => label.padStart(3)).join('')}\n`;
+  matrix.forEach((row, i) => {
+    text += `${labels[i].padStart(3)}${row.map((count) => (count ? String(count) : '.').padStart(3)).join('')}\n`;
+  });
+  return text;
+}
+
+/**
+ * Trains a model from the command line.
+ * @param {Array<string>} argv - Arguments after `train`
+ * @param {object} [io] - { stdout, stderr } streams, process ones by default
+ * @return {Promise<number>} - The exit code
+ */
+module.exports = async function trainCli(argv: Array<string>, io?: { stdout: Stream, stderr: Stream }): Promise<number> {
+  const stdout: Stream = io ? io.stdout : (process.stdout: $FlowFixMe);
+  const stderr: Stream = io ? io.stderr : (process.stderr: $FlowFixMe);
+
+  let trainOptions;
+  let format;
+  try {
+    const { options, positionals } = parseArgs(argv, spec);
+    if (options.help) {
+      stdout.write(usage);
+      return TRAINED;
+    }
+    if (positionals.length !== 1) {
+      throw new MrzError('expected one dataset directory', 'INVALID_ARGUMENT');
+    }
+    if (!options.output) {
+      throw new MrzError('--output is mandatory', 'INVALID_ARGUMENT');
+    }
+    format = String(options.format || 'text');
+    if (!['text', 'json'].includes(format)) {
+      throw new MrzError(`unknown format ${format}, expected text or json`, 'INVALID_ARGUMENT');
+    }
+    trainOptions = {
+      data: positionals[0],
+      output: String(options.output),
+      name: options.name === undefined ? undefined : String(options.name),
+      validation: parseNumber('validation', options.validation),
+      seed: parseNumber('seed', options.seed),
+      svm: parseJson('svm', options.svm),
+      kernel: parseJson('kernel', options.kernel)
+    };
+  } catch (e) {
+    stderr.write(`mrz-scan train: ${e.message}\n\n${usage}`);
+    return USAGE_ERROR;
+  }
+
+  let report;
+  try {
+    report = await trainModel(trainOptions);
+  } catch (e) {
+    stderr.write(`mrz-scan train: ${e.message}\n`);
+    return FAILED;
+  }
+
+  stdout.write(format === 'json' ? `${JSON.stringify(report, null, 2)}\n` : formatReport(report));
+  return TRAINED;
+};
@@ -3,16 +3,62 @@
 const ImageClass = require('image-js').Image;
 const getMrz = require('./getMrz');
 const mrzOcr = require('./internal/mrzOcr');
-// $FlowFixMe
-const { DateTime: luxon } = require('luxon');
+const { addFingerprintVotes } = require('./fingerprint');
+const { resolveRecognizer, canFallBack, createSvmRecognizer, createFingerprintRecognizer } = require('./recognizers');
+const { loadModel } = require('./svm');
+const roiOptions = require('./roiOptions');
 
-const parse = require('./mrz-relax');
+const { parseLines, formatFields, validateParsed } = require('./parseMrzText');
+const { resolveRules } = require('./validateDocument');
+import type { FormattedResult } from './parseMrzText';
+import type { Layout } from './mrz-formats';
+import type { Recognizer } from './recognizers';
+const { createDebugArtifacts, writeDebugArtifacts } = require('./internal/debug');
+const { resolveDetectionOptions } = require('./detectionOptions');
+const { resolveReferenceDate } = require('./mrz-dates');
+const {
+  wrapError,
+  handleError,
+  MrzError,
+  InvalidInputError,
+  DetectionError,
+  OcrError,
+  ParseError
+} = require('./errors');
 
 
 const getOptions = (value: any): Options => (typeof value === 'object' && !Array.isArray(value) && value !== null) ? value : {};
 
 type Options = {
   original?: boolean,
+  // 'throw' rejects with a MrzError, 'result' resolves { ok, result } / { ok, error }.
+  // When omitted the error is logged and undefined is returned.
+  errors?: 'throw' | 'result',
+  // number of runner-up symbols kept per character in the original result's confidence
+  topN?: number,
+  // search characters satisfying the failing check digits, enabled by default
+  correct?: boolean,
+  // maximum number of characters changed per check digit by the correction
+  maxCorrections?: number,
+  // birth dates are before it and expiration dates around it, now by default, see mrz-dates.js
+  referenceDate?: Date | string | number,
+  // only the number, dates and names of the first versions in the formatted result
+  compact?: boolean,
+  // business rules evaluated in `validation` of the result, see validateDocument.js
+  rules?: { [rule: string]: mixed },
+  // svm model shared between scans, set by MrzScanner
+  model?: mixed,
+  // 'svm' reads the characters with the model, the fingerprints break the ties with the check digits,
+  // 'fingerprint' with the fingerprints of fontData alone, see fingerprint.js
+  method?: 'svm' | 'fingerprint',
+  // reads the characters instead of the built-in recognizer of method, or the path of a module exporting it,
+  // see recognizers.js
+  recognizer?: Recognizer | string,
+  // tuning of the zone detection (resize width, kernels, ratio window...), see detectionOptions.js
+  detection?: { [option: string]: mixed },
+  // true keeps the intermediate images in `debug` of the result or of the error,
+  // a directory path writes them there instead
+  debug?: boolean | string,
 }
 
 type Fields = {
@@ -33,15 +79,35 @@ type Fields = {
   compositeCheckDigit: string,
 };
 
+type Confidence = {
+  value: number, // mean of the character confidences
+  min: number,
+  lines: Array<{ value: number, min: number }>,
+  characters: Array<Array<{
+    symbol: string,
+    confidence: number,
+    alternatives: Array<{ symbol: string, score: number }>,
+  }>>,
+};
+
+type Point = { x: number, y: number };
+
+// where the zone was found in the input image, see getMrz.js
+type Geometry = {
+  quadrilateral: [Point, Point, Point, Point],
+  boundingBox: { x: number, y: number, width: number, height: number },
+  skew: number,
+  orientation: 0 | 90 | 180 | 270,
+  imageWidth: number,
+  imageHeight: number,
+};
+
 type Result =
-  {
-    number: string,
-    validDate: string,
-    birthDate: string,
-    name: string,
-    surname: string,
-  } | {
-    format: string, // TD1, TD2, TD3
+  (FormattedResult & {
+    geometry: Geometry,
+    debug?: mixed,
+  }) | {
+    format: string, // see mrz-formats.js
     details: Array<{
       label: string,
       field: $Values<Fields>,
@@ -54,30 +120,230 @@ type Result =
     }>,
     fields: Fields,
     valid: boolean,
+    confidence: Confidence,
+    corrections: Array<{ line: number, column: number, from: string, to: string, field: ?string }>,
+    // text after the relaxation and the corrections
+    lines: Array<string>,
+    layout: Layout,
+    geometry: Geometry,
+    // region the result was read from, by decreasing surface, and how many crops were read
+    candidate: { index: number, flipped: boolean, tried: number },
+    debug?: mixed,
   }
 
-module.exports = async function detectAndParseMrz(buffer: Buffer, options?: ?Options): Promise<?Result> {
-  try {
-    const { original } = getOptions(options);
+type DebugArtifacts = {
+  stages: { [stage: string]: typeof ImageClass },
+  characters: Array<Object>,
+};
 
-    const mrz = await getMrz(await ImageClass.load(buffer));
-    const imageDataUrl = mrz.toDataURL();
+type Reading = {
+  candidate: Object, // see getMrz
+  index: number,
+  ocr: Object,
+  parsed: Object,
+  confidence: Confidence,
+};
+
+// error is always a MrzError
+type Outcome = { ok: true, result: Result } | { ok: false, error: Error };
+
+// OCR and parsing of one candidate zone
+async function readCandidate(candidate: Object, index: number, recognizer: Recognizer, options: Options): Promise<Reading> {
+  let ocr;
+  try {
+    const imageDataUrl = candidate.image.toDataURL();
     const toImage = await ImageClass.load(imageDataUrl);
-    var { ocrResult } = await mrzOcr(toImage);
-    //var { ocrResult } = await mrzOcr(toImage, options);
-    const parsed = parse(ocrResult);
-
-    const formattedResult = original ? parsed : {
-      number: parsed.fields.documentNumber,
-      validDate: luxon.fromFormat(parsed.fields.expirationDate, 'yyMMdd').toISODate(),
-      birthDate: luxon.fromFormat(parsed.fields.birthDate, 'yyMMdd').toISODate(),
-      name: parsed.fields.firstName.replace(/\s+/g, '').trim(),
-      surname: parsed.fields.lastName.replace(/\s+/g, '').trim(),
-    };
-
-    return formattedResult;
+    ocr = await mrzOcr(toImage, { topN: options.topN, recognizer });
+  } catch (e) {
+    throw wrapError(e, OcrError, 'OCR_FAILED');
+  }
+  const { ocrResult, confidence } = ocr;
+
+  if (ocrResult.length === 0) {
+    throw new OcrError('no text line recognized in the mrz', 'NO_TEXT');
+  }
+
+  const read = (characters) => parseLines(ocrResult, {
+    characters,
+    correct: options.correct,
+    maxCorrections: options.maxCorrections
+  });
+  let parsed;
+  try {
+    parsed = read(confidence.characters);
+    // the check digits disagree with the svm, the fingerprints may know better
+    const svm = options.recognizer === undefined && recognizer.name === 'svm';
+    if (!parsed.valid && svm && options.correct !== false) {
+      const voted = read(addFingerprintVotes(confidence.characters, ocr.rois));
+      if ((Number(voted.valid) - Number(parsed.valid) || countValidCheckDigits(voted) - countValidCheckDigits(parsed)) > 0) {
+        parsed = voted;
+      }
+    }
+  } catch (e) {
+    throw wrapError(e, ParseError, 'PARSE_FAILED');
+  }
+
+  return { candidate, index, ocr, parsed, confidence };
+}
+
+function errorStage(error: Error): number {
+  if (error instanceof ParseError) return 2;
+  if (error instanceof OcrError) return 1;
+  return 0;
+}
+
+function countValidCheckDigits(parsed: Object): number {
+  return parsed.details.filter((detail) => /CheckDigit$/.test(detail.field) && detail.valid).length;
+}
+
+// > 0 when a is the better reading: valid first, then more valid check digits, then higher confidence
+function compareReadings(a: Reading, b: Reading): number {
+  return (Number(a.parsed.valid) - Number(b.parsed.valid)) ||
+    (countValidCheckDigits(a.parsed) - countValidCheckDigits(b.parsed)) ||
+    (a.confidence.value - b.confidence.value);
+}
+
+async function scan(buffer: Buffer, options: Options, debug: ?DebugArtifacts): Promise<Result> {
+  if (!(buffer instanceof Uint8Array) || buffer.length === 0) {
+    throw new InvalidInputError('expected a non empty Buffer', 'INVALID_BUFFER');
+  }
+  const detection = resolveDetectionOptions(options.detection);
+  if (options.method !== undefined && options.method !== 'svm' && options.method !== 'fingerprint') {
+    throw new InvalidInputError(`method must be svm or fingerprint, got ${String(options.method)}`, 'INVALID_OPTION');
+  }
+  let recognizer = resolveRecognizer({ recognizer: options.recognizer, method: options.method || roiOptions.method, model: options.model });
+  resolveReferenceDate(options.referenceDate);
+  if (options.rules !== undefined) {
+    resolveRules(options.rules);
+  }
+
+  let image;
+  try {
+    image = await ImageClass.load(buffer);
+  } catch (e) {
+    throw new InvalidInputError(`could not decode image: ${e.message}`, 'UNSUPPORTED_IMAGE', e);
+  }
+  if (debug) debug.stages.original = image;
+
+  let regions;
+  try {
+    regions = getMrz(image, Object.assign({}, detection, { debug: debug && debug.stages }));
+  } catch (e) {
+    throw wrapError(e, DetectionError, 'DETECTION_FAILED');
+  }
+
+  // the model is loaded once for every candidate, the fingerprints read when its files are missing, see canFallBack
+  if (recognizer.name === 'svm' && options.recognizer === undefined && !options.model) {
+    try {
+      recognizer = createSvmRecognizer({ model: await loadModel() });
+    } catch (e) {
+      if (!canFallBack(e, options)) throw e;
+      recognizer = createFingerprintRecognizer();
+    }
+  }
+
+  // Regions are read by decreasing surface until one holds a valid MRZ, an ambiguous one both ways up.
+  // When none does, the reading with the most valid check digits wins.
+  let best: ?Reading = null;
+  // the error of the candidate that went the furthest, the first one on a tie
+  let error = null;
+  const keepError = (e) => {
+    if (!error || errorStage(e) > errorStage(error)) error = e;
+  };
+  let tried = 0;
+  for (const region of regions) {
+    for (const flipped of [false, true]) {
+      let candidate;
+      try {
+        candidate = region.crop(flipped);
+      } catch (e) {
+        keepError(wrapError(e, DetectionError, 'DETECTION_FAILED'));
+        break;
+      }
+      tried++;
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const reading = await readCandidate(candidate, region.index, recognizer, options);
+        if (!best || compareReadings(reading, best) > 0) {
+          best = reading;
+        }
+      } catch (e) {
+        keepError(e);
+      }
+      if ((best && best.parsed.valid) || !candidate.ambiguous) break;
+    }
+    if (best && best.parsed.valid) break;
+  }
+  if (!best) {
+    throw error || new DetectionError('no roi found');
+  }
+
+  const { parsed, confidence, candidate, index, ocr } = best;
+  if (debug) {
+    debug.stages.lineMask = ocr.mask;
+    debug.stages.lines = ocr.painted;
+    debug.characters = ocr.rois;
+  }
+
+  const validation = options.rules !== undefined ?
+    validateParsed(parsed, { rules: options.rules, referenceDate: options.referenceDate }) :
+    undefined;
+
+  if (options.original) {
+    parsed.confidence = confidence;
+    parsed.geometry = candidate.geometry;
+    parsed.candidate = { index, flipped: candidate.flipped, tried };
+    parsed.recognizer = recognizer.name || 'custom';
+    if (validation) parsed.validation = validation;
+    return parsed;
+  }
+
+  const formatted: Object = formatFields(parsed, { referenceDate: options.referenceDate, compact: options.compact });
+  if (validation) formatted.validation = validation;
+  formatted.geometry = candidate.geometry;
+  return formatted;
+}
+
+// Writes the artifacts when debug is a directory, the images are replaced by the written paths
+async function exportDebug(debug: DebugArtifacts, target: true | string): Promise<mixed> {
+  if (target === true) {
+    return debug;
+  }
+  try {
+    return { directory: target, files: await writeDebugArtifacts(target, debug) };
   } catch (e) {
-    console.log(e);
+    throw new MrzError(`could not write the debug images to ${target}: ${e.message}`, 'DEBUG_WRITE_FAILED', e);
   }
+}
+
+module.exports = async function detectAndParseMrz(buffer: Buffer, options?: ?Options): Promise<?Result | Outcome> {
+  const opts = getOptions(options);
+  const target = opts.debug;
+  const debug = target ? createDebugArtifacts() : null;
 
+  try {
+    let result;
+    try {
+      result = await scan(buffer, opts, debug);
+    } catch (e) {
+      // a failed scan is when the intermediate images matter most
+      if (debug && target) {
+        const error = wrapError(e, MrzError, 'UNKNOWN');
+        try {
+          error.debug = await exportDebug(debug, target);
+        } catch (writeError) {
+          // keep the scan error, it is the one the caller needs, with the images in memory
+          error.debug = debug;
+        }
+        throw error;
+      }
+      throw e;
+    }
+    if (debug && target) {
+      result.debug = await exportDebug(debug, target);
+    }
+    return opts.errors === 'result' ? { ok: true, result } : result;
+  } catch (e) {
+    return handleError(e, opts.errors);
+  }
 };
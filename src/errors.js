@@ -0,0 +1,146 @@
+// @flow strict
+'use strict';
+
+/**
+ * Base class of every error raised by the scanner.
+ * `code` is a stable machine readable identifier, safe to map to user messages and metrics.
+ */
+class MrzError extends Error {
+  /*:: code: string; */
+  /*:: cause: mixed; */
+  /*:: debug: mixed; */
+
+  constructor(message: string, code: string, cause?: mixed) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    if (cause !== undefined) {
+      this.cause = cause;
+    }
+  }
+}
+
+// The buffer or the options passed to the scanner are unusable
+class InvalidInputError extends MrzError {
+  constructor(message: string, code?: string = 'INVALID_INPUT', cause?: mixed) {
+    super(message, code, cause);
+  }
+}
+
+// No machine readable zone could be located in the image
+class DetectionError extends MrzError {
+  constructor(message: string, code?: string = 'MRZ_NOT_FOUND', cause?: mixed) {
+    super(message, code, cause);
+  }
+}
+
+// The zone was found but no text could be recognized in it
+class OcrError extends MrzError {
+  constructor(message: string, code?: string = 'OCR_FAILED', cause?: mixed) {
+    super(message, code, cause);
+  }
+}
+
+// The recognized text is not a parsable MRZ
+class ParseError extends MrzError {
+  constructor(message: string, code?: string = 'PARSE_FAILED', cause?: mixed) {
+    super(message, code, cause);
+  }
+}
+
+// The SVM descriptors or model could not be found or read
+class ModelLoadError extends MrzError {
+  constructor(message: string, code?: string = 'MODEL_LOAD_FAILED', cause?: mixed) {
+    super(message, code, cause);
+  }
+}
+
+// The scan was cancelled through its AbortSignal, or its pool was destroyed
+class AbortError extends MrzError {
+  constructor(message: string, code?: string = 'ABORTED', cause?: mixed) {
+    super(message, code, cause);
+  }
+}
+
+// The scan did not finish within its time budget
+class TimeoutError extends MrzError {
+  constructor(message: string, code?: string = 'TIMEOUT', cause?: mixed) {
+    super(message, code, cause);
+  }
+}
+
+// Keep errors already classified by a lower stage, wrap anything else in the stage's own class
+function wrapError(error: mixed, ErrorClass: Class<MrzError>, code: string): MrzError {
+  if (error instanceof MrzError) {
+    return error;
+  }
+  const message = error instanceof Error ? error.message : String(error);
+  // $FlowFixMe subclasses share the (message, code, cause) signature
+  return new ErrorClass(message, code, error);
+}
+
+/**
+ * Applies the `errors` option of a scan to a failure:
+ * 'throw' rethrows, 'result' resolves { ok: false, error }, anything else logs and resolves undefined.
+ */
+function handleError(e: mixed, mode: ?string): ?{ ok: false, error: Error } {
+  const error = wrapError(e, MrzError, 'UNKNOWN');
+  if (mode === 'throw') {
+    throw error;
+  }
+  if (mode === 'result') {
+    return { ok: false, error };
+  }
+  console.log(error);
+}
+
+type SerializedError = { name: string, code: string, message: string, stack: ?string, debug?: mixed };
+
+// Errors lose their class when posted between threads, keep what is needed to rebuild them
+function serializeError(e: mixed): SerializedError {
+  const error = wrapError(e, MrzError, 'UNKNOWN');
+  const data: SerializedError = { name: error.name, code: error.code, message: error.message, stack: error.stack };
+  // only the written debug paths are worth sending across threads
+  const { debug } = error;
+  if (debug && typeof debug === 'object' && typeof debug.directory === 'string') {
+    data.debug = debug;
+  }
+  return data;
+}
+
+function deserializeError(data: SerializedError): MrzError {
+  const classes = {
+    MrzError,
+    InvalidInputError,
+    DetectionError,
+    OcrError,
+    ParseError,
+    ModelLoadError,
+    AbortError,
+    TimeoutError
+  };
+  const ErrorClass = classes[data.name] || MrzError;
+  const error = new ErrorClass(data.message, data.code);
+  if (data.stack) {
+    error.stack = data.stack;
+  }
+  if (data.debug) {
+    error.debug = data.debug;
+  }
+  return error;
+}
+
+module.exports = {
+  wrapError,
+  handleError,
+  serializeError,
+  deserializeError,
+  MrzError,
+  InvalidInputError,
+  DetectionError,
+  OcrError,
+  ParseError,
+  ModelLoadError,
+  AbortError,
+  TimeoutError
+};
@@ -0,0 +1,163 @@
+// @flow strict
+'use strict';
+// Recognizes the characters by their 12 x 12 fingerprint, the bitmap of their mask, against the fingerprints
+// of a font in fontData. Needs no trained model, the svm stays the more accurate of the two.
+// $FlowFixMe
+const path = require('path');
+// $FlowFixMe
+const fs = require('fs');
+
+const fingerprintOptions = require('./fingerprintOptions');
+const roiOptions = require('./roiOptions');
+const { ModelLoadError } = require('./errors');
+
+type Font = Array<{ label: number, fingerprints: Array<Array<number>> }>;
+
+type Prediction = {
+  label: number,
+  // similarity of the best fingerprint, 0 to 1
+  confidence: number,
+  alternatives: Array<{ label: number, score: number }>,
+};
+
+type Character = {
+  symbol: string,
+  confidence: number,
+  alternatives: Array<{ symbol: string, score: number }>,
+};
+
+type PredictOptions = {
+  // number of runner-up labels kept per fingerprint
+  topN?: number,
+  // a font of fontData/12x12/mrz, fingerprintOptions.fontName by default
+  fontName?: string,
+};
+
+const fonts: Map<string, Font> = new Map();
+
+// number of bits set in each byte value
+const BIT_COUNT = Array.from({ length: 256 }, (value, byte) => {
+  let count = 0;
+  for (let bits = byte; bits; bits >>= 1) count += bits & 1;
+  return count;
+});
+
+/**
+ * Reads the fingerprints of a font once.
+ * @param {string} [name] - fingerprintOptions.fontName by default
+ * @return {Font}
+ */
+function loadFont(name?: string = fingerprintOptions.fontName): Font {
+  const cached = fonts.get(name);
+  if (cached) return cached;
+  const file = path.join(fingerprintOptions.baseDir, fingerprintOptions.category, `${path.basename(name)}.json`);
+  let font;
+  try {
+    font = JSON.parse(fs.readFileSync(file, 'utf8')).fingerprint.map(({ symbol, fingerprints }) => ({
+      label: symbol.charCodeAt(0),
+      fingerprints
+    }));
+  } catch (e) {
+    throw new ModelLoadError(`could not read the fingerprints of font ${name} from ${file}: ${e.message}`, 'FONT_LOAD_FAILED', e);
+  }
+  fonts.set(name, font);
+  return font;
+}
+
+/**
+ * Tanimoto similarity of two fingerprints: the pixels set in both over the pixels set in either.
+ * @param {Array<number>} a - Bitmap packed 8 pixels per byte
+ * @param {Array<number>} b
+ */
+function getSimilarity(a: Array<number> | Uint8Array, b: Array<number> | Uint8Array): number {
+  let common = 0;
+  let total = 0;
+  for (let i = 0; i < a.length; i++) {
+    common += BIT_COUNT[a[i] & b[i]];
+    total += BIT_COUNT[a[i] | b[i]];
+  }
+  return total === 0 ? 0 : common / total;
+}
+
+/**
+ * The fingerprint of a character crop, cut to its ink like the masks of the components in getLinesFromImage.
+ * @param {Image} image
+ * @return {Array<number>}
+ */
+function getFingerprint(image: Object): Array<number> {
+  const mask = image.grey({ allowGrey: true }).mask({ invert: true, algorithm: roiOptions.algorithm });
+  let [minX, minY, maxX, maxY] = [mask.width, mask.height, -1, -1];
+  for (let y = 0; y < mask.height; y++) {
+    for (let x = 0; x < mask.width; x++) {
+      if (mask.getBitXY(x, y)) {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+      }
+    }
+  }
+  if (maxX < 0) {
+    return new Array((fingerprintOptions.width * fingerprintOptions.height) / 8).fill(0);
+  }
+  const ink = mask.crop({ x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 });
+  return Array.from(ink.scale({ width: fingerprintOptions.width, height: fingerprintOptions.height }).data);
+}
+
+/**
+ * The most similar symbol of the font for each fingerprint, in the shape of predictImagesWithScores.
+ * The runner-ups below fingerprintOptions.minSimilarity are not kept, none are without fingerprintOptions.ambiguity.
+ * @param {Array<Array<number>>} fingerprints - See getFingerprint, or the `data` of a component
+ * @param {PredictOptions} [options]
+ * @return {Array<Prediction>}
+ */
+function predictFingerprints(fingerprints: Array<Array<number>>, options?: PredictOptions = {}): Array<Prediction> {
+  const { topN = 3, fontName } = options;
+  const font = loadFont(fontName);
+  return fingerprints.map((fingerprint) => {
+    const [best, ...others] = font
+      .map(({ label, fingerprints: references }) => ({
+        label,
+        score: Math.max(...references.map((reference) => getSimilarity(fingerprint, reference)))
+      }))
+      .sort((a, b) => b.score - a.score);
+    const alternatives = fingerprintOptions.ambiguity ?
+      others.filter(({ score }) => score >= fingerprintOptions.minSimilarity).slice(0, topN) :
+      [];
+    return { label: best.label, confidence: best.score, alternatives };
+  });
+}
+
+/**
+ * Adds the symbol the fingerprints read where the svm read another one to the candidates of the correction,
+ * scored by its similarity.
+ * @param {Array<Array<object>>} characters - The svm reading per line and column, see mrzOcr
+ * @param {Array<object>} rois - The crops of mrzOcr with their `fingerprint`, the fillers are skipped
+ * @return {Array<Array<object>>} - A copy of the characters
+ */
+function addFingerprintVotes(characters: Array<Array<Character>>, rois: Array<Object>): Array<Array<Character>> {
+  const read = rois.filter((roi) => roi.kind !== 'filler');
+  const votes = predictFingerprints(read.map((roi) => roi.fingerprint), { topN: 0 });
+  const result = characters.map((line) => line.slice());
+  read.forEach((roi, idx) => {
+    const symbol = String.fromCharCode(votes[idx].label);
+    const character = result[roi.line][roi.column];
+    if (symbol === character.symbol) return;
+    const previous = character.alternatives.find((alternative) => alternative.symbol === symbol);
+    const score = Math.max(votes[idx].confidence, previous ? previous.score : 0);
+    result[roi.line][roi.column] = {
+      symbol: character.symbol,
+      confidence: character.confidence,
+      alternatives: character.alternatives.filter((alternative) => alternative !== previous).concat({ symbol, score })
+    };
+  });
+  return result;
+}
+
+module.exports = {
+  addFingerprintVotes,
+  loadFont,
+  getSimilarity,
+  getFingerprint,
+  predictFingerprints
+};
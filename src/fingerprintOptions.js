@@ -2,7 +2,7 @@ const path = require('path');
 const symbols = require('./internal/symbols');
 
 module.exports = {
-  baseDir: path.join(__dirname, './fontData'),
+  baseDir: path.join(__dirname, '../fontData/12x12'),
   height: 12,
   width: 12,
   minSimilarity: 0.5,
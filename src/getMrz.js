@@ -3,28 +3,175 @@ const ImageClass = require('image-js').Image;
 const radiansDegrees = require('radians-degrees');
 const { Matrix } = require('ml-matrix');
 const {
+  identity,
+  inverse,
   rotateDEG,
   translate,
   transform,
   applyToPoint,
   applyToPoints
 } = require('transformation-matrix');
+const { DetectionError } = require('./errors');
+const { resolveDetectionOptions } = require('./detectionOptions');
+
+type GetMrzOptions = {
+  // see detectionOptions.js for the tunable values and their defaults
+  [option: string]: mixed,
+  // receives the intermediate image of every stage, by name
+  debug?: ?{ [stage: string]: typeof ImageClass },
+};
+
+type Point = { x: number, y: number };
+
+type Geometry = {
+  // corners of the cropped zone in the source image: top left, top right, bottom right, bottom left as read
+  quadrilateral: [Point, Point, Point, Point],
+  // axis aligned rectangle around the quadrilateral, within the image
+  boundingBox: { x: number, y: number, width: number, height: number },
+  // rotation leveling the zone in degrees clockwise, -3 for a zone tilted 3° clockwise, applied from 1°
+  skew: number,
+  // quarter turns applied to the image to read the zone, in degrees clockwise
+  orientation: 0 | 90 | 180 | 270,
+  imageWidth: number,
+  imageHeight: number,
+};
+
+type Candidate = {
+  image: typeof ImageClass,
+  geometry: Geometry,
+  // read the other way round than its position in the image suggests
+  flipped: boolean,
+  // the zone is close to the middle of the image, its upside down crop is worth reading as well
+  ambiguous: boolean,
+};
+
+type Region = {
+  // rank of the region by decreasing surface
+  index: number,
+  // the zone is expected in the bottom half of the document, flipped reads it the other way round
+  crop: (flipped?: boolean) => Candidate,
+};
+
+// the zone is read both ways when its center is this close to the middle of the image, relative to its height
+const AMBIGUOUS_FLIP = 0.15;
+
+/**
+ * Finds the regions that may be the zone, by decreasing surface, up to `maxCandidates`.
+ * Cropping is done on demand as it rotates the full resolution image, each crop is only done once.
+ * When no region is found, or none of them can be cropped, the zone is looked for on the image turned left.
+ */
+function getMrz(image: typeof ImageClass, options?: GetMrzOptions = {}): Array<Region> {
+  const { debug } = options;
+  const detectionOptions = Object.assign({}, options);
+  delete detectionOptions.debug;
+  const config = resolveDetectionOptions(detectionOptions);
+  const keep = (stage, stageImage) => {
+    if (debug) debug[stage] = stageImage;
+  };
+
+  let crops = 0;
+  const getRegions = (source, sourceTransform, sourceOrientation) => {
+    const regions = findRegions(source, config, debug);
+    return regions.slice(0, config.maxCandidates).map((region, index) => {
+      const done: Map<boolean, { candidate?: Candidate, error?: Error }> = new Map();
+      const crop = (flipped) => {
+        const mrz = cropRegion(source, region, flipped);
+        keep(crops === 0 ? 'mrz' : `mrz-${crops}`, mrz.image);
+        crops++;
+        mrz.transform = transform(mrz.transform, sourceTransform);
+        mrz.orientation += sourceOrientation;
+        return {
+          image: mrz.image,
+          geometry: getGeometry(image, mrz),
+          flipped: Boolean(flipped),
+          ambiguous: mrz.ambiguous
+        };
+      };
+      return {
+        index,
+        crop: (flipped) => {
+          const key = Boolean(flipped);
+          if (!done.has(key)) {
+            try {
+              done.set(key, { candidate: crop(key) });
+            } catch (e) {
+              done.set(key, { error: e });
+            }
+          }
+          const { candidate, error } = done.get(key) || {};
+          if (!candidate) throw error;
+          return candidate;
+        }
+      };
+    });
+  };
 
-const rectKernel = getRectKernel(9, 5);
-const sqKernel = getRectKernel(19, 19);
-
-function getMrz(image: typeof ImageClass) {
   try {
-    return internalGetMrz(image);
+    const regions = getRegions(image, identity(), 0);
+    const cropped = regions.some((region) => {
+      try {
+        region.crop(false);
+        return true;
+      } catch (e) {
+        return false;
+      }
+    });
+    if (!cropped) {
+      throw new DetectionError('no region could be cropped');
+    }
+    return regions;
   } catch (e) {
-    return internalGetMrz(image.rotateLeft());
+    // the stages of the rotated attempt replace the failed ones
+    return getRegions(image.rotateLeft(), transform(translate(0, image.width), rotateDEG(-90)), 270);
   }
 }
-// TODO here we need configurable with options object like { resize: 500, transform: ['grey', 'gaussianFilter', 'blackHat', 'scharrFilter'] }
 
-function internalGetMrz(image) {
+// Maps the crop rectangle back to the source image
+function getGeometry(image, { crop, transform: toCrop, orientation, skew }): Geometry {
+  const toSource = inverse(toCrop);
+  const corners = [
+    { x: crop.x, y: crop.y },
+    { x: crop.x + crop.width, y: crop.y },
+    { x: crop.x + crop.width, y: crop.y + crop.height },
+    { x: crop.x, y: crop.y + crop.height }
+  ].map((corner) => {
+    const { x, y } = applyToPoint(toSource, corner);
+    return { x: round(x), y: round(y) };
+  });
+
+  const xs = corners.map((corner) => corner.x);
+  const ys = corners.map((corner) => corner.y);
+  const minX = Math.max(0, Math.min(...xs));
+  const minY = Math.max(0, Math.min(...ys));
+  const maxX = Math.min(image.width, Math.max(...xs));
+  const maxY = Math.min(image.height, Math.max(...ys));
+
+  return {
+    quadrilateral: [corners[0], corners[1], corners[2], corners[3]],
+    boundingBox: { x: minX, y: minY, width: round(maxX - minX), height: round(maxY - minY) },
+    skew: round(skew),
+    orientation: ((orientation % 360: $FlowFixMe): 0 | 90 | 180 | 270),
+    imageWidth: image.width,
+    imageHeight: image.height
+  };
+}
+
+function round(value) {
+  // no -0 in the results
+  return Math.round(value * 100) / 100 || 0;
+}
+
+function findRegions(image, config, debug) {
+  const keep = (stage, stageImage) => {
+    if (debug) debug[stage] = stageImage;
+  };
+  const lineKernel = getRectKernel(...config.lineKernel);
+  const blockKernel = getRectKernel(...config.blockKernel);
+  const steps = config.transform;
+
   const original = image;
-  const resized = image.resize({ width: 500 });
+  const resized = image.resize({ width: config.resize });
+  keep('resized', resized);
 
   const originalToTreatedRatio = original.width / resized.width;
 
@@ -45,6 +192,7 @@ function internalGetMrz(image) {
    * @return {Image}
    */
   const grey = resized.grey();
+  keep('grey', grey);
 
   /**
    * Apply a gaussian filter to the image.
@@ -57,7 +205,8 @@ function internalGetMrz(image) {
    * @param {string} [options.border='copy']
    * @return {Image}
    */
-  const resizedGray = grey.gaussianFilter({ radius: 1 });
+  const resizedGray = steps.includes('gaussianFilter') ? grey.gaussianFilter({ radius: config.gaussianRadius }) : grey;
+  keep('gaussian', resizedGray);
   
   /**
    * This function is the black top hat (also called black hat).
@@ -74,51 +223,56 @@ function internalGetMrz(image) {
    * @param {number} [options.iterations=1] - Number of iterations of the morphological transform
    * @return {Image}
    */
-  const blackHat = resizedGray.blackHat({ kernel: rectKernel });
-
-  /**
-   * Applies the Scharr operator.
-   * @memberof Image
-   * @instance
-   * @param {object} [options]
-   * @param {GradientDirection} [options.direction]
-   * @param {string} [options.border='copy']
-   * @param {*} [options.channels]
-   * @param {number} [options.bitDepth=this.bitDepth] Specify the bitDepth of the resulting image
-   * @return {Image}
-   * @see {@link https://en.wikipedia.org/wiki/Sobel_operator#Alternative_operators}
-   */
-  const scharrFilter = blackHat.scharrFilter({ direction: 'x', bitDepth: 32 });
-  /**
-   * Calculate the absolute values of an image.
-   * Only works on 32-bit images.
-   * @memberof Image
-   * @instance
-   * @param {object} [options]
-   * @param {boolean} [options.inPlace=false]
-   * @param {Image} [options.out]
-   * @return {Image}
-   */
-  const abs = scharrFilter.abs();
-
-  /** rgba8()
-   * Make a copy of the current image and convert to RGBA 8 bits
-   * Those images are the one that are displayed in a canvas.
-   * RGB model in 8 bits per channel and containing as well an alpha channel.
-   * The source image may be:
-   * * a mask (binary image)
-   * * a grey image (8, 16 or 32 bits) with or without alpha channel
-   * * a color image (8, 16 or 32 bits) with or without alpha channel in with RGB model
-   * * when the image is 32 bits, a rescaling is performed from the min and max values
-   * * to map values from 0 to 255
-   * The conversion is based on {@link Image#getRGBAData}.
-   * @memberof Image
-   * @instance
-   * @return {Image} - New image in RGB color model with alpha channel
-   * @example
-   * var rgbaImage = image.rgba8();
-   */
-  const rgba8 = abs.rgba8().grey();
+  const blackHat = steps.includes('blackHat') ? resizedGray.blackHat({ kernel: lineKernel }) : resizedGray;
+  keep('blackHat', blackHat);
+
+  let rgba8 = blackHat;
+  if (steps.includes('scharrFilter')) {
+    /**
+     * Applies the Scharr operator.
+     * @memberof Image
+     * @instance
+     * @param {object} [options]
+     * @param {GradientDirection} [options.direction]
+     * @param {string} [options.border='copy']
+     * @param {*} [options.channels]
+     * @param {number} [options.bitDepth=this.bitDepth] Specify the bitDepth of the resulting image
+     * @return {Image}
+     * @see {@link https://en.wikipedia.org/wiki/Sobel_operator#Alternative_operators}
+     */
+    const scharrFilter = blackHat.scharrFilter({ direction: 'x', bitDepth: 32 });
+    /**
+     * Calculate the absolute values of an image.
+     * Only works on 32-bit images.
+     * @memberof Image
+     * @instance
+     * @param {object} [options]
+     * @param {boolean} [options.inPlace=false]
+     * @param {Image} [options.out]
+     * @return {Image}
+     */
+    const abs = scharrFilter.abs();
+
+    /** rgba8()
+     * Make a copy of the current image and convert to RGBA 8 bits
+     * Those images are the one that are displayed in a canvas.
+     * RGB model in 8 bits per channel and containing as well an alpha channel.
+     * The source image may be:
+     * * a mask (binary image)
+     * * a grey image (8, 16 or 32 bits) with or without alpha channel
+     * * a color image (8, 16 or 32 bits) with or without alpha channel in with RGB model
+     * * when the image is 32 bits, a rescaling is performed from the min and max values
+     * * to map values from 0 to 255
+     * The conversion is based on {@link Image#getRGBAData}.
+     * @memberof Image
+     * @instance
+     * @return {Image} - New image in RGB color model with alpha channel
+     * @example
+     * var rgbaImage = image.rgba8();
+     */
+    rgba8 = abs.rgba8().grey();
+  }
+  keep('scharr', rgba8);
 
   /**
    * In mathematical morphology, the closing of a set A by a structuring element B is the erosion of the dilation of that set (Wikipedia).
@@ -132,7 +286,8 @@ function internalGetMrz(image) {
    * @param {number} [options.iterations=1] - Number of iterations of the morphological transform
    * @return {Image}
    */
-  const closeRect = rgba8.close({ kernel: rectKernel });
+  const closeRect = rgba8.close({ kernel: lineKernel });
+  keep('closed', closeRect);
   
   /**
    * Creation of binary mask is based on the determination of a threshold
@@ -147,9 +302,11 @@ function internalGetMrz(image) {
    * @return {Image} - Binary image containing the mask
    */
   const mask = closeRect.mask({ algorithm: 'otsu' });
+  keep('mask', mask);
 
   // http://docs.opencv.org/2.4/doc/tutorials/imgproc/opening_closing_hats/opening_closing_hats.html
-  const closeKernel = mask.close({ kernel: sqKernel });
+  const closeKernel = mask.close({ kernel: blockKernel });
+  keep('maskClosed', closeKernel);
 
   /**
    * Erosion is one of two fundamental operations (with dilatation) in morphological
@@ -164,7 +321,8 @@ function internalGetMrz(image) {
    * @param {number} [options.iterations=1] - The number of successive erosions
    * @return {Image}
    */
-  const erode = closeKernel.erode({ iterations: 4 });
+  const erode = closeKernel.erode({ iterations: config.erodeIterations });
+  keep('eroded', erode);
 
   /**
    * Dilatation is one of two fundamental operations (with erosion) in morphological
@@ -179,7 +337,8 @@ function internalGetMrz(image) {
    * @param {number} [options.iterations=1] - The number of successive erosions
    * @return {Image}
    */
-  const dilate = erode.dilate({ iterations: 8 });
+  const dilate = erode.dilate({ iterations: config.dilateIterations });
+  keep('dilated', dilate);
 
   /**
    * A manager of Regions of Interest. A RoiManager is related to a specific Image
@@ -217,7 +376,7 @@ function internalGetMrz(image) {
    * @param {number} [options.maxRatio=Number.POSITIVE_INFINITY]
    * @return {Roi[]}
    */
-  let rois = roiManager.getRois({ minSurface: 5000 });
+  let rois = roiManager.getRois({ minSurface: config.minSurface });
 
   /**
    * Returns an array of masks
@@ -266,20 +425,39 @@ function internalGetMrz(image) {
     };
   });
 
-  rois = rois.filter((roi) => checkRatio(roi.meta.ratio));
+  rois = rois.filter((roi) => checkRatio(roi.meta.ratio, config));
   masks = rois.map((roi) => roi.roi.getMask());
 
+  if (debug) {
+    // every region large enough, the kept ones have a red bounding rectangle
+    const painted = roiManager.paint({ minSurface: config.minSurface, positive: true, negative: false });
+    for (const { roi } of rois) {
+      painted.paintPolyline(
+        roi.getMask().minimalBoundingRectangle().map(([x, y]) => [x + roi.minX, y + roi.minY]),
+        { color: [255, 0, 0], closed: true }
+      );
+    }
+    keep('rois', painted);
+  }
+
   if (rois.length === 0) {
-    throw new Error('no roi found');
+    throw new DetectionError('no roi found');
   }
 
   if (rois.length > 1) {
     rois.sort((a, b) => b.roi.surface - a.roi.surface);
   }
 
+  return rois.map((mrzRoi) => ({ mrzRoi, originalToTreatedRatio }));
+}
+
+// Crops one region out of the full resolution image, rotated so the text reads left to right
+function cropRegion(original, { mrzRoi, originalToTreatedRatio }, flipped) {
   let toCrop = original;
+  // maps points of the original into toCrop, and the quarter turns it went through
+  let toCropTransform = identity();
+  let orientation = 0;
 
-  const mrzRoi = rois[0];
   let angle = mrzRoi.meta.angle;
   let regionTransform;
   
@@ -288,11 +466,14 @@ function internalGetMrz(image) {
       toCrop = toCrop.rotateRight();
       angle += 90;
       regionTransform = transform(translate(toCrop.width, 0), rotateDEG(90));
+      orientation = 90;
     } else {
       toCrop = toCrop.rotateLeft();
       angle -= 90;
       regionTransform = transform(translate(0, toCrop.height), rotateDEG(-90));
+      orientation = 270;
     }
+    toCropTransform = regionTransform;
   }
 
   let mrzCropOptions;
@@ -308,8 +489,14 @@ function internalGetMrz(image) {
       const tmp = mrzCropOptions.width;
       mrzCropOptions.width = mrzCropOptions.height;
       mrzCropOptions.height = tmp;
-      mrzCropOptions.x = rotated.x;
-      mrzCropOptions.y = rotated.y - mrzCropOptions.height;
+      // the corner mapped from the top left one is the top right after a right turn, the bottom left after a left one
+      if (orientation === 90) {
+        mrzCropOptions.x = rotated.x - mrzCropOptions.width;
+        mrzCropOptions.y = rotated.y;
+      } else {
+        mrzCropOptions.x = rotated.x;
+        mrzCropOptions.y = rotated.y - mrzCropOptions.height;
+      }
     }
   } else {
     // convex hull relative to the original image's viewport
@@ -359,19 +546,33 @@ function internalGetMrz(image) {
       height: maxY - minY
     };
     toCrop = afterRotate;
+    toCropTransform = transform(transformation, toCropTransform);
   }
 
-  if (mrzCropOptions.y < toCrop.height / 2) {
+  const center = mrzCropOptions.y + mrzCropOptions.height / 2;
+  const ambiguous = Math.abs(center - toCrop.height / 2) < toCrop.height * AMBIGUOUS_FLIP;
+  // the zone is at the bottom of a document
+  const upsideDown = mrzCropOptions.y < toCrop.height / 2;
+  if (upsideDown !== Boolean(flipped)) {
     // image is upside down, turn it back
     toCrop = toCrop.rotate(180);
     const newXY = applyToPoint(getRotationAround(toCrop, 180), mrzCropOptions);
     mrzCropOptions.x = newXY.x - mrzCropOptions.width;
     mrzCropOptions.y = newXY.y - mrzCropOptions.height;
+    toCropTransform = transform(getRotationAround(toCrop, 180), toCropTransform);
+    orientation += 180;
   }
 
   const cropped = toCrop.crop(mrzCropOptions);
 
-  return cropped;
+  return {
+    image: cropped,
+    crop: mrzCropOptions,
+    transform: toCropTransform,
+    orientation,
+    skew: angle,
+    ambiguous
+  };
 }
 
 function getRectKernel(w, h) {
@@ -380,8 +581,8 @@ function getRectKernel(w, h) {
   return arr;
 }
 
-function checkRatio(ratio) {
-  return ratio > 4 && ratio < 12;
+function checkRatio(ratio, { minRatio, maxRatio }) {
+  return ratio > minRatio && ratio < maxRatio;
 }
 
 function getDistance(p1, p2) {
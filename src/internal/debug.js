@@ -0,0 +1,62 @@
+// @flow strict
+'use strict';
+// $FlowFixMe
+const path = require('node:path');
+const { writeImages } = require('../util/readWrite');
+
+type CharacterCrop = {
+  image: Object,
+  line: number,
+  column: number,
+  // see Cell in fixedPitch.js
+  kind: string,
+  predicted: string,
+  confidence: number,
+  alternatives: Array<{ symbol: string, score: number }>,
+};
+
+type DebugArtifacts = {
+  // intermediate images in pipeline order: original, getMrz stages, then the OCR line mask and boxes
+  stages: { [stage: string]: Object },
+  characters: Array<CharacterCrop>,
+};
+
+function createDebugArtifacts(): DebugArtifacts {
+  return { stages: {}, characters: [] };
+}
+
+/**
+ * Writes every stage as `<index>-<stage>.png` and every character crop as
+ * `characters/<line>-<column>.png`, each one next to a json file with its metadata.
+ * The `label` of a crop is the predicted char code, as expected by the training data.
+ * The fillers inserted by the segmentation were not read, their crops are not written.
+ * @return {Promise<Array<string>>} - The written image paths
+ */
+async function writeDebugArtifacts(directory: string, artifacts: DebugArtifacts): Promise<Array<string>> {
+  const entries = Object.keys(artifacts.stages).map((stage, index) => ({
+    image: artifacts.stages[stage],
+    filePath: path.join(directory, `${String(index).padStart(2, '0')}-${stage}.png`),
+    stage
+  }));
+  for (const { image, line, column, kind, predicted, confidence, alternatives } of artifacts.characters) {
+    if (kind === 'filler') continue;
+    entries.push({
+      image,
+      filePath: path.join(directory, 'characters', `${line}-${String(column).padStart(2, '0')}.png`),
+      label: predicted.charCodeAt(0),
+      predicted,
+      confidence,
+      alternatives,
+      kind,
+      line,
+      column
+    });
+  }
+  await writeImages(entries);
+  return entries.map((entry) => entry.filePath);
+}
+
+module.exports = {
+  createDebugArtifacts,
+  writeDebugArtifacts
+};
@@ -2,9 +2,97 @@
 // $FlowFixMe
 const ImageClass = require('image-js').Image;
 const getLinesFromImage = require('../lib/getLinesFromImage.js');
-const { predictImages } = require('../svm');
+const { getFingerprint } = require('../fingerprint');
+const { resolveRecognizer, checkReadings, checkLineReadings } = require('../recognizers');
+const { fitLines } = require('../lib/fixedPitch');
+import type { Cell } from '../lib/fixedPitch';
+import type { Recognizer } from '../recognizers';
 
-async function mrzOcr(image: typeof ImageClass): $FlowFixMe {
+type OcrOptions = {
+  topN?: number,
+  // reads the characters, the built-in one of `method` when omitted, see recognizers.js
+  recognizer?: Recognizer,
+  model?: mixed, // preloaded svm model, see loadModel
+  method?: 'svm' | 'fingerprint', // see roiOptions.js
+};
+
+type CharacterConfidence = {
+  symbol: string,
+  confidence: number,
+  alternatives: Array<{ symbol: string, score: number }>,
+};
+
+type Confidence = {
+  value: number, // mean over the characters
+  min: number,
+};
+
+function aggregate(characters: Array<CharacterConfidence>): Confidence {
+  if (characters.length === 0) {
+    return { value: 0, min: 0 };
+  }
+  let sum = 0;
+  let min = Infinity;
+  for (const { confidence } of characters) {
+    sum += confidence;
+    min = Math.min(min, confidence);
+  }
+  return { value: sum / characters.length, min };
+}
+
+// a filler cell may stick out of the image
+function cropCell(image: typeof ImageClass, cell: Cell): typeof ImageClass {
+  const x = Math.min(Math.max(0, cell.minX), image.width - 1);
+  const y = Math.min(Math.max(0, cell.minY), image.height - 1);
+  return image.crop({
+    x,
+    y,
+    width: Math.max(1, Math.min(cell.width, image.width - x)),
+    height: Math.max(1, Math.min(cell.height, image.height - y))
+  });
+}
+
+// the cells of a line and a margin of half a character around them
+function cropLine(image: typeof ImageClass, cells: Array<Cell>): typeof ImageClass {
+  const margin = Math.round(Math.max(...cells.map((cell) => cell.width)) / 2);
+  const minX = Math.min(...cells.map((cell) => cell.minX)) - margin;
+  const minY = Math.min(...cells.map((cell) => cell.minY)) - margin;
+  const maxX = Math.max(...cells.map((cell) => cell.minX + cell.width)) + margin;
+  const maxY = Math.max(...cells.map((cell) => cell.minY + cell.height)) + margin;
+  return cropCell(image, { minX, minY, width: maxX - minX, height: maxY - minY, kind: 'merged' });
+}
+
+// the characters of every line, the readings are also set on the cells
+async function recognize(recognizer: Recognizer, image: typeof ImageClass, cells: Array<Array<Cell>>, rois: Array<Object>, topN: number) {
+  if (recognizer.input === 'lines') {
+    const images = cells.map((line) => cropLine(image, line));
+    const lengths = cells.map((line) => line.length);
+    const characters = checkLineReadings(recognizer, await recognizer.recognize(images, { topN, lengths }), cells.length);
+    for (const roi of rois) {
+      // a line read longer or shorter than its cells leaves the extra ones empty
+      const reading = characters[roi.line][roi.column];
+      if (reading) Object.assign(roi, { predicted: reading.symbol, confidence: reading.confidence, alternatives: reading.alternatives });
+    }
+    return characters;
+  }
+
+  // an empty cell is a filler the segmentation lost, it is not read
+  const toRead = rois.filter((roi) => roi.kind !== 'filler');
+  if (toRead.length > 0) {
+    const readings = await recognizer.recognize(toRead.map((roi) => roi.image), { topN, rois: toRead });
+    checkReadings(recognizer, readings, toRead.length).forEach((reading, idx) => {
+      Object.assign(toRead[idx], { predicted: reading.symbol, confidence: reading.confidence, alternatives: reading.alternatives });
+    });
+  }
+  for (const roi of rois) {
+    if (roi.kind === 'filler') roi.predicted = '<';
+  }
+  return cells.map((line, i) => rois
+    .filter((roi) => roi.line === i)
+    .map(({ predicted, confidence, alternatives }) => ({ symbol: predicted, confidence, alternatives })));
+}
+
+async function mrzOcr(image: typeof ImageClass, options?: OcrOptions = {}): $FlowFixMe {
   let rois;
   
   let { lines, mask, painted, averageSurface } = getLinesFromImage(image);
@@ -12,57 +100,51 @@ async function mrzOcr(image: typeof ImageClass): $FlowFixMe {
   // A line should have at least 5 ROIS (swiss driving license)
   lines = lines.filter((line) => line.rois.length > 5);
 
-  // we keep maximum the last 3 lines
-  if (lines.length > 3) {
-    lines = lines.slice(lines.length - 3, lines.length);
-  }
-
+  // the last lines fitted to the lengths of a format, see fixedPitch.js
+  const cells = fitLines(lines);
 
   let ocrResult = [];
 
   rois = [];
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    for (let j = 0; j < line.rois.length; j++) {
-      const roi = line.rois[j];
+  for (let i = 0; i < cells.length; i++) {
+    const line = cells[i];
+    for (let j = 0; j < line.length; j++) {
+      const cell = line[j];
+      const crop = cropCell(image, cell);
       rois.push({
-        image: image.crop({
-          x: roi.minX,
-          y: roi.minY,
-          width: roi.width,
-          height: roi.height
-        }),
-        width: roi.width,
-        height: roi.height,
+        image: crop,
+        width: cell.width,
+        height: cell.height,
         line: i,
-        column: j
+        column: j,
+        kind: cell.kind,
+        // the one of the component when the cell is one, see getLinesFromImage
+        fingerprint: cell.roi ? cell.roi.data : getFingerprint(crop),
+        predicted: '',
+        confidence: 0,
+        alternatives: []
       });
     }
   }
 
-  const imagesToPredict = rois.map((roi) => roi.image);
-
-  let predicted = await predictImages(imagesToPredict);
-  //let predicted = await predictImages(imagesToPredict, options && options.modelPaths);
-
-  predicted = predicted.map((p) => String.fromCharCode(p));
-
-  predicted.forEach((p, idx) => {
-    rois[idx].predicted = p;
-  });
-
-  let count = 0;
-  for (let line of lines) {
-    let lineText = '';
-    for (let i = 0; i < line.rois.length; i++) {
-      lineText += predicted[count++];
-    }
-    ocrResult.push(lineText);
+  const recognizer = options.recognizer || resolveRecognizer({ method: options.method, model: options.model });
+  const lineCharacters = await recognize(recognizer, image, cells, rois, options.topN === undefined ? 3 : options.topN);
+  for (const line of lineCharacters) {
+    ocrResult.push(line.map((character) => character.symbol).join(''));
   }
+
+  const overall = aggregate([].concat(...lineCharacters));
+  const confidence = {
+    value: overall.value,
+    min: overall.min,
+    lines: lineCharacters.map(aggregate),
+    characters: lineCharacters
+  };
   
   return {
     rois,
     ocrResult,
+    confidence,
     mask,
     painted,
     averageSurface
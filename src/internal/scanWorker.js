@@ -0,0 +1,26 @@
+// @flow strict
+'use strict';
+// Runs in a worker thread of MrzScannerPool, each worker keeps its own model loaded
+// $FlowFixMe
+const { parentPort, workerData } = require('worker_threads');
+const { MrzScanner } = require('../scanner');
+const { serializeError } = require('../errors');
+
+const scanner = new MrzScanner(workerData.options);
+
+parentPort.on('message', async ({ id, type, buffer, options }) => {
+  try {
+    let result;
+    if (type === 'load') {
+      await scanner.load();
+    } else {
+      result = await scanner.scan(Buffer.from(buffer), Object.assign({}, options, { errors: 'throw' }));
+    }
+    parentPort.postMessage({ id, ok: true, result });
+  } catch (e) {
+    parentPort.postMessage({ id, ok: false, error: serializeError(e) });
+  }
+});
+
+// the pool counts the workers crashing before this point as failing to start
+parentPort.postMessage({ ready: true });
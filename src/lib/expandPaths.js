@@ -0,0 +1,106 @@
+// @flow strict
+'use strict';
+// $FlowFixMe
+const path = require('node:path');
+// $FlowFixMe
+const fs = require('node:fs/promises');
+const { InvalidInputError } = require('../errors');
+
+const imageExtensions = ['.png', '.jpeg', '.jpg', '.tif', '.tiff'];
+
+function isGlob(pattern: string): boolean {
+  return /[*?[]/.test(pattern);
+}
+
+// `**` crosses directories, `*` and `?` stay within one path segment
+function globToRegExp(pattern: string): RegExp {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${pattern.slice(i + 1, end).replace(/^!/, '^')}]`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+async function walk(dir: string): Promise<Array<string>> {
+  const files = [];
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      // eslint-disable-next-line no-await-in-loop
+      files.push(...await walk(entryPath));
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+function isImage(file: string): boolean {
+  return imageExtensions.includes(path.extname(file).toLowerCase());
+}
+
+/**
+ * Resolves files, directories (walked recursively, images only) and glob patterns
+ * to unique file paths, in the order of the arguments and by name within a directory.
+ */
+module.exports = async function expandPaths(patterns: Array<string>): Promise<Array<string>> {
+  const result = [];
+  for (const pattern of patterns) {
+    if (isGlob(pattern)) {
+      const segments = pattern.split(/[\\/]/);
+      const firstMagic = segments.findIndex(isGlob);
+      const base = segments.slice(0, firstMagic).join('/') || '.';
+      const matcher = globToRegExp(segments.slice(firstMagic).join('/'));
+      let files = [];
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        files = await walk(base);
+      } catch (e) {
+        files = [];
+      }
+      for (const file of files) {
+        const relative = path.relative(base, file).split(path.sep).join('/');
+        if (matcher.test(relative)) {
+          result.push(file);
+        }
+      }
+      continue;
+    }
+
+    let stat;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      stat = await fs.stat(pattern);
+    } catch (e) {
+      throw new InvalidInputError(`no such file or directory: ${pattern}`, 'FILE_NOT_FOUND', e);
+    }
+    if (stat.isDirectory()) {
+      // eslint-disable-next-line no-await-in-loop
+      result.push(...(await walk(pattern)).filter(isImage));
+    } else {
+      result.push(pattern);
+    }
+  }
+  return Array.from(new Set(result));
+};
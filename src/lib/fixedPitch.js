@@ -0,0 +1,137 @@
+// @flow strict
+'use strict';
+// OCR-B is printed at a fixed pitch: once the character count of a line is known from the formats,
+// every character has its own cell and the connected components can be fitted to them.
+
+const median = require('./medianQuickSelect.js');
+const { countZoneLines, uniqueLengths } = require('../mrz-formats');
+
+type Box = { minX: number, minY: number, width: number, height: number };
+
+// 'roi' as found, 'split' out of a blob of touching glyphs, 'merged' fragments of a broken glyph,
+// 'filler' an empty cell read as '<'
+export type Cell = Box & { kind: 'roi' | 'split' | 'merged' | 'filler', roi?: Object };
+
+type Line = { rois: Array<Object>, ... };
+
+// a line whose estimated length is further than this share from the one of the format is left as found
+const MAX_LENGTH_ERROR = 0.15;
+
+function center(box: Box): number {
+  return box.minX + box.width / 2;
+}
+
+function union(boxes: Array<Box>): Box {
+  const minX = Math.min(...boxes.map((box) => box.minX));
+  const minY = Math.min(...boxes.map((box) => box.minY));
+  const maxX = Math.max(...boxes.map((box) => box.minX + box.width));
+  const maxY = Math.max(...boxes.map((box) => box.minY + box.height));
+  return { minX, minY, width: maxX - minX, height: maxY - minY };
+}
+
+// the distance between two neighbour characters, most of the components being one character each
+function estimatePitch(rois: Array<Box>): number {
+  const centers = rois.map(center).sort((a, b) => a - b);
+  const gaps = centers.slice(1).map((value, i) => value - centers[i]);
+  return median(gaps) || 0;
+}
+
+/**
+ * The number of characters of a line, from its span and its pitch.
+ * @param {Array<object>} rois - The components of the line
+ */
+function estimateLength(rois: Array<Box>): number {
+  const pitch = estimatePitch(rois);
+  if (rois.length < 2 || pitch <= 0) return rois.length;
+  const centers = rois.map(center);
+  return Math.round((Math.max(...centers) - Math.min(...centers)) / pitch) + 1;
+}
+
+/**
+ * Fits the components of a line to `length` cells of the same pitch, left aligned on the first one:
+ * a component spanning several cells is split, the components sharing a cell are merged,
+ * an empty cell becomes a filler and a component after the last cell is dropped.
+ * @param {Array<object>} rois - The components of the line
+ * @param {number} length - The character count of the line
+ * @return {Array<Cell>}
+ */
+function fitLine(rois: Array<Object>, length: number): Array<Cell> {
+  const sorted = rois.slice().sort((a, b) => a.minX - b.minX);
+  const glyphWidth = median(sorted.map((roi) => roi.width)) || 1;
+  const top = median(sorted.map((roi) => roi.minY)) || 0;
+  const height = median(sorted.map((roi) => roi.height)) || 0;
+  let pitch = estimatePitch(sorted) || glyphWidth;
+
+  const pieces = [];
+  for (const roi of sorted) {
+    const count = Math.max(1, Math.round((roi.width - glyphWidth) / pitch) + 1);
+    const width = roi.width / count;
+    for (let i = 0; i < count; i++) {
+      const box = count === 1 ? roi : { minX: Math.round(roi.minX + i * width), minY: roi.minY, width: Math.round(width), height: roi.height };
+      pieces.push({ box, roi, split: count > 1 });
+    }
+  }
+  const first = center(pieces[0].box);
+  const last = center(pieces[pieces.length - 1].box);
+  // the whole line is there, the pitch of its span is more precise than the median gap
+  if (length > 1 && Math.round((last - first) / pitch) + 1 === length) {
+    pitch = (last - first) / (length - 1);
+  }
+
+  const cells: Array<Array<{ box: Box, roi: Object, split: boolean }>> = Array.from({ length }, () => []);
+  for (const piece of pieces) {
+    const cell = Math.round((center(piece.box) - first) / pitch);
+    if (cell < length) cells[cell].push(piece);
+  }
+
+  return cells.map((list, i) => {
+    if (list.length === 0) {
+      const width = Math.round(Math.min(glyphWidth, pitch));
+      return { minX: Math.round(first + i * pitch - width / 2), minY: top, width, height, kind: 'filler' };
+    }
+    if (list.length === 1 && !list[0].split) {
+      const { roi } = list[0];
+      return { minX: roi.minX, minY: roi.minY, width: roi.width, height: roi.height, kind: 'roi', roi };
+    }
+    return { ...union(list.map((piece) => piece.box)), kind: list.length === 1 ? 'split' : 'merged' };
+  });
+}
+
+/**
+ * The lines of the zone fitted to the lengths of the closest format, see fitLine.
+ * Lines already of the length of a format are kept as they are, the last 3 lines when no format is close.
+ * @param {Array<object>} lines - As grouped by groupRoisPerLine, top to bottom
+ * @return {Array<Array<Cell>>}
+ */
+function fitLines(lines: Array<Line>): Array<Array<Cell>> {
+  const asFound = (line) => line.rois.slice().sort((a, b) => a.minX - b.minX)
+    .map((roi) => ({ minX: roi.minX, minY: roi.minY, width: roi.width, height: roi.height, kind: 'roi', roi }));
+
+  const exact = countZoneLines(lines.map((line) => line.rois.length));
+  if (exact > 0) {
+    return lines.slice(-exact).map(asFound);
+  }
+
+  const estimates = lines.map((line) => estimateLength(line.rois));
+  let best = null;
+  for (const lengths of uniqueLengths()) {
+    if (lengths.length > lines.length) continue;
+    const found = estimates.slice(-lengths.length);
+    const errors = lengths.map((length, i) => Math.abs(found[i] - length) / length);
+    const error = errors.reduce((sum, value) => sum + value, 0);
+    if (errors.every((value) => value <= MAX_LENGTH_ERROR) && (!best || error < best.error)) {
+      best = { lengths, error };
+    }
+  }
+  if (!best) {
+    return lines.slice(-3).map(asFound);
+  }
+  const { lengths } = best;
+  return lines.slice(-lengths.length).map((line, i) => fitLine(line.rois, lengths[i]));
+}
+
+module.exports = {
+  fitLines,
+  fitLine,
+  estimateLength
+};
@@ -0,0 +1,298 @@
+// @flow strict
+'use strict';
+
+export type SvmModel = {
+  labels: Array<number>,
+  rho: Array<number>,
+  nSV: Array<number>,
+  // index of each support vector in the training descriptors, in model order
+  svIndices: Array<number>,
+  // svCoef[k][i] is the k-th coefficient of the i-th support vector (nr_class - 1 rows)
+  svCoef: Array<Array<number>>,
+  // sigmoid parameters of each pair, only present when the model was trained with probability estimates
+  probA: ?Array<number>,
+  probB: ?Array<number>,
+};
+
+export type LabelScore = {
+  label: number,
+  votes: number,
+  // probability estimate of the label, the scores of a sample sum to 1
+  score: number,
+};
+
+// Slope used to turn decision values into pairwise probabilities when the model has no probA.
+// Tuned on the bundled ESC-v2 model: right and wrong OCR-B predictions average ~0.8 and ~0.4.
+const DEFAULT_PROB_A = -6;
+const MIN_PROB = 1e-7;
+
+/**
+ * Reads the parts of a serialized libsvm C_SVC model with a precomputed kernel
+ * that are needed to compute one-vs-one decision values in JS.
+ * libsvm-js does not expose decision values and the shipped model has no probability estimates.
+ */
+function parseSvmModel(serialized: string): SvmModel {
+  const lines = serialized.split('\n');
+  const header = {};
+  let i = 0;
+  for (; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line === 'SV') {
+      i++;
+      break;
+    }
+    const [key, ...values] = line.split(' ');
+    header[key] = values;
+  }
+
+  if (!header.label || !header.rho || !header.nr_sv) {
+    throw new Error('svm model is missing label, rho or nr_sv');
+  }
+
+  const nrClass = header.label.length;
+  const svCoef = [];
+  for (let k = 0; k < nrClass - 1; k++) {
+    svCoef.push([]);
+  }
+  const svIndices = [];
+  for (; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line === '') continue;
+    const parts = line.split(' ');
+    for (let k = 0; k < nrClass - 1; k++) {
+      svCoef[k].push(Number(parts[k]));
+    }
+    // precomputed kernel: the only node is 0:<1-based index of the training sample>
+    svIndices.push(Number(parts[nrClass - 1].split(':')[1]) - 1);
+  }
+
+  return {
+    labels: header.label.map(Number),
+    rho: header.rho.map(Number),
+    nSV: header.nr_sv.map(Number),
+    svIndices,
+    svCoef,
+    probA: header.probA ? header.probA.map(Number) : null,
+    probB: header.probB ? header.probB.map(Number) : null
+  };
+}
+
+// Platt scaling, same numerically stable form as libsvm's sigmoid_predict
+function sigmoidPredict(decisionValue: number, A: number, B: number): number {
+  const fApB = decisionValue * A + B;
+  const p = fApB >= 0 ? Math.exp(-fApB) / (1 + Math.exp(-fApB)) : 1 / (1 + Math.exp(fApB));
+  return Math.min(Math.max(p, MIN_PROB), 1 - MIN_PROB);
+}
+
+// Pairwise coupling (Wu, Lin and Weng, method 2), port of libsvm's multiclass_probability
+function multiclassProbability(r: Array<Array<number>>): Array<number> {
+  const k = r.length;
+  const maxIter = Math.max(100, k);
+  const eps = 0.005 / k;
+  const Q = [];
+  const Qp = new Array(k).fill(0);
+  const p = new Array(k).fill(1 / k);
+
+  for (let t = 0; t < k; t++) {
+    Q.push(new Array(k).fill(0));
+    for (let j = 0; j < k; j++) {
+      if (j === t) continue;
+      Q[t][t] += r[j][t] * r[j][t];
+      Q[t][j] = -r[j][t] * r[t][j];
+    }
+  }
+
+  for (let iter = 0; iter < maxIter; iter++) {
+    let pQp = 0;
+    for (let t = 0; t < k; t++) {
+      Qp[t] = 0;
+      for (let j = 0; j < k; j++) {
+        Qp[t] += Q[t][j] * p[j];
+      }
+      pQp += p[t] * Qp[t];
+    }
+    let maxError = 0;
+    for (let t = 0; t < k; t++) {
+      maxError = Math.max(maxError, Math.abs(Qp[t] - pQp));
+    }
+    if (maxError < eps) break;
+
+    for (let t = 0; t < k; t++) {
+      const diff = (-Qp[t] + pQp) / Q[t][t];
+      p[t] += diff;
+      pQp = (pQp + diff * (diff * Q[t][t] + 2 * Qp[t])) / (1 + diff) / (1 + diff);
+      for (let j = 0; j < k; j++) {
+        Qp[j] = (Qp[j] + diff * Q[t][j]) / (1 + diff);
+        p[j] /= 1 + diff;
+      }
+    }
+  }
+  return p;
+}
+
+// first index of the support vectors of each class
+function getStarts(nSV: Array<number>): Array<number> {
+  const start = [0];
+  for (let c = 1; c < nSV.length; c++) {
+    start[c] = start[c - 1] + nSV[c - 1];
+  }
+  return start;
+}
+
+/**
+ * The decision value of each pair of classes, in libsvm order, from the kernel values
+ * between one sample and every support vector.
+ */
+function getDecisionValues(model: SvmModel, kernelValues: Array<number>): Array<number> {
+  const { labels, rho, nSV, svCoef } = model;
+  const nrClass = labels.length;
+  const start = getStarts(nSV);
+
+  const values = [];
+  for (let a = 0; a < nrClass; a++) {
+    for (let b = a + 1; b < nrClass; b++) {
+      const coefA = svCoef[b - 1];
+      const coefB = svCoef[a];
+      let sum = 0;
+      for (let k = 0; k < nSV[a]; k++) {
+        sum += coefA[start[a] + k] * kernelValues[start[a] + k];
+      }
+      for (let k = 0; k < nSV[b]; k++) {
+        sum += coefB[start[b] + k] * kernelValues[start[b] + k];
+      }
+      values.push(sum - rho[values.length]);
+    }
+  }
+  return values;
+}
+
+/**
+ * With a linear kernel the decision value of a pair is the dot product of the sample with the support vectors
+ * of the two classes summed by their coefficients: one weight vector per pair, computed once when the model
+ * is loaded, replaces the kernel against every support vector. It saves dot products only with fewer pairs
+ * than support vectors.
+ * @param {SvmModel} model
+ * @param {Array<Array<number>>} supportVectors - The descriptors of the support vectors, in model order
+ * @return {Array<Float64Array>} - One weight vector per pair of classes, in libsvm order
+ */
+function collapseLinear(model: SvmModel, supportVectors: Array<Array<number>>): Array<Float64Array> {
+  const { labels, nSV, svCoef } = model;
+  const nrClass = labels.length;
+  const start = getStarts(nSV);
+  const length = supportVectors.length ? supportVectors[0].length : 0;
+
+  const weights = [];
+  const add = (weight, coef, first, count) => {
+    for (let k = first; k < first + count; k++) {
+      const vector = supportVectors[k];
+      for (let i = 0; i < length; i++) {
+        weight[i] += coef[k] * vector[i];
+      }
+    }
+  };
+  for (let a = 0; a < nrClass; a++) {
+    for (let b = a + 1; b < nrClass; b++) {
+      const weight = new Float64Array(length);
+      add(weight, svCoef[b - 1], start[a], nSV[a]);
+      add(weight, svCoef[a], start[b], nSV[b]);
+      weights.push(weight);
+    }
+  }
+  return weights;
+}
+
+/**
+ * Same as getDecisionValues, from the weights of collapseLinear and the descriptor of the sample.
+ */
+function getLinearDecisionValues(model: SvmModel, weights: Array<Float64Array>, sample: Array<number>): Array<number> {
+  return weights.map((weight, p) => {
+    let sum = 0;
+    for (let i = 0; i < weight.length; i++) {
+      sum += weight[i] * sample[i];
+    }
+    return sum - model.rho[p];
+  });
+}
+
+// a positive decision value is a vote for the first class of the pair
+function countVotes(nrClass: number, decisionValues: Array<number>): Array<number> {
+  const votes = new Array(nrClass).fill(0);
+  let p = 0;
+  for (let a = 0; a < nrClass; a++) {
+    for (let b = a + 1; b < nrClass; b++) {
+      if (decisionValues[p++] > 0) {
+        votes[a]++;
+      } else {
+        votes[b]++;
+      }
+    }
+  }
+  return votes;
+}
+
+// libsvm keeps the first class with the most votes
+function getWinner(votes: Array<number>): number {
+  let winner = 0;
+  for (let c = 1; c < votes.length; c++) {
+    if (votes[c] > votes[winner]) winner = c;
+  }
+  return winner;
+}
+
+/**
+ * The label libsvm predicts from the decision values of every pair, without the probabilities.
+ */
+function predictLabel(model: SvmModel, decisionValues: Array<number>): number {
+  return model.labels[getWinner(countVotes(model.labels.length, decisionValues))];
+}
+
+/**
+ * One-vs-one voting, as done by libsvm's svm_predict_values, from the decision values of every pair.
+ * Each class also gets a probability estimate coupled from the pairwise decision values.
+ * The first entry is the label libsvm predicts, the others follow by decreasing score.
+ */
+function scoreDecisionValues(model: SvmModel, decisionValues: Array<number>): Array<LabelScore> {
+  const { labels, probA, probB } = model;
+  const nrClass = labels.length;
+
+  const votes = countVotes(nrClass, decisionValues);
+  const pairwise = labels.map(() => new Array(nrClass).fill(0));
+  let p = 0;
+  for (let a = 0; a < nrClass; a++) {
+    for (let b = a + 1; b < nrClass; b++) {
+      pairwise[a][b] = sigmoidPredict(decisionValues[p], probA ? probA[p] : DEFAULT_PROB_A, probB ? probB[p] : 0);
+      pairwise[b][a] = 1 - pairwise[a][b];
+      p++;
+    }
+  }
+
+  const probabilities = nrClass > 1 ? multiclassProbability(pairwise) : [1];
+  const scores = labels.map((label, c) => ({
+    label,
+    votes: votes[c],
+    score: probabilities[c]
+  }));
+
+  const winner = getWinner(votes);
+  const others = scores.filter((score, c) => c !== winner);
+  others.sort((x, y) => y.score - x.score);
+
+  return [scores[winner]].concat(others);
+}
+
+/**
+ * scoreDecisionValues from the kernel values between one sample and every support vector.
+ */
+function scoreSample(model: SvmModel, kernelValues: Array<number>): Array<LabelScore> {
+  return scoreDecisionValues(model, getDecisionValues(model, kernelValues));
+}
+
+module.exports = {
+  parseSvmModel,
+  collapseLinear,
+  getDecisionValues,
+  getLinearDecisionValues,
+  scoreDecisionValues,
+  scoreSample,
+  predictLabel
+};
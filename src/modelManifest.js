@@ -0,0 +1,166 @@
+// @flow strict
+'use strict';
+// The manifest written next to the svm files: how the descriptors were computed, which symbols the model knows,
+// the checksums of the files and how well it did at training. A model is only as good as the features it is fed,
+// loadModel refuses the one whose features differ from those extractHOG computes now.
+// $FlowFixMe
+const crypto = require('crypto');
+
+const { ModelLoadError } = require('./errors');
+
+// of the manifest, a newer one is refused
+const MANIFEST_VERSION = 1;
+
+export type Features = {
+  // size the character is scaled to, before the padding
+  scale: { width: number, height: number },
+  pad: number,
+  hog: { cellSize: number, blockSize: number, blockStride: number, bins: number, norm: string },
+  // the height of the character relative to the others of its card appended to the hog features
+  heightFeature: boolean,
+};
+
+export type Manifest = {
+  version: number,
+  name: string,
+  createdAt: string,
+  // version of mrz-scan that trained the model
+  library: string,
+  features: Features,
+  kernel: { [option: string]: mixed },
+  // the symbols of symbols.js when trained, the model predicts some of them
+  alphabet: string,
+  descriptorLength: number,
+  checksums: { algorithm: 'sha256', descriptors: string, model: string },
+  // accuracy on the held out characters, when measured
+  metrics: ?{ [metric: string]: mixed },
+};
+
+type ManifestOptions = {
+  name: string,
+  library: string,
+  features: Features,
+  kernel: { [option: string]: mixed },
+  alphabet: string,
+  descriptorLength: number,
+  descriptors: Uint8Array,
+  model: string,
+  metrics?: ?{ [metric: string]: mixed },
+};
+
+type Loaded = {
+  features: Features,
+  alphabet: string,
+  // of the descriptors in the file and of the descriptors extractHOG computes now
+  descriptorLength: number,
+  expectedLength: number,
+  // the labels of the svm
+  labels: Array<number>,
+  descriptors: Uint8Array,
+  model: string,
+};
+
+function checksum(content: Uint8Array | string): string {
+  return crypto.createHash('sha256').update(typeof content === 'string' ? content : Buffer.from(content)).digest('hex');
+}
+
+// key order does not matter
+function sameConfig(a: mixed, b: mixed): boolean {
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => sameConfig(a[key], b[key]));
+  }
+  return a === b;
+}
+
+/**
+ * The manifest of a model about to be written.
+ * @param {ManifestOptions} options - The descriptors as serialized and the svm model as a string
+ * @return {Manifest}
+ */
+function createManifest(options: ManifestOptions): Manifest {
+  return {
+    version: MANIFEST_VERSION,
+    name: options.name,
+    createdAt: new Date().toISOString(),
+    library: options.library,
+    features: options.features,
+    kernel: options.kernel,
+    alphabet: options.alphabet,
+    descriptorLength: options.descriptorLength,
+    checksums: { algorithm: 'sha256', descriptors: checksum(options.descriptors), model: checksum(options.model) },
+    metrics: options.metrics || null
+  };
+}
+
+/**
+ * Throws a ModelLoadError when the files do not match the manifest (MODEL_CORRUPTED),
+ * or when the model was trained on other features or symbols than the current ones (MODEL_MISMATCH).
+ * Without manifest, only the length of the descriptors is checked.
+ * @param {?Manifest} manifest
+ * @param {Loaded} loaded - What was read and what is expected now
+ */
+function verifyManifest(manifest: ?Manifest, loaded: Loaded): void {
+  const mismatch = (message) => new ModelLoadError(`the model does not fit this version of mrz-scan: ${message}`, 'MODEL_MISMATCH');
+  if (manifest) {
+    if (typeof manifest.version !== 'number' || manifest.version > MANIFEST_VERSION) {
+      throw mismatch(`manifest version ${String(manifest.version)} is not supported, expected ${MANIFEST_VERSION} at most`);
+    }
+    const { checksums } = manifest;
+    if (!checksums || checksum(loaded.descriptors) !== checksums.descriptors || checksum(loaded.model) !== checksums.model) {
+      throw new ModelLoadError(`the model files of ${manifest.name} do not match the checksums of their manifest`, 'MODEL_CORRUPTED');
+    }
+    if (!sameConfig(manifest.features, loaded.features)) {
+      throw mismatch(`trained on the features ${JSON.stringify(manifest.features)}, extracted now with ${JSON.stringify(loaded.features)}`);
+    }
+    if (manifest.alphabet !== loaded.alphabet) {
+      throw mismatch(`trained on the symbols ${manifest.alphabet}, expected ${loaded.alphabet}`);
+    }
+    if (manifest.descriptorLength !== loaded.descriptorLength) {
+      throw new ModelLoadError(`the descriptors of ${manifest.name} hold ${loaded.descriptorLength} features, their manifest ${manifest.descriptorLength}`, 'MODEL_CORRUPTED');
+    }
+  }
+  if (loaded.descriptorLength !== loaded.expectedLength) {
+    throw mismatch(`the descriptors hold ${loaded.descriptorLength} features, extractHOG computes ${loaded.expectedLength}`);
+  }
+  const unknown = loaded.labels.filter((label) => !loaded.alphabet.includes(String.fromCharCode(label)));
+  if (unknown.length > 0) {
+    throw mismatch(`the svm predicts symbols outside the alphabet: ${unknown.map((label) => String.fromCharCode(label)).join('')}`);
+  }
+}
+
+/**
+ * Reads a manifest, its file content or the object given to setModel.
+ * @param {mixed} content
+ * @return {Manifest}
+ */
+function parseManifest(content: mixed): Manifest {
+  try {
+    let manifest = content;
+    if (typeof content === 'string') manifest = JSON.parse(content);
+    if (content instanceof Uint8Array) manifest = JSON.parse(Buffer.from(content).toString('utf8'));
+    if (!manifest || typeof manifest !== 'object') {
+      throw new Error('expected an object');
+    }
+    // $FlowFixMe the fields are checked by verifyManifest
+    return manifest;
+  } catch (e) {
+    throw new ModelLoadError(`could not read the model manifest: ${e.message}`, 'MODEL_LOAD_FAILED', e);
+  }
+}
+
+/**
+ * Where the manifest of a model file is written, ESC-v2.svm.model has ESC-v2.svm.manifest.json.
+ * @param {string} modelPath
+ */
+function getManifestPath(modelPath: string): string {
+  return `${modelPath.replace(/\.model$/, '')}.manifest.json`;
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  createManifest,
+  verifyManifest,
+  parseManifest,
+  getManifestPath
+};
@@ -0,0 +1,323 @@
+// @flow strict
+'use strict';
+
+const { parse: _parse } = require('./mrz-formats');
+
+type Alternative = { symbol: string, score: number };
+
+type CharacterCandidates = {
+  symbol: string,
+  confidence: number,
+  alternatives: Array<Alternative>,
+};
+
+type CorrectOptions = {
+  // OCR candidates per line and column, as returned in the confidence of mrzOcr
+  characters?: Array<Array<CharacterCandidates>>,
+  // maximum number of characters changed to satisfy one check digit
+  maxCorrections?: number,
+};
+
+export type Correction = {
+  line: number,
+  column: number,
+  from: string,
+  to: string,
+  field: ?string,
+};
+
+type Position = { line: number, column: number };
+
+type Option = { symbol: string, cost: number };
+
+// glyphs the OCR commonly mixes up in OCR-B, in both directions
+const confusions: { [string]: string } = {
+  '0': 'ODQ',
+  '1': 'IL7',
+  '2': 'Z',
+  '3': '8',
+  '4': 'A',
+  '5': 'S6',
+  '6': 'G58',
+  '7': '1T',
+  '8': 'B36',
+  '9': 'G',
+  'A': '4',
+  'B': '8',
+  'D': '0O',
+  'G': '69',
+  'I': '1L',
+  'L': '1I',
+  'O': '0DQ',
+  'Q': '0O',
+  'S': '5',
+  'T': '7',
+  'Z': '2',
+  '<': 'KL'
+};
+
+// probability given to a confusion table substitute the OCR did not propose itself
+const CONFUSION_PROBABILITY = 0.01;
+// ranked repairs kept per field when looking for a combination the composite check digit accepts
+const MAX_REPAIRS = 5;
+// a repair is applied only when it is at least twice as likely as the next one
+const AMBIGUITY_MARGIN = Math.log(2);
+const DIGITS = /^[0-9]$/;
+const ALPHANUMERIC = /^[0-9A-Z<]$/;
+const WEIGHTS = [7, 3, 1];
+
+function charValue(char: string): number {
+  if (char === '<') return 0;
+  const code = char.charCodeAt(0);
+  if (code >= 48 && code <= 57) return code - 48;
+  return code - 55;
+}
+
+function computeCheckDigit(value: string): number {
+  let sum = 0;
+  for (let i = 0; i < value.length; i++) {
+    sum += charValue(value[i]) * WEIGHTS[i % 3];
+  }
+  return sum % 10;
+}
+
+function isCheckDigitField(detail: Object): boolean {
+  return /CheckDigit$/.test(detail.field);
+}
+
+function isNumericField(field: string): boolean {
+  return isCheckDigitField({ field }) || field === 'birthDate' || field === 'expirationDate';
+}
+
+// check digit character first, then every character it covers
+function getPositions(detail: Object): Array<Position> {
+  const positions = [];
+  for (const range of detail.ranges) {
+    for (let column = range.start; column < range.end; column++) {
+      positions.push({ line: range.line, column });
+    }
+  }
+  return positions;
+}
+
+function readCheck(lines: Array<string>, positions: Array<Position>): boolean {
+  const [digit, ...data] = positions.map(({ line, column }) => lines[line][column]);
+  if (!DIGITS.test(digit) && digit !== '<') return false;
+  return computeCheckDigit(data.join('')) === charValue(digit);
+}
+
+function getFieldOf(details: Array<Object>, position: Position): ?string {
+  for (const detail of details) {
+    if (detail.line === position.line && position.column >= detail.start && position.column < detail.end) {
+      return detail.field;
+    }
+  }
+  return null;
+}
+
+/**
+ * Candidate symbols of one position with their cost, the current symbol costs 0.
+ * The cost of a substitute is the negative log likelihood ratio against the current symbol.
+ * Without the candidates of the OCR, only the confusion table is tried.
+ */
+function getOptions(
+  current: string,
+  candidates: ?CharacterCandidates,
+  numeric: boolean,
+  anyDigit?: boolean = false
+): Array<Option> {
+  const probabilities: Map<string, number> = new Map();
+  if (candidates) {
+    probabilities.set(candidates.symbol, candidates.confidence);
+    for (const { symbol, score } of candidates.alternatives) {
+      probabilities.set(symbol, score);
+    }
+  }
+  for (const symbol of (confusions[current] || '') + (anyDigit && candidates ? '0123456789' : '')) {
+    if (!probabilities.has(symbol)) {
+      probabilities.set(symbol, CONFUSION_PROBABILITY);
+    }
+  }
+
+  const currentProbability = probabilities.get(current) || CONFUSION_PROBABILITY;
+  const options = [{ symbol: current, cost: 0 }];
+  for (const [symbol, probability] of probabilities) {
+    if (symbol === current) continue;
+    if (!(numeric ? DIGITS : ALPHANUMERIC).test(symbol)) continue;
+    options.push({
+      symbol,
+      cost: Math.max(0, Math.log(currentProbability) - Math.log(Math.max(probability, 1e-9)))
+    });
+  }
+  return options;
+}
+
+type Repair = { changes: Array<{ position: Position, symbol: string }>, cost: number };
+
+// The cheapest of the ranked repairs, none when another one is about as likely:
+// the check digit cannot tell them apart and picking one would report a guess as valid
+function pickRepair(repairs: Array<Repair>): ?Repair {
+  const [best, next] = repairs;
+  if (!best || (next && next.cost - best.cost < AMBIGUITY_MARGIN)) {
+    return null;
+  }
+  return best;
+}
+
+/**
+ * Every combination of at most `maxCorrections` substitutions that satisfies the check,
+ * cheapest first. Fewer substitutions always rank before cheaper but longer ones.
+ */
+function search(
+  lines: Array<string>,
+  positions: Array<Position>,
+  options: Array<Array<Option>>,
+  maxCorrections: number
+): Array<Repair> {
+  const repairs = [];
+  const mutable = lines.map((line) => line.split(''));
+
+  function visit(start, changes, cost) {
+    if (changes.length > 0 && readCheck(mutable.map((line) => line.join('')), positions)) {
+      repairs.push({ changes: changes.slice(), cost: cost + changes.length * 1000 });
+      return;
+    }
+    if (changes.length === maxCorrections) return;
+    for (let i = start; i < positions.length; i++) {
+      const { line, column } = positions[i];
+      const original = mutable[line][column];
+      for (const option of options[i]) {
+        if (option.symbol === original) continue;
+        mutable[line][column] = option.symbol;
+        changes.push({ position: positions[i], symbol: option.symbol });
+        visit(i + 1, changes, cost + option.cost);
+        changes.pop();
+      }
+      mutable[line][column] = original;
+    }
+  }
+
+  visit(0, [], 0);
+  return repairs.sort((x, y) => x.cost - y.cost);
+}
+
+// cartesian product of the ranked repairs of each field
+function combinations(lists: Array<Array<Repair>>): Array<Repair> {
+  let result = [{ changes: [], cost: 0 }];
+  for (const list of lists) {
+    const next = [];
+    for (const partial of result) {
+      for (const repair of list) {
+        next.push({ changes: partial.changes.concat(repair.changes), cost: partial.cost + repair.cost });
+      }
+    }
+    result = next;
+  }
+  return result.sort((x, y) => x.cost - y.cost);
+}
+
+function apply(lines: Array<string>, changes: Array<{ position: Position, symbol: string }>): Array<string> {
+  const result = lines.map((line) => line.split(''));
+  for (const { position, symbol } of changes) {
+    result[position.line][position.column] = symbol;
+  }
+  return result.map((line) => line.join(''));
+}
+
+/**
+ * Repairs OCR errors by looking for the most likely characters that satisfy the failing check digits.
+ * The few best repairs of each field are combined so that the composite check digit holds too;
+ * when it still fails, one more character the field check digits do not vouch for may be changed.
+ * Ambiguous repairs are not applied, nor those the composite check digit refutes: the zone stays invalid.
+ */
+function correct(mrz: Array<string>, options?: CorrectOptions = {}): { lines: Array<string>, corrections: Array<Correction> } {
+  const { characters = [], maxCorrections = 2 } = options;
+  const result = _parse(mrz);
+
+  const optionsAt = (lines, detail, positions, anyDigit = false) => positions.map((position, idx) => {
+    const current = lines[position.line][position.column];
+    const candidates = characters[position.line] && characters[position.line][position.column];
+    // the first position is the check digit itself
+    const numeric = idx === 0 || isNumericField(getFieldOf(result.details, position) || detail.field);
+    return getOptions(current, candidates, numeric, idx === 0 && anyDigit);
+  });
+
+  const checks = result.details.filter(isCheckDigitField);
+  const composite = checks.find((detail) => detail.field === 'compositeCheckDigit');
+  const fieldChecks = checks.filter((detail) => detail !== composite);
+  // the parser knows about layouts such as long TD1 document numbers, trust it when it says valid
+  const failing = fieldChecks.filter((detail) => !detail.valid && !readCheck(mrz, getPositions(detail)));
+
+  const repairs = failing
+    .map((detail) => {
+      const positions = getPositions(detail);
+      return search(mrz, positions, optionsAt(mrz, detail, positions), maxCorrections).slice(0, MAX_REPAIRS);
+    })
+    .filter((list) => list.length > 0);
+
+  let candidates = combinations(repairs);
+  if (composite) {
+    const positions = getPositions(composite);
+    const consistent = candidates.filter((candidate) => readCheck(apply(mrz, candidate.changes), positions));
+    if (consistent.length > 0 || composite.valid) {
+      // never trade a valid composite check digit for field repairs that break it
+      candidates = consistent;
+    }
+  }
+  const chosen = repairs.length > 0 ? pickRepair(candidates) : null;
+  let lines = chosen ? apply(mrz, chosen.changes) : mrz;
+
+  if (composite && !readCheck(lines, getPositions(composite))) {
+    const trusted = new Set();
+    const key = ({ line, column }) => `${line}:${column}`;
+    for (const detail of fieldChecks) {
+      const positions = getPositions(detail);
+      if (detail.valid || readCheck(lines, positions)) {
+        positions.forEach((position) => trusted.add(key(position)));
+      }
+    }
+    const positions = getPositions(composite);
+    // when every covered character is vouched for, the composite digit itself is the misread one
+    const onlyDigitUntrusted = positions.every((position, idx) => idx === 0 || trusted.has(key(position)));
+    const options = optionsAt(lines, composite, positions, onlyDigitUntrusted).map((choices, idx) => {
+      return idx > 0 && trusted.has(key(positions[idx])) ? [choices[0]] : choices;
+    });
+    // a repair of the composite check digit alone that leaves a field check digit failing is no repair
+    const fieldsHold = (repair) => {
+      const repaired = apply(lines, repair.changes);
+      return fieldChecks.every((detail) => detail.valid || readCheck(repaired, getPositions(detail)));
+    };
+    const repair = pickRepair(search(lines, positions, options, 1).filter(fieldsHold));
+    // the field repairs the composite check digit does not confirm are guesses too
+    lines = repair ? apply(lines, repair.changes) : mrz;
+  }
+
+  const corrections = listCorrections(mrz, lines, _parse(lines).details);
+
+  return { lines, corrections };
+}
+
+// Every character that differs between the OCR output and the final lines, with the field it belongs to
+function listCorrections(mrz: Array<string>, lines: Array<string>, details: Array<Object>): Array<Correction> {
+  const corrections = [];
+  for (let line = 0; line < lines.length; line++) {
+    for (let column = 0; column < lines[line].length; column++) {
+      if (lines[line][column] !== mrz[line][column]) {
+        corrections.push({
+          line,
+          column,
+          from: mrz[line][column],
+          to: lines[line][column],
+          field: getFieldOf(details, { line, column })
+        });
+      }
+    }
+  }
+  return corrections;
+}
+
+module.exports = {
+  correct,
+  listCorrections,
+  computeCheckDigit
+};
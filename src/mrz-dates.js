@@ -0,0 +1,141 @@
+// @flow strict
+'use strict';
+// $FlowFixMe
+const { DateTime } = require('luxon');
+
+const { InvalidInputError } = require('./errors');
+
+type DateWarning = {
+  field: 'birthDate' | 'expirationDate',
+  code: 'INVALID_DATE',
+  message: string,
+};
+
+type ResolvedDates = {
+  // ISO dates, 'YYYY-MM' or 'YYYY' when the day or the month is unknown, null when unreadable
+  birthDate: ?string,
+  expirationDate: ?string,
+  warnings: Array<DateWarning>,
+};
+
+type YYMMDD = { year: number, month: ?number, day: ?number };
+
+// expiration dates are looked for within this many years around the reference date
+const EXPIRATION_WINDOW = 50;
+
+// '<<' is the ICAO filler of an unknown month or day, 'XX' is printed by some issuers instead
+const UNKNOWN = /^(<<|XX)$/;
+
+/**
+ * The date the birth dates are in the past of and the expiration dates around, now by default.
+ * @param {Date|string|number} [value] - A Date, an ISO string or a timestamp
+ */
+function resolveReferenceDate(value: mixed): typeof DateTime {
+  if (value === undefined || value === null) {
+    return DateTime.now().startOf('day');
+  }
+  let date;
+  if (value instanceof Date) {
+    date = DateTime.fromJSDate(value);
+  } else if (typeof value === 'string') {
+    date = DateTime.fromISO(value);
+  } else if (typeof value === 'number') {
+    date = DateTime.fromMillis(value);
+  }
+  if (!date || !date.isValid) {
+    throw new InvalidInputError(`referenceDate must be a Date, an ISO date or a timestamp, got ${String(value)}`, 'INVALID_OPTION');
+  }
+  return date.startOf('day');
+}
+
+// Splits YYMMDD, an unknown month or day is null
+function splitDate(value: string): YYMMDD {
+  const [yy, mm, dd] = [value.slice(0, 2), value.slice(2, 4), value.slice(4, 6)];
+  if (value.length !== 6 || !/^\d\d$/.test(yy)) {
+    throw new Error(`"${value}" has no year`);
+  }
+  const month = UNKNOWN.test(mm) ? null : Number(mm);
+  const day = UNKNOWN.test(dd) || month === null ? null : Number(dd);
+  if (month !== null && (!/^\d\d$/.test(mm) || month < 1 || month > 12)) {
+    throw new Error(`"${value}" has no valid month`);
+  }
+  if (day !== null && !/^\d\d$/.test(dd)) {
+    throw new Error(`"${value}" has no valid day`);
+  }
+  return { year: Number(yy), month, day };
+}
+
+// Orders the dates by their first possible day, also those of unknown month or day or that do not exist
+function toKey({ year, month, day }: YYMMDD): number {
+  return year * 10000 + (month || 1) * 100 + (day || 1);
+}
+
+function toISO(date: YYMMDD): string {
+  const { year, month, day } = date;
+  if (month === null || month === undefined) return String(year);
+  const dateTime = DateTime.fromObject({ year, month, day: day || 1 });
+  if (!dateTime.isValid) {
+    throw new Error(`${String(day)}/${month}/${year} does not exist`);
+  }
+  return day ? dateTime.toISODate() : dateTime.toFormat('yyyy-MM');
+}
+
+/**
+ * Puts the two digit years of the birth and expiration dates in their century:
+ * - a birth date is the latest one not after the reference date
+ * - an expiration date is the one within 50 years of the reference date, and not before the birth date
+ * A date that cannot be read is null with a warning, the other one is still resolved.
+ * @param {object} values - { birthDate, expirationDate } as YYMMDD
+ * @param {object} [options] - { referenceDate }, see resolveReferenceDate
+ * @return {ResolvedDates}
+ */
+function resolveDates(
+  values: { birthDate: ?string, expirationDate: ?string },
+  options?: { referenceDate?: mixed } = {}
+): ResolvedDates {
+  const reference = resolveReferenceDate(options.referenceDate);
+  const warnings = [];
+  const read = (field, label) => {
+    const value = values[field];
+    try {
+      if (!value) throw new Error('not read');
+      return splitDate(value);
+    } catch (e) {
+      warnings.push({ field, code: 'INVALID_DATE', message: `invalid ${label}: ${e.message}` });
+      return null;
+    }
+  };
+  const format = (field, label, date) => {
+    if (!date) return null;
+    try {
+      return toISO(date);
+    } catch (e) {
+      warnings.push({ field, code: 'INVALID_DATE', message: `invalid ${label}: ${e.message}` });
+      return null;
+    }
+  };
+
+  const birth = read('birthDate', 'birth date');
+  if (birth) {
+    birth.year += 2000;
+    if (toKey(birth) > toKey(reference)) birth.year -= 100;
+  }
+
+  const expiration = read('expirationDate', 'expiration date');
+  if (expiration) {
+    expiration.year += 2000;
+    if (expiration.year > reference.year + EXPIRATION_WINDOW) expiration.year -= 100;
+    if (birth && toKey(expiration) < toKey(birth)) expiration.year += 100;
+  }
+
+  return {
+    birthDate: format('birthDate', 'birth date', birth),
+    expirationDate: format('expirationDate', 'expiration date', expiration),
+    warnings
+  };
+}
+
+module.exports = {
+  resolveDates,
+  resolveReferenceDate
+};
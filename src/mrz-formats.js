@@ -0,0 +1,154 @@
+// @flow strict
+'use strict';
+// The layouts read by the scanner, told apart by their line count and length,
+// the mrz package parses them except the ICAO visas (MRV-A and MRV-B) parsed here with its field parsers.
+// Those are modules of its lib/ folder, not of its public api: the version of mrz is pinned in package.json.
+
+// $FlowFixMe
+const { parsers } = require('mrz/lib/parse/parsers');
+// $FlowFixMe
+const { getResult } = require('mrz/lib/parse/getResult');
+// $FlowFixMe
+const createFieldParser = require('mrz/lib/parse/createFieldParser').default;
+// $FlowFixMe
+const templates = require('mrz/lib/parse/fieldTemplates');
+// $FlowFixMe
+const { parseOptional } = require('mrz/lib/parsers/parseOptional');
+
+type FieldDefinition = {
+  field: ?string,
+  label: string,
+  line: number,
+  start: number,
+  end: number,
+};
+
+export type Layout = {
+  format: string,
+  // characters per line
+  lengths: Array<number>,
+  fields: Array<FieldDefinition>,
+};
+
+type Format = {
+  format: string,
+  lengths: Array<number>,
+  // tells the formats sharing the same lengths apart, the last one of them has none
+  test?: (lines: Array<string>) => boolean,
+  parse: (lines: Array<string>, options: Object) => Object,
+};
+
+function parseVisaDocumentCode(source: string) {
+  if (source[0] !== 'V') {
+    throw new Error(`invalid document code: ${source}. First character must be V`);
+  }
+  return source[1] === '<' ? { value: 'V', start: 0, end: 1 } : source;
+}
+
+// ICAO 9303 part 7, the visas share the TD2 and TD3 lines without the composite check digit
+function visaFields(length: number) {
+  return [
+    { ...templates.documentCodeTemplate, line: 0, start: 0, end: 2, parser: parseVisaDocumentCode },
+    { ...templates.issuingStateTemplate, line: 0, start: 2, end: 5 },
+    { ...templates.lastNameTemplate, line: 0, start: 5, end: length },
+    { ...templates.firstNameTemplate, line: 0, start: 5, end: length },
+    { ...templates.documentNumberTemplate, line: 1, start: 0, end: 9, related: [{ line: 1, start: 9, end: 10 }] },
+    { ...templates.documentNumberCheckDigitTemplate, line: 1, start: 9, end: 10, related: [{ line: 1, start: 0, end: 9 }] },
+    { ...templates.nationalityTemplate, line: 1, start: 10, end: 13 },
+    { ...templates.birthDateTemplate, line: 1, start: 13, end: 19 },
+    { ...templates.birthDateCheckDigitTemplate, line: 1, start: 19, end: 20, related: [{ line: 1, start: 13, end: 19 }] },
+    { ...templates.sexTemplate, line: 1, start: 20, end: 21 },
+    { ...templates.expirationDateTemplate, line: 1, start: 21, end: 27 },
+    { ...templates.expirationDateCheckDigitTemplate, line: 1, start: 27, end: 28, related: [{ line: 1, start: 21, end: 27 }] },
+    { label: 'Optional data', field: 'optional', line: 1, start: 28, end: length, parser: parseOptional }
+  ].map(createFieldParser);
+}
+
+const MRV_A_FIELDS = visaFields(44);
+const MRV_B_FIELDS = visaFields(36);
+
+const isVisa = (lines) => lines[0][0] === 'V';
+
+// the first ones of the same lengths are tried first
+const FORMATS: Array<Format> = [
+  { format: 'TD1', lengths: [30, 30, 30], parse: parsers.td1 },
+  { format: 'SWISS_DRIVING_LICENSE', lengths: [9, 30, 30], parse: parsers.swissDrivingLicense },
+  { format: 'MRV_B', lengths: [36, 36], test: isVisa, parse: (lines, options) => getResult('MRV_B', lines, MRV_B_FIELDS, options) },
+  {
+    format: 'FRENCH_NATIONAL_ID',
+    lengths: [36, 36],
+    // the administrative code ends the first line instead of fillers
+    test: (lines) => lines[0].startsWith('IDFRA') || /[0-9]/.test(lines[0].slice(30)),
+    parse: parsers.frenchNationalId
+  },
+  { format: 'TD2', lengths: [36, 36], parse: parsers.td2 },
+  { format: 'MRV_A', lengths: [44, 44], test: isVisa, parse: (lines, options) => getResult('MRV_A', lines, MRV_A_FIELDS, options) },
+  { format: 'TD3', lengths: [44, 44], parse: parsers.td3 }
+];
+
+function hasLengths(lengths: Array<number>, expected: Array<number>): boolean {
+  return lengths.length === expected.length && expected.every((length, i) => lengths[i] === length);
+}
+
+/**
+ * The format of the lines, from their count and length.
+ * @param {Array<string>} lines
+ * @return {string} - TD1, TD2, TD3, FRENCH_NATIONAL_ID, SWISS_DRIVING_LICENSE, MRV_A or MRV_B
+ */
+function detectFormat(lines: Array<string>): string {
+  return findFormat(lines).format;
+}
+
+function findFormat(lines: Array<string>): Format {
+  const lengths = lines.map((line) => line.length);
+  const format = FORMATS.find((candidate) => hasLengths(lengths, candidate.lengths) && (!candidate.test || candidate.test(lines)));
+  if (!format) {
+    const expected = uniqueLengths().map((layout) => layout.join('+')).join(', ');
+    throw new Error(`unrecognized document format: lines of ${lengths.join('+')} characters, expected ${expected}`);
+  }
+  return format;
+}
+
+// the line lengths of the formats, once each
+function uniqueLengths(): Array<Array<number>> {
+  const seen = new Map();
+  for (const { lengths } of FORMATS) {
+    seen.set(lengths.join('+'), lengths);
+  }
+  return Array.from(seen.values());
+}
+
+/**
+ * How many of the last lines of a text block form a zone, from their length, 0 when none do.
+ * @param {Array<number>} lengths - Characters per line, top to bottom
+ */
+function countZoneLines(lengths: Array<number>): number {
+  const layout = uniqueLengths().find((expected) => hasLengths(lengths.slice(-expected.length), expected));
+  return layout ? layout.length : 0;
+}
+
+/**
+ * Parses the lines in their detected format, see the mrz package for the result.
+ * `layout` is added with the definition of the fields of the format.
+ * @param {Array<string>} lines
+ * @param {object} [options] - { autocorrect } of the mrz package
+ */
+function parse(lines: Array<string>, options?: Object = {}): Object {
+  const format = findFormat(lines);
+  const result = format.parse(lines, options);
+  const layout: Layout = {
+    format: format.format,
+    lengths: format.lengths,
+    // the range of a field before its parser trims it
+    fields: result.details.map(({ field, label, ranges: [range] }) => ({ field, label, line: range.line, start: range.start, end: range.end }))
+  };
+  result.layout = layout;
+  return result;
+}
+
+module.exports = {
+  parse,
+  detectFormat,
+  countZoneLines,
+  uniqueLengths
+};
@@ -1,6 +1,6 @@
 'use strict';
 
-var _parse = require('mrz').parse;
+var _parse = require('./mrz-formats').parse;
 
 
 module.exports = function parse(mrz, modified) {
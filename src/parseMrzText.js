@@ -0,0 +1,270 @@
+// @flow strict
+'use strict';
+const parse = require('./mrz-relax');
+const { uniqueLengths } = require('./mrz-formats');
+const { correct, listCorrections } = require('./mrz-correct');
+const { resolveDates } = require('./mrz-dates');
+const { describeState } = require('./lib/countries');
+const { validateDocument, resolveRules } = require('./validateDocument');
+import type { Validation } from './validateDocument';
+const { wrapError, handleError, InvalidInputError, ParseError } = require('./errors');
+
+type ParseOptions = {
+  // the parsed details, fields and corrections instead of the formatted result
+  original?: boolean,
+  // 'throw' throws a MrzError, 'result' returns { ok, result } / { ok, error }.
+  // When omitted the error is logged and undefined is returned.
+  errors?: 'throw' | 'result',
+  // search characters satisfying the failing check digits, disabled by default for text
+  correct?: boolean,
+  // maximum number of characters changed per check digit by the correction
+  maxCorrections?: number,
+  // birth dates are before it and expiration dates around it, now by default, see mrz-dates.js
+  referenceDate?: Date | string | number,
+  // only the number, dates and names of the first versions in the formatted result
+  compact?: boolean,
+  // business rules evaluated in `validation` of the result, see validateDocument.js
+  rules?: { [rule: string]: mixed },
+};
+
+type CorrectionOptions = {
+  // OCR candidates per line and column, the confusion table alone is used without them
+  characters?: Array<Array<Object>>,
+  correct?: boolean,
+  maxCorrections?: number,
+};
+
+type State = { code: string, alpha2: ?string, alpha3: ?string, name: string };
+
+type Warning = { field: string, code: string, message: string };
+
+type DocumentType = 'passport' | 'identity-card' | 'visa' | 'driving-license' | 'other';
+
+type CompactResult = {
+  number: string,
+  // ISO dates, 'YYYY-MM' or 'YYYY' when the day or the month is unknown, null when unreadable
+  validDate: ?string,
+  birthDate: ?string,
+  // without spaces, see firstName and lastName
+  name: string,
+  surname: string,
+  // fields that could not be read, without failing the whole result
+  warnings: Array<Warning>,
+};
+
+type RichResult = {
+  number: string,
+  validDate: ?string,
+  birthDate: ?string,
+  name: string,
+  surname: string,
+  format: string,
+  documentType: DocumentType,
+  // the first character of the document code, the second one when the issuer uses it
+  documentCode: string,
+  documentSubtype: ?string,
+  // null when the code is not in the ICAO list
+  issuingState: ?State,
+  nationality: ?State,
+  // the name parts separated by a space
+  firstName: string,
+  lastName: string,
+  // null in the formats without it, such as the Swiss driving licence
+  sex: ?string,
+  personalNumber: ?string,
+  // the other optional fields that are not empty
+  optionalData: Array<string>,
+  valid: boolean,
+  // per field of the zone, check digits included
+  validity: { [field: string]: boolean },
+  warnings: Array<Warning>,
+};
+
+export type FormattedResult = CompactResult | RichResult;
+
+// by the first character of the document code
+const DOCUMENT_TYPES = { P: 'passport', I: 'identity-card', A: 'identity-card', C: 'identity-card', V: 'visa' };
+
+/**
+ * Turns text typed or read by another engine into MRZ lines: one line per line break, upper case,
+ * without spaces or accents, any other character outside A-Z, 0-9 and < read as a filler.
+ * A single line holding a whole zone is split into its lines, see mrz-formats.js for their lengths.
+ */
+function normalizeLines(input: mixed): Array<string> {
+  let lines;
+  if (typeof input === 'string') {
+    lines = input.split(/\r\n|\r|\n/);
+  } else if (Array.isArray(input) && input.every((line) => typeof line === 'string')) {
+    lines = input.map(String);
+  } else {
+    throw new InvalidInputError('expected the mrz as a string or an array of lines', 'INVALID_TEXT');
+  }
+
+  lines = lines
+    .map((line) => line
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f\s]/g, '')
+      .toUpperCase()
+      .replace(/[^A-Z0-9<]/g, '<'))
+    .filter((line) => line.length > 0);
+
+  if (lines.length === 0) {
+    throw new InvalidInputError('no mrz line in the text', 'INVALID_TEXT');
+  }
+  if (lines.length === 1) {
+    const line = lines[0];
+    const lengths = uniqueLengths().find((layout) => layout.reduce((sum, length) => sum + length, 0) === line.length);
+    if (lengths) {
+      let start = 0;
+      lines = lengths.map((length) => line.slice(start, (start += length)));
+    }
+  }
+  return lines;
+}
+
+/**
+ * Relaxed parsing of MRZ lines, then the check digit correction when some fail.
+ * @return {object} - the mrz parse result, with `corrections` listing the characters changed
+ */
+function parseLines(mrz: Array<string>, options?: CorrectionOptions = {}): Object {
+  let lines = mrz;
+  let parsed = parse(lines);
+  lines = parsed.modified || lines;
+  if (!parsed.valid && options.correct !== false) {
+    ({ lines } = correct(lines, { characters: options.characters, maxCorrections: options.maxCorrections }));
+    parsed = parse(lines);
+    lines = parsed.modified || lines;
+  }
+  parsed.corrections = listCorrections(mrz, lines, parsed.details);
+  parsed.lines = lines;
+  return parsed;
+}
+
+// The text of a field, also when the mrz package rejected it, e.g. a date with XX
+function readField(parsed: Object, field: string): ?string {
+  const value = parsed.fields[field];
+  const detail = parsed.details.find((d) => d.field === field);
+  if (value !== null || !detail || !parsed.lines) {
+    return value;
+  }
+  return parsed.lines[detail.line].slice(detail.start, detail.end);
+}
+
+function getDocumentType(format: string, code: string): DocumentType {
+  if (format === 'SWISS_DRIVING_LICENSE') return 'driving-license';
+  if (format === 'FRENCH_NATIONAL_ID') return 'identity-card';
+  return DOCUMENT_TYPES[code[0]] || 'other';
+}
+
+function spaceName(name: string): string {
+  return name.replace(/\s+/g, ' ').trim();
+}
+
+// Every field of the zone, described for the default result
+function describeDocument(parsed: Object, referenceDate: mixed): RichResult {
+  const { fields } = parsed;
+  const dates = resolveDates(
+    { birthDate: readField(parsed, 'birthDate'), expirationDate: readField(parsed, 'expirationDate') },
+    { referenceDate }
+  );
+  const code = readField(parsed, 'documentCode') || '';
+  const validity = {};
+  for (const detail of parsed.details) {
+    if (detail.field) validity[detail.field] = detail.valid;
+  }
+  // the formats without an expiration date, such as the French identity card, do not warn about it
+  const defined = new Set(parsed.details.map((detail) => detail.field));
+  const firstName = fields.firstName || '';
+  const lastName = fields.lastName || '';
+  return {
+    number: fields.documentNumber || '',
+    validDate: dates.expirationDate,
+    birthDate: dates.birthDate,
+    name: firstName.replace(/\s+/g, ''),
+    surname: lastName.replace(/\s+/g, ''),
+    format: parsed.format,
+    documentType: getDocumentType(parsed.format, code),
+    documentCode: code.slice(0, 1),
+    documentSubtype: code.length > 1 && code[1] !== '<' ? code[1] : null,
+    issuingState: describeState(fields.issuingState),
+    nationality: describeState(fields.nationality),
+    firstName: spaceName(firstName),
+    lastName: spaceName(lastName),
+    sex: fields.sex || null,
+    personalNumber: fields.personalNumber || null,
+    optionalData: ['optional', 'optional1', 'optional2'].map((field) => fields[field]).filter(Boolean),
+    valid: parsed.valid,
+    validity,
+    warnings: dates.warnings.filter((warning) => defined.has(warning.field)).map((warning) => Object.assign({}, warning, {
+      field: warning.field === 'expirationDate' ? 'validDate' : warning.field
+    }))
+  };
+}
+
+/**
+ * The fields of the default result, only those of the first versions with `compact`.
+ * @param {object} parsed - see parseLines
+ * @param {object} [options] - { referenceDate, compact }
+ */
+function formatFields(parsed: Object, options?: { referenceDate?: mixed, compact?: ?boolean } = {}): FormattedResult {
+  const { fields } = parsed;
+  if (fields.documentNumber === null || fields.firstName === null || fields.lastName === null) {
+    throw new ParseError('document number or holder name could not be read', 'MISSING_FIELD');
+  }
+
+  const rich = describeDocument(parsed, options.referenceDate);
+  if (options.compact) {
+    const { number, validDate, birthDate, name, surname, warnings } = rich;
+    const compact: CompactResult = { number, validDate, birthDate, name, surname, warnings };
+    return compact;
+  }
+  return rich;
+}
+
+/**
+ * Evaluates the `rules` option on a parsed zone, see validateDocument.js.
+ * @param {object} parsed - see parseLines
+ * @param {object} options - { rules, referenceDate }
+ */
+function validateParsed(parsed: Object, options: { rules: mixed, referenceDate?: mixed }): Validation {
+  return validateDocument(describeDocument(parsed, options.referenceDate), options.rules, { referenceDate: options.referenceDate });
+}
+
+/**
+ * Parses MRZ text that did not come from an image, e.g. a chip read or a manual entry,
+ * with the same relaxation, correction and result as a scan.
+ * @param {string|Array<string>} lines - The zone, one string with line breaks or one string per line
+ * @param {ParseOptions} [options]
+ * @return {?object} - The formatted result, or the parsed one with `original`
+ */
+function parseMrzText(lines: mixed, options?: ?ParseOptions): ?(FormattedResult | Object) {
+  const opts = options || {};
+  try {
+    const mrz = normalizeLines(lines);
+    if (opts.rules !== undefined) {
+      resolveRules(opts.rules);
+    }
+    let parsed;
+    try {
+      // without the candidates of an OCR, a typed check digit cannot be told from a misread one
+      parsed = parseLines(mrz, { correct: opts.correct === true, maxCorrections: opts.maxCorrections });
+    } catch (e) {
+      throw wrapError(e, ParseError, 'PARSE_FAILED');
+    }
+    const result: Object = opts.original ? parsed : formatFields(parsed, { referenceDate: opts.referenceDate, compact: opts.compact });
+    if (opts.rules !== undefined) {
+      result.validation = validateParsed(parsed, { rules: opts.rules, referenceDate: opts.referenceDate });
+    }
+    return opts.errors === 'result' ? { ok: true, result } : result;
+  } catch (e) {
+    return handleError(e, opts.errors);
+  }
+}
+
+module.exports = {
+  parseMrzText,
+  normalizeLines,
+  parseLines,
+  formatFields,
+  validateParsed
+};
@@ -0,0 +1,330 @@
+// @flow strict
+'use strict';
+const os = require('os');
+const path = require('path');
+// $FlowFixMe
+const { Worker } = require('worker_threads');
+
+const { MrzScanner } = require('./scanner');
+const { getModelSource } = require('./svm');
+const {
+  handleError,
+  InvalidInputError,
+  deserializeError,
+  MrzError,
+  AbortError,
+  TimeoutError
+} = require('./errors');
+
+type PoolOptions = {
+  modelPaths?: ModelSource,
+  // number of worker threads, defaults to the number of cpus
+  workers?: number,
+  // default time budget of a scan in milliseconds, from the moment it is queued
+  timeout?: number,
+  // default options of every scan, see detectAndParseMrz
+  [option: string]: mixed,
+};
+
+// file paths, or the contents given to setModel
+type ModelSource = { +descriptors: string | Uint8Array, +model: string | Uint8Array };
+
+type Job = {
+  id: number,
+  type: 'scan' | 'load',
+  // index of the slot that must run it, any slot when undefined
+  slot?: number,
+  buffer?: Uint8Array,
+  options?: { [option: string]: mixed },
+  resolve: (mixed) => void,
+  reject: (MrzError) => void,
+  cleanup: () => void,
+};
+
+type Slot = {
+  worker: $FlowFixMe, // Worker
+  job: ?Job,
+  // once the worker has started and listens for jobs
+  ready: boolean,
+  // once replaced, 'error' is followed by 'exit'
+  exited: boolean,
+};
+
+type Message = { ready?: boolean, id?: number, ok?: boolean, result?: mixed, error?: Object };
+
+const workerPath = path.join(__dirname, 'internal', 'scanWorker.js');
+
+// workers crashing in a row before being ready, the pool stops starting new ones then
+const MAX_STARTUP_FAILURES = 3;
+
+/**
+ * Same interface as MrzScanner, but every scan runs in one of N worker threads
+ * so detection and OCR never block the event loop of the caller.
+ * Scans wait in a FIFO queue when every worker is busy.
+ * A running scan that is aborted or times out terminates its worker, a new one takes its place.
+ * When the workers keep crashing before they are ready, the pool rejects the queued and the later scans.
+ * Call destroy() once done, idle workers do not keep the process alive.
+ */
+class MrzScannerPool extends MrzScanner {
+  /*:: slots: Array<Slot>; */
+  /*:: queue: Array<Job>; */
+  /*:: nextId: number; */
+  /*:: destroyed: boolean; */
+  /*:: startupFailures: number; */
+  /*:: failure: ?MrzError; */
+  /*:: scanDefaults: { [option: string]: mixed }; */
+
+  constructor(options?: PoolOptions = {}) {
+    super(options);
+    const size = Math.max(1, Math.floor(Number(options.workers) || os.cpus().length));
+    this.scanDefaults = Object.assign({}, options);
+    delete this.scanDefaults.workers;
+    delete this.scanDefaults.timeout;
+    delete this.scanDefaults.modelPaths;
+    this.slots = [];
+    this.queue = [];
+    this.nextId = 0;
+    this.destroyed = false;
+    this.startupFailures = 0;
+    this.failure = null;
+    for (let i = 0; i < size; i++) {
+      this.slots.push(this.spawn());
+    }
+  }
+
+  get size(): number {
+    return this.slots.length;
+  }
+
+  // The thread of a new slot
+  createWorker(): $FlowFixMe {
+    return new Worker(workerPath, {
+      workerData: { options: { modelPaths: this.getModelPaths() } }
+    });
+  }
+
+  spawn(): Slot {
+    const worker = this.createWorker();
+    const slot = { worker, job: null, ready: false, exited: false };
+    worker.on('message', (message) => this.onMessage(slot, message));
+    worker.on('error', (error) => this.onExit(slot, error));
+    worker.on('exit', (code) => this.onExit(slot, new Error(`worker stopped with exit code ${code}`)));
+    worker.unref();
+    return slot;
+  }
+
+  onMessage(slot: Slot, message: Message) {
+    if (message.ready) {
+      slot.ready = true;
+      this.startupFailures = 0;
+      return;
+    }
+    const job = slot.job;
+    if (!job || job.id !== message.id) return;
+    slot.job = null;
+    slot.worker.unref();
+    job.cleanup();
+    if (message.ok) {
+      job.resolve(message.result);
+    } else {
+      // $FlowFixMe error is set when ok is false
+      job.reject(deserializeError(message.error));
+    }
+    this.dispatch();
+  }
+
+  onExit(slot: Slot, error: Error) {
+    if (slot.exited) return;
+    slot.exited = true;
+    const index = this.slots.indexOf(slot);
+    if (index === -1) return;
+    const job = slot.job;
+    slot.job = null;
+    if (job) {
+      job.cleanup();
+      job.reject(new MrzError(`scan worker crashed: ${error.message}`, 'WORKER_CRASHED', error));
+    }
+    if (!slot.ready && !this.destroyed && !this.failure && ++this.startupFailures >= MAX_STARTUP_FAILURES) {
+      this.fail(new MrzError(`scan workers crashed ${this.startupFailures} times before starting: ${error.message}`, 'WORKER_CRASHED', error));
+    }
+    if (this.destroyed || this.failure) {
+      this.slots.splice(index, 1);
+    } else {
+      this.slots[index] = this.spawn();
+      this.dispatch();
+    }
+  }
+
+  // No new worker is started, the queued and the later scans reject with `error`
+  fail(error: MrzError) {
+    this.failure = error;
+    for (const job of this.queue.splice(0)) {
+      job.cleanup();
+      job.reject(error);
+    }
+  }
+
+  // setModelPaths() and setModel() only affect the main thread, workers get the resolved paths or contents
+  getModelPaths(): ?ModelSource {
+    if (this.options.modelPaths) {
+      return this.options.modelPaths;
+    }
+    try {
+      return getModelSource();
+    } catch (e) {
+      // the worker reports the missing files on its first scan
+      return undefined;
+    }
+  }
+
+  // Stops the worker running `job` and replaces it, the only way to interrupt synchronous work
+  kill(job: Job) {
+    const slot = this.slots.find((candidate) => candidate.job === job);
+    if (!slot) return;
+    slot.job = null;
+    const index = this.slots.indexOf(slot);
+    this.slots[index] = this.spawn();
+    slot.worker.removeAllListeners();
+    slot.worker.terminate();
+  }
+
+  dispatch() {
+    for (let index = 0; index < this.slots.length; index++) {
+      if (this.queue.length === 0) return;
+      const slot = this.slots[index];
+      if (slot.job) continue;
+      // the oldest job this slot may run
+      const position = this.queue.findIndex((job) => job.slot === undefined || job.slot === index);
+      if (position === -1) continue;
+      const [job] = this.queue.splice(position, 1);
+      slot.job = job;
+      slot.worker.ref();
+      slot.worker.postMessage({ id: job.id, type: job.type, buffer: job.buffer, options: job.options });
+    }
+  }
+
+  submit(type: 'scan' | 'load', buffer?: Uint8Array, options?: { [option: string]: mixed } = {}, slot?: number): Promise<mixed> {
+    return new Promise((resolve, reject) => {
+      if (this.destroyed) {
+        reject(new AbortError('the scanner pool was destroyed'));
+        return;
+      }
+      if (this.failure) {
+        reject(this.failure);
+        return;
+      }
+
+      const signal: ?AbortSignal = (options.signal: $FlowFixMe);
+      const timeout = options.timeout !== undefined ? Number(options.timeout) : Number(this.options.timeout);
+      const jobOptions = Object.assign({}, options);
+      delete jobOptions.signal;
+      delete jobOptions.timeout;
+
+      if (signal && signal.aborted) {
+        reject(new AbortError('the scan was aborted'));
+        return;
+      }
+
+      let timer;
+      const job: Job = {
+        id: this.nextId++,
+        type,
+        slot,
+        buffer,
+        options: jobOptions,
+        resolve,
+        reject,
+        cleanup: () => {
+          clearTimeout(timer);
+          if (signal) signal.removeEventListener('abort', onAbort);
+        }
+      };
+
+      const cancel = (error) => {
+        job.cleanup();
+        const position = this.queue.indexOf(job);
+        if (position !== -1) {
+          this.queue.splice(position, 1);
+        } else {
+          this.kill(job);
+        }
+        reject(error);
+        this.dispatch();
+      };
+      const onAbort = () => cancel(new AbortError('the scan was aborted'));
+
+      if (signal) signal.addEventListener('abort', onAbort);
+      if (timeout > 0) {
+        timer = setTimeout(() => cancel(new TimeoutError(`the scan did not finish within ${timeout}ms`)), timeout);
+      }
+
+      this.queue.push(job);
+      this.dispatch();
+    });
+  }
+
+  // Loads the model in every worker, one load job per slot
+  async load(): Promise<mixed> {
+    await Promise.all(this.slots.map((slot, index) => this.submit('load', undefined, {}, index)));
+  }
+
+  /**
+   * Scans one document in a worker thread.
+   * @param {Buffer} buffer
+   * @param {object} [options] - scan options, plus:
+   * @param {AbortSignal} [options.signal] - Cancels the scan, queued or running
+   * @param {number} [options.timeout] - Time budget in milliseconds, overrides the pool's timeout
+   */
+  async scan(buffer: Buffer, options?: ?{ [option: string]: mixed }): Promise<mixed> {
+    const opts = Object.assign({}, this.scanDefaults, options);
+    const errors = opts.errors;
+    delete opts.errors;
+    try {
+      if (!(buffer instanceof Uint8Array)) {
+        throw new InvalidInputError('expected a non empty Buffer', 'INVALID_BUFFER');
+      }
+      // functions do not cross threads, each worker requires the module
+      if (opts.recognizer !== undefined && typeof opts.recognizer !== 'string') {
+        throw new InvalidInputError('the recognizer of a pooled scan must be the path of its module', 'INVALID_OPTION');
+      }
+      // a copy, so the job does not depend on the caller reusing its buffer
+      const result = await this.submit('scan', Uint8Array.from(buffer), opts);
+      return errors === 'result' ? { ok: true, result } : result;
+    } catch (e) {
+      return handleError(e, errors);
+    }
+  }
+
+  scanMany(buffers: Array<Buffer>, options?: { concurrency?: number, [option: string]: mixed } = {}): Promise<$FlowFixMe> {
+    return super.scanMany(buffers, Object.assign({ concurrency: this.size }, options));
+  }
+
+  // Rejects the queued scans, stops the running ones and terminates every worker
+  async destroy(): Promise<void> {
+    this.destroyed = true;
+    for (const job of this.queue.splice(0)) {
+      job.cleanup();
+      job.reject(new AbortError('the scanner pool was destroyed'));
+    }
+    const slots = this.slots.splice(0);
+    await Promise.all(slots.map((slot) => {
+      const job = slot.job;
+      slot.job = null;
+      slot.worker.removeAllListeners();
+      if (job) {
+        job.cleanup();
+        job.reject(new AbortError('the scanner pool was destroyed'));
+      }
+      return slot.worker.terminate();
+    }));
+  }
+}
+
+function createPool(options?: PoolOptions): MrzScannerPool {
+  return new MrzScannerPool(options);
+}
+
+module.exports = {
+  MrzScannerPool,
+  createPool
+};
@@ -0,0 +1,182 @@
+// @flow strict
+'use strict';
+// A recognizer reads the characters of the zone located by getMrz and segmented by fixedPitch.
+// It is given the crop of every character, or with `input: 'lines'` the image of every line, so another engine
+// (an onnx or tensorflow.js model, tesseract.js...) can replace the svm. The parsing is the same whatever reads.
+// $FlowFixMe
+const path = require('path');
+
+const { predictImagesWithScores } = require('./svm');
+const { getFingerprint, predictFingerprints } = require('./fingerprint');
+const { InvalidInputError, ModelLoadError, OcrError } = require('./errors');
+
+export type CharacterReading = {
+  symbol: string,
+  confidence: number, // 0 to 1
+  // may be omitted by a recognizer, see checkReadings
+  alternatives: Array<{ symbol: string, score: number }>,
+};
+
+type RecognizeContext = {
+  // number of runner-up symbols wanted per character
+  topN: number,
+  // 'characters': the cells of the images, with their `line`, `column`, `kind` and `fingerprint`, see mrzOcr
+  rois?: Array<Object>,
+  // 'lines': the number of characters expected on each line
+  lengths?: Array<number>,
+};
+
+export type Recognizer = {
+  name?: string,
+  // 'characters' by default
+  input?: 'characters' | 'lines',
+  // one reading per character crop, or one array of readings per line image
+  recognize: (images: Array<Object>, context: RecognizeContext) => mixed,
+};
+
+type ResolveOptions = {
+  recognizer?: mixed,
+  method?: 'svm' | 'fingerprint',
+  model?: mixed,
+};
+
+const toReading = ({ label, confidence, alternatives }) => ({
+  symbol: String.fromCharCode(label),
+  confidence,
+  alternatives: alternatives.map((alternative) => ({ symbol: String.fromCharCode(alternative.label), score: alternative.score }))
+});
+
+/**
+ * The default recognizer, the svm on the hog descriptors of each character.
+ * @param {object} [options]
+ * @param {object} [options.model] - Model returned by loadModel, loaded from getModelSource() when omitted
+ * @return {Recognizer}
+ */
+function createSvmRecognizer(options?: { model?: mixed } = {}): Recognizer {
+  return {
+    name: 'svm',
+    input: 'characters',
+    async recognize(images, { topN }) {
+      const predictions = await predictImagesWithScores(images, { topN, model: options.model });
+      return predictions.map(toReading);
+    }
+  };
+}
+
+/**
+ * Reads the characters with the fingerprints of a font, needs no model file, see fingerprint.js.
+ * @param {object} [options]
+ * @param {string} [options.fontName] - A font of fontData/12x12/mrz
+ * @return {Recognizer}
+ */
+function createFingerprintRecognizer(options?: { fontName?: string } = {}): Recognizer {
+  return {
+    name: 'fingerprint',
+    input: 'characters',
+    recognize(images, { topN, rois }) {
+      // the fingerprint of the component when the cell is one, it is not cropped again
+      const fingerprints = images.map((image, i) => (rois && rois[i].fingerprint) || getFingerprint(image));
+      return predictFingerprints(fingerprints, { topN, fontName: options.fontName }).map(toReading);
+    }
+  };
+}
+
+/**
+ * Whether the fingerprints read instead of the svm after `error`: the model files are missing
+ * and no method was asked for. An unreadable, corrupted or mismatched model is reported, not replaced.
+ * @param {mixed} error - As thrown by loadModel
+ * @param {object} options - The scan options
+ * @return {boolean}
+ */
+function canFallBack(error: mixed, options: { +method?: mixed, +recognizer?: mixed }): boolean {
+  return error instanceof ModelLoadError &&
+    error.code === 'MODEL_NOT_FOUND' &&
+    options.method === undefined &&
+    options.recognizer === undefined;
+}
+
+function loadRecognizer(file: string): mixed {
+  const resolved = path.resolve(file);
+  try {
+    // $FlowFixMe the module is only known at run time
+    const exported = require(resolved);
+    return exported && exported.default ? exported.default : exported;
+  } catch (e) {
+    throw new ModelLoadError(`could not load the recognizer ${resolved}: ${e.message}`, 'RECOGNIZER_LOAD_FAILED', e);
+  }
+}
+
+/**
+ * The recognizer of a scan: the `recognizer` option, an object or the path of a module exporting one,
+ * else the built-in recognizer of `method`.
+ * @param {object} options - The scan options
+ * @return {Recognizer}
+ */
+function resolveRecognizer(options: ResolveOptions): Recognizer {
+  const { recognizer: value } = options;
+  if (value === undefined) {
+    return options.method === 'fingerprint' ? createFingerprintRecognizer() : createSvmRecognizer({ model: options.model });
+  }
+  const recognizer: $FlowFixMe = typeof value === 'string' ? loadRecognizer(value) : value;
+  if (!recognizer || typeof recognizer !== 'object' || typeof recognizer.recognize !== 'function') {
+    throw new InvalidInputError('recognizer must be an object with a recognize function, or the path of a module exporting one', 'INVALID_OPTION');
+  }
+  if (recognizer.input !== undefined && recognizer.input !== 'characters' && recognizer.input !== 'lines') {
+    throw new InvalidInputError(`recognizer input must be characters or lines, got ${String(recognizer.input)}`, 'INVALID_OPTION');
+  }
+  return recognizer;
+}
+
+function invalid(name: string, message: string): OcrError {
+  return new OcrError(`recognizer ${name} ${message}`, 'INVALID_RECOGNITION');
+}
+
+/**
+ * Checks the readings of a recognizer, the alternatives default to none.
+ * @param {Recognizer} recognizer
+ * @param {mixed} readings - As resolved by recognize()
+ * @param {number} [count] - The number of images given, any for the characters of a line
+ * @return {Array<CharacterReading>}
+ */
+function checkReadings(recognizer: Recognizer, readings: mixed, count?: number): Array<CharacterReading> {
+  const name = recognizer.name || 'custom';
+  if (!Array.isArray(readings)) {
+    throw invalid(name, `returned ${typeof readings} instead of an array of readings`);
+  }
+  if (count !== undefined && readings.length !== count) {
+    throw invalid(name, `returned ${readings.length} readings for ${count} images`);
+  }
+  return readings.map((reading: $FlowFixMe) => {
+    if (!reading || typeof reading.symbol !== 'string' || reading.symbol.length !== 1 || typeof reading.confidence !== 'number') {
+      throw invalid(name, `returned ${JSON.stringify(reading) || String(reading)}, expected { symbol, confidence, alternatives }`);
+    }
+    const alternatives = reading.alternatives || [];
+    if (!Array.isArray(alternatives) || !alternatives.every((alternative) => alternative && typeof alternative.symbol === 'string' && typeof alternative.score === 'number')) {
+      throw invalid(name, 'returned alternatives which are not { symbol, score }');
+    }
+    return { symbol: reading.symbol, confidence: reading.confidence, alternatives };
+  });
+}
+
+/**
+ * Checks the readings of a recognizer of lines, one array of readings per line.
+ * @param {Recognizer} recognizer
+ * @param {mixed} lines - As resolved by recognize()
+ * @param {number} count - The number of line images given
+ * @return {Array<Array<CharacterReading>>}
+ */
+function checkLineReadings(recognizer: Recognizer, lines: mixed, count: number): Array<Array<CharacterReading>> {
+  if (!Array.isArray(lines) || lines.length !== count) {
+    throw invalid(recognizer.name || 'custom', `returned ${Array.isArray(lines) ? lines.length : typeof lines} lines for ${count} images`);
+  }
+  return lines.map((line) => checkReadings(recognizer, line));
+}
+
+module.exports = {
+  createSvmRecognizer,
+  createFingerprintRecognizer,
+  resolveRecognizer,
+  canFallBack,
+  checkReadings,
+  checkLineReadings
+};
@@ -0,0 +1,130 @@
+// @flow strict
+'use strict';
+
+const detectAndParseMrz = require('./detect-and-parse');
+const { loadModel } = require('./svm');
+const { canFallBack } = require('./recognizers');
+const { wrapError, handleError, MrzError } = require('./errors');
+
+type ScannerOptions = {
+  // { descriptors, model } file paths or contents as for setModel, resolved like detectAndParseMrz does when omitted
+  modelPaths?: { +descriptors: string | Uint8Array, +model: string | Uint8Array },
+  // run the scans in that many worker threads, see MrzScannerPool
+  workers?: number,
+  // time budget of a pooled scan in milliseconds
+  timeout?: number,
+  // default options of every scan, see detectAndParseMrz
+  [option: string]: mixed,
+};
+
+type ItemResult = {
+  index: number,
+  ok: boolean,
+  result?: mixed,
+  error?: MrzError,
+  duration: number, // milliseconds
+};
+
+/**
+ * Scans many documents with the svm descriptors, kernel and classifier loaded only once.
+ * The model is loaded lazily on the first scan, or eagerly with load().
+ */
+class MrzScanner {
+  /*:: options: ScannerOptions; */
+  /*:: modelPromise: ?Promise<mixed>; */
+
+  constructor(options?: ScannerOptions = {}) {
+    this.options = options;
+    this.modelPromise = null;
+  }
+
+  load(): Promise<mixed> {
+    if (!this.modelPromise) {
+      this.modelPromise = loadModel(this.options.modelPaths).catch((error) => {
+        // allow a later call to retry, e.g. once the files are deployed
+        this.modelPromise = null;
+        throw error;
+      });
+    }
+    return this.modelPromise;
+  }
+
+  async scan(buffer: Buffer, options?: ?{ [option: string]: mixed }): Promise<mixed> {
+    const opts = Object.assign({}, this.options, options);
+    delete opts.modelPaths;
+    // the fingerprints and the other recognizers need no svm, they scan without the model files,
+    // and read instead of it when its files are missing
+    if (opts.method !== 'fingerprint' && opts.recognizer === undefined) {
+      try {
+        opts.model = await this.load();
+      } catch (e) {
+        // honour the error mode of the scan for model failures as well
+        if (!canFallBack(e, opts)) return handleError(e, opts.errors);
+        opts.method = 'fingerprint';
+      }
+    }
+    return detectAndParseMrz(buffer, opts);
+  }
+
+  /**
+   * Scans every buffer, never rejects: each item reports its own result or error.
+   * @param {Array<Buffer>} buffers
+   * @param {object} [options] - scan options, plus:
+   * @param {number} [options.concurrency=1] - Number of scans in flight at the same time
+   * @return {Promise<Array<{index: number, ok: boolean, result?: Object, error?: MrzError, duration: number}>>}
+   */
+  async scanMany(buffers: Array<Buffer>, options?: { concurrency?: number, [option: string]: mixed } = {}): Promise<Array<ItemResult>> {
+    const concurrency = Math.max(1, Math.floor(Number(options.concurrency) || 1));
+    const scanOptions = Object.assign({}, options, { errors: 'throw' });
+    delete scanOptions.concurrency;
+
+    const results: Array<ItemResult> = new Array(buffers.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < buffers.length) {
+        const index = next++;
+        const start = Date.now();
+        try {
+          const result = await this.scan(buffers[index], scanOptions);
+          results[index] = { index, ok: true, result, duration: Date.now() - start };
+        } catch (e) {
+          results[index] = { index, ok: false, error: wrapError(e, MrzError, 'UNKNOWN'), duration: Date.now() - start };
+        }
+      }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(concurrency, buffers.length); i++) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    return results;
+  }
+
+  // Drops the cached model, the pool also stops its workers
+  async destroy(): Promise<void> {
+    this.modelPromise = null;
+  }
+}
+
+/**
+ * @param {object} [options] - default scan options, plus:
+ * @param {Object} [options.modelPaths] - { descriptors, model } file paths
+ * @param {number} [options.workers] - Run the scans in a pool of worker threads, see MrzScannerPool
+ * @param {number} [options.timeout] - Time budget of a pooled scan in milliseconds
+ */
+function createScanner(options?: ScannerOptions): MrzScanner {
+  if (options && options.workers) {
+    // required lazily, the pool module depends on this one
+    const { MrzScannerPool } = require('./pool');
+    return new MrzScannerPool(options);
+  }
+  return new MrzScanner(options);
+}
+
+module.exports = {
+  MrzScanner,
+  createScanner
+};
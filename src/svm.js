@@ -11,10 +11,47 @@ const uniq = require('lodash.uniq');
 const BSON = require('bson');
 
 const SVM = require('libsvm-js/asm');
+const { Image } = require('image-js');
 const { readImages } = require('./util/readWrite');
+const { MrzError, ModelLoadError, InvalidInputError } = require('./errors');
+const {
+  parseSvmModel,
+  scoreSample,
+  scoreDecisionValues,
+  getDecisionValues,
+  collapseLinear,
+  getLinearDecisionValues,
+  predictLabel
+} = require('./lib/svmScores');
+const { createManifest, verifyManifest, parseManifest, getManifestPath } = require('./modelManifest');
+const MRZ = require('./internal/symbols');
+
+// How the descriptors are computed, recorded in the manifest of every model
+const FEATURES = {
+  scale: { width: 20, height: 20 },
+  pad: 2,
+  hog: {
+    cellSize: 5,
+    blockSize: 2,
+    blockStride: 1,
+    bins: 4,
+    norm: 'L2'
+  },
+  heightFeature: true
+};
+
+const ALPHABET = String.fromCharCode(...MRZ.symbols);
 
 // Global variable to hold externally set model paths
 let externalModelPaths = null;
+// or the content of the model files, see setModel
+let externalModel = null;
+
+// the model shipped with the package
+const bundledModelPaths = {
+  descriptors: path.join(__dirname, '..', 'models', 'ESC-v2.svm.descriptors'),
+  model: path.join(__dirname, '..', 'models', 'ESC-v2.svm.model')
+};
 
 /**
  * Inject external model paths.
@@ -26,6 +63,26 @@ function setModelPaths(models) {
   externalModelPaths = models;
 }
 
+/**
+ * Inject the content of the model files, for bundles and file systems without them.
+ * @param {Object} model - null to go back to the files
+ *   - descriptors: Buffer of the descriptors file
+ *   - model: Content of the model (classifier) file, a string or a Buffer
+ *   - manifest: Optional manifest, its JSON or the parsed object
+ */
+function setModel(model) {
+  if (model !== null && !isModelData(model)) {
+    throw new InvalidInputError('setModel expects { descriptors: Buffer, model: string, manifest? }', 'INVALID_OPTION');
+  }
+  externalModel = model;
+}
+
+function isModelData(source) {
+  return Boolean(source) &&
+    source.descriptors instanceof Uint8Array &&
+    (typeof source.model === 'string' || source.model instanceof Uint8Array);
+}
+
 async function loadData(dir) {
   const data = await readImages(path.resolve(path.join(__dirname, '..'), dir));
 
@@ -52,19 +109,23 @@ async function loadData(dir) {
 }
 
 function extractHOG(image) {
-  image = image.scale({ width: 20, height: 20 });
-  image = image.pad({ size: 2 });
-  const optionsHog = {
-    cellSize: 5,
-    blockSize: 2,
-    blockStride: 1,
-    bins: 4,
-    norm: 'L2'
-  };
-  const hogFeatures = hog.extractHOG(image, optionsHog);
+  image = image.scale(FEATURES.scale);
+  image = image.pad({ size: FEATURES.pad });
+  const hogFeatures = hog.extractHOG(image, FEATURES.hog);
   return hogFeatures;
 }
 
+let descriptorLength = 0;
+
+// The number of features of a descriptor, the height one included
+function getDescriptorLength() {
+  if (!descriptorLength) {
+    const blank = new Image(FEATURES.scale.width, FEATURES.scale.height, { kind: 'GREY' });
+    descriptorLength = extractHOG(blank).length + (FEATURES.heightFeature ? 1 : 0);
+  }
+  return descriptorLength;
+}
+
 // Get descriptors from an array of images
 function getDescriptors(images) {
   const result = [];
@@ -86,61 +147,226 @@ function getDescriptors(images) {
   return result;
 }
 
-function predictImages(images) {
+function predictImages(images, model) {
   const Xtest = getDescriptors(images);
-  return applyModel(Xtest);
+  return applyModel(Xtest, model);
 }
 
-function predict(classifier, Xtrain, Xtest, kernelOptions) {
-  const kernel = getKernel(kernelOptions);
+/**
+ * Same as predictImages but also returns how certain the classifier is about each image.
+ * @param {Array<Image>} images
+ * @param {object} [options]
+ * @param {number} [options.topN=3] - Number of runner-up labels to keep per image
+ * @param {object} [options.model] - Model returned by loadModel, loaded from getModelSource() when omitted
+ * @return {Promise<Array<{label: number, confidence: number, alternatives: Array<{label: number, score: number}>}>>}
+ */
+function predictImagesWithScores(images, options = {}) {
+  const Xtest = getDescriptors(images);
+  return applyModelWithScores(Xtest, options);
+}
+
+function predict(classifier, Xtrain, Xtest, kernelOptions, kernel = getKernel(kernelOptions)) {
   const Ktest = kernel
     .compute(Xtest, Xtrain)
     .addColumn(0, range(1, Xtest.length + 1));
   return classifier.predict(Ktest);
 }
 
-async function applyModel(Xtest) {
-  const { descriptors: descriptorsPath, model: modelPath } = getFilePath();
+// Only the kernel values against the support vectors are needed to get the decision values,
+// a collapsed linear model needs none: the dot products with the weights of each pair are the decision values
+function predictWithScores(model, Xtest, topN) {
+  const { svmModel, supportVectors, kernel, weights } = model;
+  const Ktest = weights ? null : kernel.compute(Xtest, supportVectors);
+
+  return Xtest.map((x, row) => {
+    const [best, ...others] = Ktest ?
+      scoreSample(svmModel, Ktest.getRow(row)) :
+      scoreDecisionValues(svmModel, getLinearDecisionValues(svmModel, weights, x));
+    return {
+      label: best.label,
+      confidence: best.score,
+      alternatives: others.slice(0, topN).map(({ label, score }) => ({ label, score }))
+    };
+  });
+}
+
+/**
+ * Reads the descriptors and the classifier once, so they can be shared between predictions.
+ * @param {Object} [source] - { descriptors, model } file paths or contents as for setModel,
+ *   resolved with getModelSource() when omitted
+ * @return {Promise<Object>} - { Xtrain, kernelOptions, kernel, classifier, svmModel, supportVectors, weights, manifest }
+ */
+async function loadModel(source) {
+  source = source || getModelSource();
+  const inMemory = isModelData(source);
+  const { descriptors: descriptorsPath, model: modelPath } = source;
+
+  let file;
+  let model;
+  try {
+    file = inMemory ? Buffer.from(source.descriptors) : await fsPromises.readFile(descriptorsPath);
+    model = inMemory ?
+      Buffer.from(source.model).toString('utf8') :
+      await fsPromises.readFile(modelPath, { encoding: 'utf8' });
+  } catch (error) {
+    // only missing files are MODEL_NOT_FOUND, the fingerprints may read instead of them (see canFallBack)
+    throw loadError(source, inMemory, error, error.code === 'ENOENT' ? 'MODEL_NOT_FOUND' : 'MODEL_LOAD_FAILED');
+  }
 
   try {
     const bson = new BSON();
-    const file = await fsPromises.readFile(descriptorsPath);
     const { descriptors: Xtrain, kernelOptions } = bson.deserialize(file);
 
-    const model = await fsPromises.readFile(modelPath, {
-      encoding: 'utf8'
-    });
     const classifier = await SVM.load(model);
+    const svmModel = parseSvmModel(model);
+    const supportVectors = svmModel.svIndices.map((index) => Xtrain[index]);
+    const kernel = getKernel(kernelOptions);
+    const pairs = (svmModel.labels.length * (svmModel.labels.length - 1)) / 2;
+
+    const manifest = await readModelManifest(source, inMemory);
+    verifyManifest(manifest, {
+      features: FEATURES,
+      alphabet: ALPHABET,
+      descriptorLength: Xtrain.length ? Xtrain[0].length : 0,
+      expectedLength: getDescriptorLength(),
+      labels: svmModel.labels,
+      descriptors: file,
+      model
+    });
 
-    const prediction = predict(classifier, Xtrain, Xtest, kernelOptions);
-    return prediction;
+    return {
+      Xtrain,
+      kernelOptions,
+      kernel,
+      classifier,
+      svmModel,
+      supportVectors,
+      // the linear kernel collapsed to a weight vector per pair of classes, see collapseLinear,
+      // only when that takes fewer dot products than the support vectors
+      weights: kernel.kernelType === 'linear' && pairs < supportVectors.length ? collapseLinear(svmModel, supportVectors) : null,
+      manifest
+    };
   } catch (error) {
-    const errorInfo = `Error loading model files. Tried paths:
-    - descriptors: ${descriptorsPath}
-    - model: ${modelPath}
+    // the manifest errors tell what is wrong already
+    if (error instanceof ModelLoadError) throw error;
+    throw loadError(source, inMemory, error, 'MODEL_LOAD_FAILED');
+  }
+}
+
+function loadError(source, inMemory, error, code) {
+  const errorInfo = inMemory ?
+    `Error loading the model given to setModel: ${error.message}` :
+    `Error loading model files. Tried paths:
+    - descriptors: ${source.descriptors}
+    - model: ${source.model}
     Original error: ${error.message}`;
-    console.error(errorInfo);
-    throw new Error(errorInfo);
+  console.error(errorInfo);
+  return new ModelLoadError(errorInfo, code, error);
+}
+
+// The manifest next to the files, or given with the contents, null for a model older than the manifests
+async function readModelManifest(source, inMemory) {
+  if (inMemory) {
+    return source.manifest ? parseManifest(source.manifest) : null;
+  }
+  const manifestPath = source.manifest || getManifestPath(source.model);
+  if (!source.manifest && !fs.existsSync(manifestPath)) {
+    return null;
+  }
+  return parseManifest(await fsPromises.readFile(manifestPath, { encoding: 'utf8' }));
+}
+
+// A model loaded for other descriptors would predict garbage without failing
+function checkDescriptors(model, Xtest) {
+  const { Xtrain } = model;
+  if (Xtest.length && Xtrain.length && Xtest[0].length !== Xtrain[0].length) {
+    throw new ModelLoadError(`the model was trained on ${Xtrain[0].length} features, the descriptors hold ${Xtest[0].length}`, 'MODEL_MISMATCH');
+  }
+}
+
+async function applyModel(Xtest, model) {
+  model = model || await loadModel();
+  checkDescriptors(model, Xtest);
+  const { svmModel, supportVectors, kernel, weights } = model;
+  if (weights) {
+    return Xtest.map((x) => predictLabel(svmModel, getLinearDecisionValues(svmModel, weights, x)));
+  }
+  // the kernel against the support vectors only, libsvm would compute it against every training descriptor
+  const Ktest = kernel.compute(Xtest, supportVectors);
+  return Xtest.map((x, row) => predictLabel(svmModel, getDecisionValues(svmModel, Ktest.getRow(row))));
+}
+
+async function applyModelWithScores(Xtest, { topN = 3, model } = {}) {
+  model = model || await loadModel();
+  checkDescriptors(model, Xtest);
+  return predictWithScores(model, Xtest, topN);
+}
+
+/**
+ * Trains a classifier and writes it with its descriptors.
+ * @param {Array<Object>} letters - { descriptor, label } samples, see loadData
+ * @param {string} name - Unused, kept for compatibility
+ * @param {Object} [SVMOptions]
+ * @param {Object} [kernelOptions]
+ * @param {Object} [paths] - { descriptors, model } output files, getFilePath() when omitted
+ */
+async function createModel(letters, name, SVMOptions, kernelOptions, paths) {
+  const target = paths || getFilePath();
+  if (target === bundledModelPaths) {
+    throw new MrzError('createModel needs the paths of the files to write, the bundled model is not overwritten', 'MODEL_WRITE_FAILED');
   }
+  const trained = await train(letters, SVMOptions, kernelOptions);
+  await saveModel(trained, kernelOptions, target, { samples: letters.length });
+  return trained;
 }
 
-async function createModel(letters, name, SVMOptions, kernelOptions) {
-  const { descriptors: descriptorsPath, model: modelPath } = getFilePath();
-  const { descriptors, classifier } = await train(letters, SVMOptions, kernelOptions);
+/**
+ * Writes what train() returns in the format read by loadModel, with its manifest.
+ * @param {Object} trained - See train
+ * @param {Object} [kernelOptions]
+ * @param {Object} paths - { descriptors, model } output files, and the manifest next to the model unless `manifest`
+ * @param {Object} [metrics] - How the model did at training, kept in the manifest
+ */
+async function saveModel({ descriptors, classifier }, kernelOptions, paths, metrics) {
+  const { descriptors: descriptorsPath, model: modelPath } = paths;
+  const manifestPath = paths.manifest || getManifestPath(modelPath);
   const bson = new BSON();
 
   try {
-    await fsPromises.writeFile(
-      descriptorsPath,
-      bson.serialize({ descriptors, kernelOptions })
-    );
-    await fsPromises.writeFile(modelPath, classifier.serializeModel());
+    const descriptorsFile = bson.serialize({ descriptors, kernelOptions });
+    const model = classifier.serializeModel();
+    const manifest = createManifest({
+      name: path.basename(modelPath).replace(/\.model$/, '').replace(/\.svm$/, ''),
+      library: require('../package.json').version,
+      features: FEATURES,
+      kernel: Object.assign({ type: 'linear' }, kernelOptions),
+      alphabet: ALPHABET,
+      descriptorLength: descriptors.length ? descriptors[0].length : 0,
+      descriptors: descriptorsFile,
+      model,
+      metrics
+    });
+    await fsPromises.mkdir(path.dirname(descriptorsPath), { recursive: true });
+    await fsPromises.mkdir(path.dirname(modelPath), { recursive: true });
+    await fsPromises.mkdir(path.dirname(manifestPath), { recursive: true });
+    await fsPromises.writeFile(descriptorsPath, descriptorsFile);
+    await fsPromises.writeFile(modelPath, model);
+    await fsPromises.writeFile(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
   } catch (e) {
-    console.log(e);
+    throw new MrzError(`could not write the model files ${descriptorsPath} and ${modelPath}: ${e.message}`, 'MODEL_WRITE_FAILED', e);
   }
 }
 
+// loadModel reads the decision values of a classifier, a regression or one-class model has none to read
+const CLASSIFIER_TYPES = [SVM.SVM_TYPES.C_SVC, SVM.SVM_TYPES.NU_SVC];
+
 async function train(letters, SVMOptions, kernelOptions) {
+  if (SVMOptions && SVMOptions.type !== undefined && !CLASSIFIER_TYPES.includes(String(SVMOptions.type))) {
+    throw new InvalidInputError(
+      `svm type must be C_SVC (${SVM.SVM_TYPES.C_SVC}) or NU_SVC (${SVM.SVM_TYPES.NU_SVC}), got ${String(SVMOptions.type)}`,
+      'INVALID_OPTION'
+    );
+  }
   const SVMOptionsOneClass = {
     type: SVM.SVM_TYPES.ONE_CLASS,
     kernel: SVM.KERNEL_TYPES.PRECOMPUTED,
@@ -189,8 +415,9 @@ async function train(letters, SVMOptions, kernelOptions) {
  * Priority:
  * 1. Use environment variables if set
  * 2. Use externally provided model paths if set via setModelPaths().
- * 3. Check for production files under /var/task/static/mrz-models.
+ * 3. Check for production files under public/mrz-models.
  * 4. Fallback to local development files in public/mrz-models.
+ * 5. Fallback to the models/ directory of the package.
  */
 function getFilePath() {
   // 1. Check environment variables first
@@ -223,7 +450,24 @@ function getFilePath() {
     return { descriptors: descriptorsLocal, model: modelLocal };
   }
 
-  throw new Error("MRZ model files not found in any expected locations");
+  // 5. The model shipped with the package, missing when the package was bundled without it
+  if (fs.existsSync(bundledModelPaths.descriptors)) {
+    return bundledModelPaths;
+  }
+
+  throw new ModelLoadError('MRZ model files not found in any expected locations', 'MODEL_NOT_FOUND');
+}
+
+/**
+ * The model to load: the environment variables first, then the content given to setModel(),
+ * then the files of getFilePath().
+ * @return {Object} - { descriptors, model } file paths or contents
+ */
+function getModelSource() {
+  if (externalModel && !(process.env.MRZ_DESCRIPTORS_PATH && process.env.MRZ_MODEL_PATH)) {
+    return externalModel;
+  }
+  return getFilePath();
 }
 
 
@@ -236,11 +480,18 @@ function getKernel(options) {
 
 module.exports = {
   applyModel,
+  applyModelWithScores,
+  loadModel,
   createModel,
+  saveModel,
   train,
   predict,
   extractHOG,
   predictImages,
+  predictImagesWithScores,
   loadData,
-  setModelPaths
+  getFilePath,
+  getModelSource,
+  setModelPaths,
+  setModel
 };
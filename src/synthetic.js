@@ -0,0 +1,509 @@
+// @flow strict
+'use strict';
+// $FlowFixMe
+const path = require('node:path');
+// $FlowFixMe
+const fs = require('node:fs/promises');
+// $FlowFixMe
+const { Image } = require('image-js');
+// $FlowFixMe
+const { Matrix, solve } = require('ml-matrix');
+
+const { writeImages } = require('./util/readWrite');
+const { computeCheckDigit } = require('./mrz-correct');
+const { InvalidInputError } = require('./errors');
+const createRandom = require('./lib/createRandom');
+const MRZ = require('./internal/symbols');
+
+type Range = [number, number];
+
+type AugmentOptions = {
+  // output pixels per fingerprint cell, a glyph is 12 cells high
+  scale: Range,
+  // degrees, clockwise
+  rotation: Range,
+  // largest move of each corner of the page, as a share of its size
+  perspective: number,
+  // sigma of the gaussian blur, 0 for none
+  blur: Range,
+  // standard deviation of the gaussian noise, in grey levels
+  noise: Range,
+  // darkening from one side of the image to the other, 0 to 1
+  lighting: Range,
+  // JPEG quality the image goes through, null to stay lossless
+  jpeg: ?Range,
+  ink: Range,
+  paper: Range,
+};
+
+type Glyph = { symbol: string, bitmap: Uint8Array, x: number, y: number, width: number, height: number };
+
+type Layout = { width: number, height: number, glyphs: Array<Glyph> };
+
+type Transform = Array<number>;
+
+// augmentations drawn for one MRZ
+type Params = {
+  scale: number,
+  rotation: number,
+  corners: Array<[number, number]>,
+  blur: number,
+  noise: number,
+  lighting: number,
+  lightingAngle: number,
+  jpeg: ?number,
+  ink: number,
+  paper: number,
+};
+
+const FONT_DIR = path.join(__dirname, '../fontData/12x12/mrz');
+// fingerprints are 12 x 12 bitmaps
+const CELL = 12;
+// advance, in cells
+const PITCH = 14;
+// fingerprints fit every symbol to the cell, the chevron is smaller than the letters on a document
+const HEIGHTS = { '<': 0.6 };
+// height / width of the data page with the MRZ text as wide as on the real documents, margin and line
+// distance in advances
+const PAGES = {
+  TD1: { length: 30, ratio: 0.63, margin: 1.6, leading: 1.6 },
+  TD2: { length: 36, ratio: 0.7, margin: 2.2, leading: 1.9 },
+  TD3: { length: 44, ratio: 0.7, margin: 2.6, leading: 2.1 }
+};
+const COUNTRIES = ['D<<', 'FRA', 'ITA', 'ESP', 'NLD', 'BEL', 'CHE', 'AUT', 'GBR', 'USA', 'CAN', 'POL', 'SWE'];
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const ALPHANUMERIC = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+const defaults: AugmentOptions = {
+  scale: [1.6, 2.4],
+  rotation: [-2, 2],
+  perspective: 0.02,
+  blur: [0, 1.2],
+  noise: [0, 8],
+  lighting: [0, 0.3],
+  jpeg: [50, 95],
+  ink: [10, 70],
+  paper: [180, 245]
+};
+
+// augment: false, the glyphs as printed
+const clean: AugmentOptions = {
+  scale: [2, 2],
+  rotation: [0, 0],
+  perspective: 0,
+  blur: [0, 0],
+  noise: [0, 0],
+  lighting: [0, 0],
+  jpeg: null,
+  ink: [20, 20],
+  paper: [230, 230]
+};
+
+function invalid(name: string, expected: string, value: mixed) {
+  return new InvalidInputError(`${name} must be ${expected}, got ${JSON.stringify(value) || String(value)}`, 'INVALID_OPTION');
+}
+
+function checkRange(name: string, value: mixed, min: number, max: number): Range {
+  if (
+    !Array.isArray(value) || value.length !== 2 ||
+    !value.every((bound) => typeof bound === 'number' && bound >= min && bound <= max) ||
+    Number(value[0]) > Number(value[1])
+  ) {
+    throw invalid(`augment option ${name}`, `a [min, max] range within ${min} and ${max}`, value);
+  }
+  return [Number(value[0]), Number(value[1])];
+}
+
+function resolveAugmentOptions(options: mixed): AugmentOptions {
+  if (options === false) return clean;
+  if (options === undefined || options === null || options === true) return defaults;
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw invalid('augment', 'an object or false', options);
+  }
+  for (const name of Object.keys(options)) {
+    if (!(name in defaults)) {
+      throw new InvalidInputError(`unknown augment option ${name}`, 'INVALID_OPTION');
+    }
+  }
+  const merged = Object.assign({}, defaults, options);
+  if (typeof merged.perspective !== 'number' || merged.perspective < 0 || merged.perspective > 0.2) {
+    throw invalid('augment option perspective', 'a number within 0 and 0.2', merged.perspective);
+  }
+  return {
+    scale: checkRange('scale', merged.scale, 0.5, 10),
+    rotation: checkRange('rotation', merged.rotation, -45, 45),
+    perspective: merged.perspective,
+    blur: checkRange('blur', merged.blur, 0, 10),
+    noise: checkRange('noise', merged.noise, 0, 128),
+    lighting: checkRange('lighting', merged.lighting, 0, 1),
+    jpeg: merged.jpeg === null ? null : checkRange('jpeg', merged.jpeg, 1, 100),
+    ink: checkRange('ink', merged.ink, 0, 255),
+    paper: checkRange('paper', merged.paper, 0, 255)
+  };
+}
+
+function pick<T>(values: $ReadOnlyArray<T>, random: () => number): T {
+  return values[Math.floor(random() * values.length)];
+}
+
+function between([min, max]: Range, random: () => number): number {
+  return min + (max - min) * random();
+}
+
+function randomString(length: number, alphabet: string, random: () => number): string {
+  let value = '';
+  for (let i = 0; i < length; i++) {
+    value += pick(alphabet.split(''), random);
+  }
+  return value;
+}
+
+function fit(value: string, length: number): string {
+  return value.padEnd(length, '<').slice(0, length);
+}
+
+function randomDate(from: number, to: number, random: () => number): string {
+  const year = from + Math.floor(random() * (to - from + 1));
+  const month = 1 + Math.floor(random() * 12);
+  const day = 1 + Math.floor(random() * 28);
+  return [year % 100, month, day].map((part) => String(part).padStart(2, '0')).join('');
+}
+
+function randomNames(length: number, random: () => number): string {
+  const word = () => randomString(3 + Math.floor(random() * 7), LETTERS, random);
+  const surname = random() < 0.2 ? `${word()}<${word()}` : word();
+  const given = random() < 0.5 ? `${word()}<${word()}` : word();
+  return fit(`${surname}<<${given}`, length);
+}
+
+function randomOptional(length: number, random: () => number): string {
+  return random() < 0.5 ? '<'.repeat(length) : fit(randomString(1 + Math.floor(random() * length), ALPHANUMERIC, random), length);
+}
+
+function withCheckDigit(value: string): string {
+  return value + String(computeCheckDigit(value));
+}
+
+/**
+ * Random MRZ of the given format, every check digit valid.
+ * @param {string} format - TD1, TD2 or TD3
+ * @param {function} random - Returns numbers in [0, 1)
+ * @return {Array<string>}
+ */
+function randomMrz(format: 'TD1' | 'TD2' | 'TD3', random: () => number): Array<string> {
+  const state = pick(COUNTRIES, random);
+  const nationality = pick(COUNTRIES, random);
+  const number = withCheckDigit(fit(randomString(7 + Math.floor(random() * 3), ALPHANUMERIC, random), 9));
+  const birth = withCheckDigit(randomDate(1940, 2015, random));
+  const sex = pick(['M', 'F', '<'], random);
+  const expiry = withCheckDigit(randomDate(2020, 2035, random));
+
+  if (format === 'TD1') {
+    const first = `${pick(['I<', 'ID', 'AC'], random)}${state}${number}${randomOptional(15, random)}`;
+    const second = `${birth}${sex}${expiry}${nationality}${randomOptional(11, random)}`;
+    const composite = first.slice(5) + second.slice(0, 7) + second.slice(8, 15) + second.slice(18, 29);
+    return [first, second + String(computeCheckDigit(composite)), randomNames(30, random)];
+  }
+  if (format === 'TD2') {
+    const second = `${number}${nationality}${birth}${sex}${expiry}${randomOptional(7, random)}`;
+    const composite = second.slice(0, 10) + second.slice(13, 20) + second.slice(21, 35);
+    return [`I<${state}${randomNames(31, random)}`, second + String(computeCheckDigit(composite))];
+  }
+  const personal = withCheckDigit(randomOptional(14, random));
+  const second = `${number}${nationality}${birth}${sex}${expiry}${personal}`;
+  const composite = second.slice(0, 10) + second.slice(13, 20) + second.slice(21, 43);
+  return [`P<${state}${randomNames(39, random)}`, second + String(computeCheckDigit(composite))];
+}
+
+async function loadFont(name: string): Promise<{ [symbol: string]: Array<Uint8Array> }> {
+  let font;
+  try {
+    font = JSON.parse(await fs.readFile(path.join(FONT_DIR, `${path.basename(name)}.json`), 'utf8'));
+  } catch (e) {
+    throw new InvalidInputError(`unknown font ${name}, expected one of fontData/12x12/mrz`, 'INVALID_OPTION', e);
+  }
+  const glyphs = {};
+  for (const { symbol, fingerprints } of font.fingerprint) {
+    glyphs[symbol] = fingerprints.map((bytes) => {
+      const bitmap = new Uint8Array(CELL * CELL);
+      for (let i = 0; i < bitmap.length; i++) {
+        bitmap[i] = (bytes[i >> 3] >> (7 - (i & 7))) & 1;
+      }
+      return bitmap;
+    });
+  }
+  for (const code of MRZ.symbols) {
+    if (!glyphs[String.fromCharCode(code)]) {
+      throw new InvalidInputError(`font ${name} has no ${String.fromCharCode(code)}`, 'INVALID_OPTION');
+    }
+  }
+  return glyphs;
+}
+
+function place(symbol: string, x: number, y: number, size: number, font: Object, random: () => number): Glyph {
+  const height = size * (HEIGHTS[symbol] || 1);
+  return { symbol, bitmap: pick(font[symbol], random), x, y: y + (size - height) / 2, width: size, height };
+}
+
+// on a blank data page, or with a margin of one advance around the text
+function layoutLines(lines: Array<string>, scale: number, font: Object, random: () => number, page: boolean): Layout {
+  const length = Math.max(...lines.map((line) => line.length));
+  const format = [PAGES.TD1, PAGES.TD2, PAGES.TD3].find((candidate) => candidate.length === length) || PAGES.TD3;
+  const pitch = PITCH * scale;
+  const leading = format.leading * pitch;
+  const margin = page ? format.margin * pitch : pitch;
+  const width = Math.round(length * pitch + 2 * margin);
+  const textHeight = (lines.length - 1) * leading + CELL * scale;
+  const height = Math.round(page ? width * format.ratio : textHeight + 2 * margin);
+  const top = height - margin - textHeight;
+  const glyphs = [];
+  lines.forEach((line, row) => {
+    for (let column = 0; column < line.length; column++) {
+      glyphs.push(place(line[column], margin + column * pitch, top + row * leading, CELL * scale, font, random));
+    }
+  });
+  return { width, height, glyphs };
+}
+
+// 3 x 3 homography, row-major without the last 1, mapping the `from` corners on the `to` ones
+function homography(from: Array<[number, number]>, to: Array<[number, number]>): Transform {
+  const rows = [];
+  const values = [];
+  for (let i = 0; i < 4; i++) {
+    const [x, y] = from[i];
+    const [u, v] = to[i];
+    rows.push([x, y, 1, 0, 0, 0, -x * u, -y * u], [0, 0, 0, x, y, 1, -x * v, -y * v]);
+    values.push([u], [v]);
+  }
+  return solve(new Matrix(rows), new Matrix(values)).to1DArray();
+}
+
+function apply(h: Transform, x: number, y: number): [number, number] {
+  const w = h[6] * x + h[7] * y + 1;
+  return [(h[0] * x + h[1] * y + h[2]) / w, (h[3] * x + h[4] * y + h[5]) / w];
+}
+
+// bounding box of the glyph once drawn, clipped to the image
+function project(forward: Transform, glyph: Glyph, width: number, height: number) {
+  const corners = [[glyph.x, glyph.y], [glyph.x + glyph.width, glyph.y], [glyph.x + glyph.width, glyph.y + glyph.height], [glyph.x, glyph.y + glyph.height]]
+    .map(([x, y]) => apply(forward, x, y));
+  const xs = corners.map((point) => point[0]);
+  const ys = corners.map((point) => point[1]);
+  return {
+    minX: Math.max(0, Math.floor(Math.min(...xs))),
+    minY: Math.max(0, Math.floor(Math.min(...ys))),
+    maxX: Math.min(width, Math.ceil(Math.max(...xs))),
+    maxY: Math.min(height, Math.ceil(Math.max(...ys)))
+  };
+}
+
+function sampleParams(augment: AugmentOptions, random: () => number): Params {
+  const jitter = () => [(random() * 2 - 1) * augment.perspective, (random() * 2 - 1) * augment.perspective];
+  return {
+    scale: between(augment.scale, random),
+    rotation: between(augment.rotation, random),
+    corners: [jitter(), jitter(), jitter(), jitter()],
+    blur: between(augment.blur, random),
+    noise: between(augment.noise, random),
+    lighting: between(augment.lighting, random),
+    lightingAngle: random() * 2 * Math.PI,
+    jpeg: augment.jpeg ? Math.round(between(augment.jpeg, random)) : null,
+    ink: between(augment.ink, random),
+    paper: between(augment.paper, random)
+  };
+}
+
+function bit(bitmap: Uint8Array, x: number, y: number): number {
+  return x < 0 || y < 0 || x >= CELL || y >= CELL ? 0 : bitmap[y * CELL + x];
+}
+
+/**
+ * Draws the layout through a rotation and a perspective, then the lighting, the blur, the noise and the JPEG
+ * compression. Each glyph is sampled with a bilinear interpolation of its bitmap, so any scale gives smooth edges.
+ * @return {Promise<{image: Image, forward: Transform}>} - forward maps the layout on the image
+ */
+async function render(layout: Layout, params: Params, random: () => number): Promise<{ image: Object, forward: Transform }> {
+  const { width, height } = layout;
+  const angle = (params.rotation * Math.PI) / 180;
+  const corners = [[0, 0], [width, 0], [width, height], [0, height]];
+  const moved = corners.map(([x, y], i) => {
+    const dx = x - width / 2;
+    const dy = y - height / 2;
+    return [
+      width / 2 + dx * Math.cos(angle) - dy * Math.sin(angle) + params.corners[i][0] * width,
+      height / 2 + dx * Math.sin(angle) + dy * Math.cos(angle) + params.corners[i][1] * height
+    ];
+  });
+  const forward = homography(corners, moved);
+  const inverse = homography(moved, corners);
+
+  const coverage = new Float32Array(width * height);
+  for (const glyph of layout.glyphs) {
+    const { minX, minY, maxX, maxY } = project(forward, glyph, width, height);
+    for (let y = minY; y < maxY; y++) {
+      for (let x = minX; x < maxX; x++) {
+        const [u, v] = apply(inverse, x + 0.5, y + 0.5);
+        // cell coordinates, the bits lie at the centers of the cells
+        const gx = ((u - glyph.x) / glyph.width) * CELL - 0.5;
+        const gy = ((v - glyph.y) / glyph.height) * CELL - 0.5;
+        if (gx < -1 || gy < -1 || gx > CELL || gy > CELL) continue;
+        const x0 = Math.floor(gx);
+        const y0 = Math.floor(gy);
+        const fx = gx - x0;
+        const fy = gy - y0;
+        const value =
+          bit(glyph.bitmap, x0, y0) * (1 - fx) * (1 - fy) + bit(glyph.bitmap, x0 + 1, y0) * fx * (1 - fy) +
+          bit(glyph.bitmap, x0, y0 + 1) * (1 - fx) * fy + bit(glyph.bitmap, x0 + 1, y0 + 1) * fx * fy;
+        coverage[y * width + x] = Math.max(coverage[y * width + x], value);
+      }
+    }
+  }
+
+  let image = new Image(width, height, { kind: 'GREY' });
+  const dx = Math.cos(params.lightingAngle);
+  const dy = Math.sin(params.lightingAngle);
+  const span = Math.abs(dx) * width + Math.abs(dy) * height;
+  const origin = Math.min(0, dx * width) + Math.min(0, dy * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const light = 1 - (params.lighting * (dx * x + dy * y - origin)) / span;
+      const value = params.paper - (params.paper - params.ink) * coverage[y * width + x];
+      image.data[y * width + x] = Math.round(value * light);
+    }
+  }
+  if (params.blur > 0.3) {
+    image = image.gaussianFilter({ sigma: params.blur, radius: Math.ceil(params.blur * 2) });
+  }
+  if (params.noise > 0) {
+    for (let i = 0; i < image.data.length; i++) {
+      // Box-Muller
+      const gaussian = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+      image.data[i] = Math.min(255, Math.max(0, Math.round(image.data[i] + gaussian * params.noise)));
+    }
+  }
+  if (params.jpeg) {
+    image = (await Image.load(image.toBuffer({ format: 'jpeg', encoder: { quality: params.jpeg } }))).grey();
+  }
+  return { image, forward };
+}
+
+function round(params: Params): { [name: string]: mixed } {
+  const rounded = {};
+  const value = (number) => Math.round(number * 1000) / 1000;
+  for (const name of Object.keys(params)) {
+    const param = params[name];
+    rounded[name] = Array.isArray(param) ? param.map((corner) => corner.map(value)) : typeof param === 'number' ? value(param) : param;
+  }
+  return rounded;
+}
+
+/**
+ * Renders the MRZ at the bottom of a blank data page, through the augmentations.
+ * @param {Array<string>} lines
+ * @param {object} [options] - { font: 'ocrb', augment, seed }
+ * @return {Promise<{image: Image, params: object}>} - params holds the sampled augmentations
+ */
+async function renderDocument(
+  lines: Array<string>,
+  options?: { font?: string, augment?: mixed, seed?: number } = {}
+): Promise<{ image: Object, params: { [name: string]: mixed } }> {
+  const random = createRandom(options.seed || 1);
+  const font = await loadFont(options.font || 'ocrb');
+  const params = sampleParams(resolveAugmentOptions(options.augment), random);
+  const { image } = await render(layoutLines(lines, params.scale, font, random, true), params, random);
+  return { image, params: round(params) };
+}
+
+/**
+ * Writes a synthetic dataset in the format of `readImages`: images next to their json metadata.
+ * - characters: one directory per rendered MRZ (the `card`), one crop per character labelled with its char code,
+ *   ready for trainModel
+ * - documents: one data page per MRZ, with its `format` and `mrz` lines, to benchmark or test the whole scan
+ * @param {object} options
+ * @return {Promise<{directory: string, files: Array<string>}>} - The written image paths
+ */
+async function generateDataset(options: {
+  output: string,
+  // number of MRZ rendered, every one gives 60 to 90 characters
+  count?: ?number,
+  kind?: ?('characters' | 'documents'),
+  formats?: ?Array<'TD1' | 'TD2' | 'TD3'>,
+  // file names in fontData/12x12/mrz, picked at random for each MRZ
+  fonts?: ?Array<string>,
+  seed?: ?number,
+  // ranges sampled for each MRZ, false to disable
+  augment?: mixed,
+}): Promise<{ directory: string, files: Array<string> }> {
+  const { output } = options || {};
+  if (typeof output !== 'string') {
+    throw new InvalidInputError('the output directory is mandatory', 'INVALID_OPTION');
+  }
+  const count = options.count === undefined || options.count === null ? 100 : options.count;
+  const kind = options.kind || 'characters';
+  const formats = options.formats || ['TD1', 'TD2', 'TD3'];
+  const fontNames = options.fonts || ['ocrb'];
+  if (!Number.isInteger(count) || count < 1) {
+    throw invalid('count', 'a positive integer', count);
+  }
+  if (!['characters', 'documents'].includes(kind)) {
+    throw invalid('kind', 'characters or documents', kind);
+  }
+  if (!Array.isArray(formats) || !formats.length || !formats.every((format) => format in PAGES)) {
+    throw invalid('formats', 'a list of TD1, TD2 and TD3', formats);
+  }
+  if (!Array.isArray(fontNames) || !fontNames.length) {
+    throw invalid('fonts', 'a list of font names', fontNames);
+  }
+  const augment = resolveAugmentOptions(options.augment);
+  const fonts = {};
+  for (const name of fontNames) {
+    fonts[name] = await loadFont(name);
+  }
+
+  const random = createRandom(options.seed || 1);
+  const directory = path.resolve(output);
+  const digits = String(count - 1).length;
+  const files = [];
+  for (let card = 0; card < count; card++) {
+    const format = pick(formats, random);
+    const fontName = pick(fontNames, random);
+    const font = fonts[fontName];
+    const lines = randomMrz(format, random);
+    const params = sampleParams(augment, random);
+    const name = String(card).padStart(digits, '0');
+    const layout = layoutLines(lines, params.scale, font, random, kind === 'documents');
+    const { image, forward } = await render(layout, params, random);
+    const entries: Array<Object> = [];
+    if (kind === 'documents') {
+      entries.push({ image, filePath: path.join(directory, `${name}.png`), format, mrz: lines, font: fontName, augment: round(params) });
+    } else {
+      let glyph = 0;
+      lines.forEach((text, line) => {
+        for (let column = 0; column < text.length; column++) {
+          // the OCR crops the bounding box of each character
+          const { minX, minY, maxX, maxY } = project(forward, layout.glyphs[glyph++], image.width, image.height);
+          entries.push({
+            image: image.crop({ x: minX, y: minY, width: maxX - minX, height: maxY - minY }),
+            filePath: path.join(directory, name, `${line}-${String(column).padStart(2, '0')}.png`),
+            label: text.charCodeAt(column),
+            symbol: text[column],
+            card: name,
+            font: fontName,
+            line,
+            column
+          });
+        }
+      });
+    }
+    // one MRZ at a time, the images of a whole dataset do not fit in memory
+    await writeImages(entries);
+    files.push(...entries.map((entry) => entry.filePath));
+  }
+  return { directory, files };
+}
+
+module.exports = {
+  generateDataset,
+  randomMrz,
+  renderDocument
+};
@@ -0,0 +1,152 @@
+// @flow strict
+'use strict';
+// $FlowFixMe
+const path = require('node:path');
+
+const { loadData, train, saveModel, predict } = require('./svm');
+const { InvalidInputError } = require('./errors');
+const createRandom = require('./lib/createRandom');
+const MRZ = require('./internal/symbols');
+
+type TrainOptions = {
+  // directory of character images, each one next to a json file with its `label` (char code or symbol)
+  data: string,
+  // directory receiving <name>.svm.descriptors, <name>.svm.model and <name>.svm.manifest.json
+  output: string,
+  name?: ?string,
+  // share of each class kept aside to measure the accuracy
+  validation?: ?number,
+  // seed of the shuffle, the same seed gives the same split
+  seed?: ?number,
+  svm?: ?{ [option: string]: mixed },
+  kernel?: ?{ [option: string]: mixed },
+};
+
+type ClassReport = { symbol: string, label: number, total: number, correct: number, accuracy: number };
+
+type TrainReport = {
+  paths: { descriptors: string, model: string, manifest: string },
+  train: number,
+  validation: number,
+  // null when nothing was kept for validation
+  accuracy: ?number,
+  classes: Array<ClassReport>,
+  // matrix[actual][predicted], indexes follow `labels`
+  confusion: { labels: Array<string>, matrix: Array<Array<number>> },
+};
+
+function toLabel(entry: Object): number {
+  const { label } = entry;
+  if (typeof label === 'string' && label.length === 1) {
+    return label.charCodeAt(0);
+  }
+  if (typeof label === 'number' && Number.isInteger(label)) {
+    return label;
+  }
+  throw new InvalidInputError(`${entry.filePath} has no label in its metadata`, 'MISSING_LABEL');
+}
+
+// Stratified split, every class keeps at least one training sample
+function split(letters: Array<Object>, validation: number, seed: number) {
+  const random = createRandom(seed);
+  const byLabel = new Map();
+  for (const letter of letters) {
+    if (!byLabel.has(letter.label)) byLabel.set(letter.label, []);
+    // $FlowFixMe the group was just created
+    byLabel.get(letter.label).push(letter);
+  }
+  const trainSet = [];
+  const validationSet = [];
+  for (const group of byLabel.values()) {
+    for (let i = group.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      const swapped = group[i];
+      group[i] = group[j];
+      group[j] = swapped;
+    }
+    const kept = Math.min(group.length - 1, Math.round(group.length * validation));
+    validationSet.push(...group.slice(0, kept));
+    trainSet.push(...group.slice(kept));
+  }
+  return { trainSet, validationSet };
+}
+
+function evaluate(labels: Array<number>, actual: Array<number>, predicted: Array<number>) {
+  const index = new Map(labels.map((label, i) => [label, i]));
+  const matrix = labels.map(() => labels.map(() => 0));
+  for (let i = 0; i < actual.length; i++) {
+    // $FlowFixMe every label is indexed
+    matrix[index.get(actual[i])][index.get(predicted[i])]++;
+  }
+  const classes = labels.map((label, i) => {
+    const total = matrix[i].reduce((sum, count) => sum + count, 0);
+    const correct = matrix[i][i];
+    return { symbol: String.fromCharCode(label), label, total, correct, accuracy: total ? correct / total : 0 };
+  });
+  const correct = classes.reduce((sum, { correct: count }) => sum + count, 0);
+  return {
+    accuracy: actual.length ? correct / actual.length : null,
+    classes,
+    confusion: { labels: labels.map((label) => String.fromCharCode(label)), matrix }
+  };
+}
+
+/**
+ * Trains a character model on a labelled dataset, measures it on a held out part of each class
+ * and writes the descriptors, the model and its manifest where loadModel / setModelPaths can use them.
+ * @param {TrainOptions} options
+ * @return {Promise<TrainReport>}
+ */
+async function trainModel(options: TrainOptions): Promise<TrainReport> {
+  const { data, output, svm, kernel } = options || {};
+  if (typeof data !== 'string' || typeof output !== 'string') {
+    throw new InvalidInputError('data and output directories are mandatory', 'INVALID_OPTION');
+  }
+  const name = options.name || 'ESC-v2';
+  const validation = options.validation === undefined || options.validation === null ? 0.2 : options.validation;
+  const seed = options.seed || 1;
+  if (typeof validation !== 'number' || validation < 0 || validation >= 1) {
+    throw new InvalidInputError(`validation must be a share between 0 and 1, got ${String(validation)}`, 'INVALID_OPTION');
+  }
+
+  let letters;
+  try {
+    letters = await loadData(path.resolve(data));
+  } catch (e) {
+    throw new InvalidInputError(`could not read the dataset ${data}: ${e.message}`, 'INVALID_DATASET', e);
+  }
+  for (const letter of letters) {
+    letter.label = toLabel(letter);
+  }
+  const labels = Array.from(new Set(letters.map((letter) => letter.label))).sort((a, b) => a - b);
+  if (labels.length < 2) {
+    throw new InvalidInputError(`the dataset ${data} needs at least two labelled classes`, 'INVALID_DATASET');
+  }
+
+  // loadModel refuses a model predicting other symbols
+  const foreign = labels.filter((label) => !MRZ.symbols.includes(label));
+  if (foreign.length > 0) {
+    throw new InvalidInputError(`the dataset ${data} has labels outside of the mrz symbols: ${String.fromCharCode(...foreign)}`, 'INVALID_DATASET');
+  }
+
+  const { trainSet, validationSet } = split(letters, validation, seed);
+  const trained = await train(trainSet, svm, kernel);
+
+  const predicted = validationSet.length ?
+    predict(trained.classifier, trained.descriptors, validationSet.map((letter) => letter.descriptor), kernel) :
+    [];
+  const { accuracy, classes, confusion } = evaluate(labels, validationSet.map((letter) => letter.label), predicted);
+
+  const paths = {
+    descriptors: path.resolve(output, `${name}.svm.descriptors`),
+    model: path.resolve(output, `${name}.svm.model`),
+    manifest: path.resolve(output, `${name}.svm.manifest.json`)
+  };
+  await saveModel(trained, kernel, paths, { train: trainSet.length, validation: validationSet.length, seed, accuracy });
+
+  return { paths, train: trainSet.length, validation: validationSet.length, accuracy, classes, confusion };
+}
+
+module.exports = {
+  trainModel
+};
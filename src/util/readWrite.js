@@ -21,7 +21,7 @@ async function writeImages(images: typeof Image | Array<typeof Image>) {
     }
 
     const baseDir = path.resolve(path.dirname(filePath));
-    await fs.mkdir(baseDir);
+    await fs.mkdir(baseDir, { recursive: true });
     const metadataPath = path.join(baseDir, path.basename(filePath).replace(path.extname(filePath), '.json'));
 
     await image.save(filePath);
@@ -30,7 +30,7 @@ async function writeImages(images: typeof Image | Array<typeof Image>) {
     const controller = new AbortController();
     const { signal } = controller;
 
-    await fs.writeFile(metadataPath, metadata, { signal });
+    await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2), { signal });
   }
 }
 
@@ -49,7 +49,7 @@ async function readImages(dir: string): Promise<Array<Object>> {
       }
       const image = await Image.load(filePath);
       try {
-        metadata = await fs.readFile(path.join(dir, file.replace(ext, '.json')));
+        metadata = JSON.parse(await fs.readFile(path.join(dir, file.replace(ext, '.json')), 'utf8'));
       } catch (e) {
         metadata = {};
         // eslint-disable-next-line no-console
@@ -0,0 +1,218 @@
+// @flow strict
+'use strict';
+// $FlowFixMe
+const { DateTime } = require('luxon');
+
+const { resolveReferenceDate } = require('./mrz-dates');
+const { InvalidInputError } = require('./errors');
+
+type Rules = {
+  // the expiration date is not before the reference date
+  notExpired?: boolean,
+  // the document does not expire within this many days of the reference date
+  expiringWithinDays?: number,
+  // age of the holder on the reference date, in years
+  minAge?: number,
+  maxAge?: number,
+  // the expiration date is at most this many years after the reference date, per document type or for all
+  maxValidityYears?: number | { [documentType: string]: number },
+  // accepted issuing state codes, as in the MRZ or ISO 3166 alpha-2
+  issuingStates?: Array<string>,
+  // accepted document codes, 'P' accepts every passport, 'PD' only the ones of subtype D
+  documentCodes?: Array<string>,
+};
+
+type RuleOutcome = {
+  rule: $Keys<Rules>,
+  // null when the fields needed could not be read
+  passed: ?boolean,
+  message: string,
+};
+
+export type Validation = {
+  // every rule passed
+  valid: boolean,
+  rules: Array<RuleOutcome>,
+};
+
+// The fields the rules are evaluated on, see FormattedResult in parseMrzText.js
+type Document = {
+  +validDate: ?string,
+  +birthDate: ?string,
+  +documentType: string,
+  +documentCode: string,
+  +documentSubtype: ?string,
+  +issuingState: ?{ +code: string, +alpha2: ?string, ... },
+  ...
+};
+
+const RULES = ['notExpired', 'expiringWithinDays', 'minAge', 'maxAge', 'maxValidityYears', 'issuingStates', 'documentCodes'];
+
+function invalid(name: string, expected: string, value: mixed) {
+  return new InvalidInputError(`rule ${name} must be ${expected}, got ${JSON.stringify(value) || String(value)}`, 'INVALID_OPTION');
+}
+
+function checkNumber(name: string, value: mixed): number {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw invalid(name, 'a number >= 0', value);
+  }
+  return value;
+}
+
+function checkCodes(name: string, value: mixed): Array<string> {
+  if (!Array.isArray(value) || !value.every((code) => typeof code === 'string')) {
+    throw invalid(name, 'a list of codes', value);
+  }
+  return value.map((code) => String(code).toUpperCase());
+}
+
+/**
+ * Checks the rules, only the given ones are evaluated.
+ * @param {object} rules
+ * @return {Rules}
+ */
+function resolveRules(rules: mixed): Rules {
+  if (typeof rules !== 'object' || rules === null || Array.isArray(rules)) {
+    throw invalid('object', 'an object', rules);
+  }
+  const resolved: Rules = {};
+  for (const name of Object.keys(rules)) {
+    if (!RULES.includes(name)) {
+      throw new InvalidInputError(`unknown rule ${name}`, 'INVALID_OPTION');
+    }
+  }
+  if (rules.notExpired !== undefined) {
+    if (typeof rules.notExpired !== 'boolean') throw invalid('notExpired', 'a boolean', rules.notExpired);
+    resolved.notExpired = rules.notExpired;
+  }
+  for (const name of ['expiringWithinDays', 'minAge', 'maxAge']) {
+    if (rules[name] !== undefined) resolved[name] = checkNumber(name, rules[name]);
+  }
+  const { maxValidityYears } = rules;
+  if (maxValidityYears !== undefined) {
+    if (typeof maxValidityYears === 'object' && maxValidityYears !== null && !Array.isArray(maxValidityYears)) {
+      const years = {};
+      for (const type of Object.keys(maxValidityYears)) {
+        years[type] = checkNumber(`maxValidityYears.${type}`, maxValidityYears[type]);
+      }
+      resolved.maxValidityYears = years;
+    } else {
+      resolved.maxValidityYears = checkNumber('maxValidityYears', maxValidityYears);
+    }
+  }
+  for (const name of ['issuingStates', 'documentCodes']) {
+    if (rules[name] !== undefined) resolved[name] = checkCodes(name, rules[name]);
+  }
+  return resolved;
+}
+
+// First and last day a date may be, 'YYYY' and 'YYYY-MM' covering their year or month
+function bounds(value: ?string): ?{ first: typeof DateTime, last: typeof DateTime } {
+  if (!value) return null;
+  const date = DateTime.fromISO(value);
+  if (!date.isValid) return null;
+  const unit = value.length === 4 ? 'year' : value.length === 7 ? 'month' : 'day';
+  return { first: date.startOf(unit).startOf('day'), last: date.endOf(unit).startOf('day') };
+}
+
+// true when the predicate holds for every possible day, false for none, null when it depends on the unknown part
+function decide(first: boolean, last: boolean): ?boolean {
+  return first === last ? first : null;
+}
+
+function age(birth: typeof DateTime, reference: typeof DateTime): number {
+  return Math.floor(reference.diff(birth, 'years').years);
+}
+
+/**
+ * Evaluates business rules on a formatted result: expiration, age of the holder, issuing state and document code.
+ * Dates of unknown day or month pass or fail a rule only when all their possible days do.
+ * @param {object} document - The formatted result of a scan or of parseMrzText
+ * @param {Rules} rules
+ * @param {object} [options] - { referenceDate }, now by default
+ * @return {Validation}
+ */
+function validateDocument(document: Document, rules: mixed, options?: { referenceDate?: mixed } = {}): Validation {
+  const resolved = resolveRules(rules);
+  const reference = resolveReferenceDate(options.referenceDate);
+  const expiration = bounds(document.validDate);
+  const birth = bounds(document.birthDate);
+  const outcomes: Array<RuleOutcome> = [];
+  const add = (rule, passed, message) => outcomes.push({ rule, passed, message });
+
+  if (resolved.notExpired) {
+    if (!expiration) {
+      add('notExpired', null, 'the expiration date could not be read');
+    } else {
+      const passed = decide(expiration.first >= reference, expiration.last >= reference);
+      add('notExpired', passed, passed === false ? `the document expired on ${String(document.validDate)}` : `the document expires on ${String(document.validDate)}`);
+    }
+  }
+
+  const { expiringWithinDays } = resolved;
+  if (expiringWithinDays !== undefined) {
+    const limit = reference.plus({ days: expiringWithinDays });
+    if (!expiration) {
+      add('expiringWithinDays', null, 'the expiration date could not be read');
+    } else {
+      const passed = decide(expiration.first > limit, expiration.last > limit);
+      add('expiringWithinDays', passed, passed === false ?
+        `the document expires within ${expiringWithinDays} days, on ${String(document.validDate)}` :
+        `the document expires after ${expiringWithinDays} days, on ${String(document.validDate)}`);
+    }
+  }
+
+  for (const rule of ['minAge', 'maxAge']) {
+    const limit = resolved[rule];
+    if (limit === undefined) continue;
+    if (!birth) {
+      add(rule, null, 'the birth date could not be read');
+      continue;
+    }
+    // the latest birth gives the youngest age
+    const youngest = age(birth.last, reference);
+    const oldest = age(birth.first, reference);
+    const passed = rule === 'minAge' ? decide(youngest >= limit, oldest >= limit) : decide(oldest <= limit, youngest <= limit);
+    const years = youngest === oldest ? `${youngest}` : `${youngest} to ${oldest}`;
+    add(rule, passed, `the holder is ${years} years old, ${rule === 'minAge' ? 'at least' : 'at most'} ${limit} expected`);
+  }
+
+  const { maxValidityYears } = resolved;
+  if (maxValidityYears !== undefined) {
+    const years = typeof maxValidityYears === 'number' ? maxValidityYears : maxValidityYears[document.documentType];
+    if (years !== undefined) {
+      const limit = reference.plus({ years });
+      if (!expiration) {
+        add('maxValidityYears', null, 'the expiration date could not be read');
+      } else {
+        const passed = decide(expiration.first <= limit, expiration.last <= limit);
+        add('maxValidityYears', passed, `the document expires on ${String(document.validDate)}, at most ${years} years ahead expected`);
+      }
+    }
+  }
+
+  const { issuingStates } = resolved;
+  if (issuingStates) {
+    const state = document.issuingState;
+    if (!state) {
+      add('issuingStates', null, 'the issuing state could not be read');
+    } else {
+      const passed = issuingStates.includes(state.code) || Boolean(state.alpha2 && issuingStates.includes(state.alpha2));
+      add('issuingStates', passed, `issued by ${state.code}${passed ? '' : `, expected ${issuingStates.join(', ')}`}`);
+    }
+  }
+
+  const { documentCodes } = resolved;
+  if (documentCodes) {
+    const code = `${document.documentCode}${document.documentSubtype || ''}`;
+    const passed = documentCodes.includes(document.documentCode) || documentCodes.includes(code);
+    add('documentCodes', passed, `document code ${code}${passed ? '' : `, expected ${documentCodes.join(', ')}`}`);
+  }
+
+  return { valid: outcomes.every((outcome) => outcome.passed === true), rules: outcomes };
+}
+
+module.exports = {
+  validateDocument,
+  resolveRules
+};
@@ -0,0 +1,98 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { benchmark, compareReports } = require('../build/benchmark.js');
+const benchmarkCli = require('../build/cli/benchmark.js');
+const { modelPaths, listFixtures } = require('./helpers');
+
+// td2 is read right once its composite check digit is corrected
+const fixtures = listFixtures().filter(({ name }) => ['td1', 'td2', 'td3'].includes(name));
+
+let directory;
+// the report with a file that could not be read
+let baseline;
+
+test.before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mrz-scan-benchmark-'));
+  for (const { name, file } of fixtures) {
+    fs.copyFileSync(file, path.join(directory, `${name}.png`));
+    fs.copyFileSync(file.replace(/\.png$/, '.json'), path.join(directory, `${name}.json`));
+  }
+  // without ground truth
+  fs.copyFileSync(fixtures[0].file, path.join(directory, 'unlabelled.png'));
+});
+
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+test('benchmark measures the scans against the ground truth and counts the files it cannot read', async (t) => {
+  const unreadable = path.join(directory, 'unreadable.png');
+  fs.copyFileSync(fixtures[2].file, unreadable);
+  fs.writeFileSync(path.join(directory, 'unreadable.json'), JSON.stringify({ mrz: fixtures[2].mrz }));
+  const readFile = fs.promises.readFile;
+  t.mock.method(fs.promises, 'readFile', (file, ...args) => {
+    if (file === unreadable) return Promise.reject(Object.assign(new Error('permission denied'), { code: 'EACCES' }));
+    return readFile(file, ...args);
+  });
+
+  try {
+    const report = await benchmark({ data: directory, modelPaths });
+    baseline = report;
+    assert.equal(report.images, 4);
+    assert.deepEqual(report.skipped, [path.join(directory, 'unlabelled.png')]);
+    assert.deepEqual(report.errors, { READ_FAILED: 1 });
+    assert.deepEqual(report.files.map(({ file, ok, exact }) => [path.basename(file), ok, exact]), [
+      ['td1.png', true, true],
+      ['td2.png', true, true],
+      ['td3.png', true, true],
+      ['unreadable.png', false, false]
+    ]);
+    assert.equal(report.read, 0.75);
+    assert.equal(report.valid, 0.75);
+    assert.equal(report.exact, 0.75);
+
+    // the OCR misread one character of td2, the file not read counts all of its characters
+    const lengths = fixtures.map(({ mrz }) => mrz.join('\n').length);
+    const characters = lengths.reduce((sum, length) => sum + length, 0) + lengths[2];
+    assert.deepEqual(report.characterErrorRate, {
+      raw: Math.round(((1 + lengths[2]) / characters) * 10000) / 10000,
+      corrected: Math.round((lengths[2] / characters) * 10000) / 10000
+    });
+    assert.equal(report.checkDigits, 1);
+    assert.equal(report.fields.documentNumber, 0.75);
+  } finally {
+    fs.unlinkSync(unreadable);
+    fs.unlinkSync(path.join(directory, 'unreadable.json'));
+  }
+});
+
+test('compareReports gives the differences with a baseline', async () => {
+  const report = await benchmark({ data: [directory], modelPaths });
+  assert.equal(report.exact, 1);
+
+  const rows = compareReports(report, baseline);
+  const byMetric = new Map(rows.map((row) => [row.metric, row]));
+  assert.deepEqual(byMetric.get('exact'), { metric: 'exact', value: 1, baseline: 0.75, delta: 0.25 });
+  assert.deepEqual(byMetric.get('read'), { metric: 'read', value: 1, baseline: 0.75, delta: 0.25 });
+  const corrected = byMetric.get('characterErrorRate.corrected');
+  assert.deepEqual([corrected.value, corrected.baseline, corrected.delta], [0, baseline.characterErrorRate.corrected, -baseline.characterErrorRate.corrected]);
+  const raw = byMetric.get('characterErrorRate.raw');
+  assert.equal(raw.delta, Math.round((report.characterErrorRate.raw - baseline.characterErrorRate.raw) * 10000) / 10000);
+  assert.ok(raw.delta < 0);
+  assert.deepEqual(byMetric.get('fields.documentNumber'), { metric: 'fields.documentNumber', value: 1, baseline: 0.75, delta: 0.25 });
+
+  // without a baseline there is nothing to compare
+  assert.ok(compareReports(report).every(({ baseline: before, delta }) => before === null && delta === null));
+});
+
+test('mrz-scan benchmark rejects a number of workers that is not a non-negative integer', async () => {
+  for (const workers of ['abc', '-2', '1.5', '']) {
+    let stderr = '';
+    const io = { stdout: { write: () => {} }, stderr: { write: (chunk) => (stderr += chunk) } };
+    assert.equal(await benchmarkCli(['--workers', workers, directory], io), 2, workers);
+    assert.match(stderr, /--workers expects a non-negative integer/);
+  }
+});
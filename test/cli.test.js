@@ -0,0 +1,101 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { listFixtures } = require('./helpers');
+
+const bin = path.join(__dirname, '../bin/mrz-scan.js');
+const fixtures = listFixtures().filter(({ name }) => name === 'td1' || name === 'td3');
+const files = fixtures.map(({ file }) => file);
+
+function run(args) {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [bin, ...args], { encoding: 'utf8', timeout: 120000 });
+  return { status, stdout, stderr };
+}
+
+test('mrz-scan prints the summary of each file as text', () => {
+  const { status, stdout } = run(files);
+  assert.equal(status, 0);
+  const [td1, td3] = stdout.split(/\n(?=\S)/);
+  assert.match(td1, new RegExp(`^${files[0]}  VALID  TD1\n  documentCode +I\n  issuingState +BEL\n`));
+  assert.match(td3, new RegExp(`^${files[1]}  VALID  TD3\n`));
+  assert.match(td3, /^ {2}documentNumber +Q9AF2YFXU$/m);
+});
+
+test('mrz-scan prints json, ndjson and csv', () => {
+  const json = run(['--format', 'json', ...files]);
+  assert.equal(json.status, 0);
+  const entries = JSON.parse(json.stdout);
+  assert.deepEqual(entries.map(({ file, ok, valid, format }) => ({ file, ok, valid, format })), fixtures.map(({ file, format }) => {
+    return { file, ok: true, valid: true, format };
+  }));
+
+  const ndjson = run(['-f', 'ndjson', '--original', ...files]);
+  assert.equal(ndjson.status, 0);
+  const lines = ndjson.stdout.trim().split('\n').map((line) => JSON.parse(line));
+  assert.deepEqual(lines.map(({ file, result }) => [file, result.lines]), fixtures.map(({ file, mrz }) => [file, mrz]));
+
+  const csv = run(['-f', 'csv', ...files]);
+  assert.equal(csv.status, 0);
+  const [header, ...rows] = csv.stdout.trim().split('\n');
+  assert.equal(header, 'file,ok,valid,format,documentCode,issuingState,documentNumber,lastName,firstName,nationality,birthDate,sex,expirationDate,personalNumber,error');
+  assert.deepEqual(rows.map((row) => row.split(',').slice(0, 4)), fixtures.map(({ file, format }) => [file, 'true', 'true', format]));
+});
+
+test('mrz-scan reports a missing or unreadable file and scans the others', () => {
+  const missing = path.join(os.tmpdir(), `mrz-missing-${process.pid}.png`);
+  const notAnImage = fixtures[0].file.replace(/\.png$/, '.json');
+  const { status, stdout } = run(['-f', 'ndjson', missing, notAnImage, files[1]]);
+  assert.equal(status, 1);
+  const [first, second, third] = stdout.trim().split('\n').map((line) => JSON.parse(line));
+  assert.deepEqual([first.file, first.ok, first.error.code], [missing, false, 'FILE_NOT_FOUND']);
+  assert.deepEqual([second.file, second.ok], [notAnImage, false]);
+  assert.deepEqual([third.file, third.valid], [files[1], true]);
+});
+
+test('mrz-scan exits with 2 on a usage error', () => {
+  for (const args of [
+    [],
+    ['--format', 'xml', files[0]],
+    ['--method', 'tesseract', files[0]],
+    ['missing/*.png'],
+    ['--workers', 'abc', files[0]],
+    ['--workers=-2', files[0]],
+    ['-w', '1.5', files[0]],
+    ['--workers', '', files[0]]
+  ]) {
+    const { status, stdout, stderr } = run(args);
+    assert.equal(status, 2, args.join(' '));
+    assert.equal(stdout, '');
+    assert.match(stderr, /^mrz-scan: .+\n\nUsage: mrz-scan/);
+  }
+});
+
+test('mrz-scan scans in worker threads', () => {
+  const { status, stdout } = run(['--workers', '2', '-f', 'ndjson', ...files]);
+  assert.equal(status, 0);
+  assert.deepEqual(stdout.trim().split('\n').map((line) => JSON.parse(line).file), files);
+});
+
+test('mrz-scan writes the debug images of files with the same name apart', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mrz-cli-'));
+  try {
+    for (const folder of ['a', 'b']) {
+      fs.mkdirSync(path.join(dir, 'scans', folder), { recursive: true });
+      fs.copyFileSync(files[1], path.join(dir, 'scans', folder, 'id.png'));
+    }
+    const debug = path.join(dir, 'debug');
+    const { status } = run(['--debug', debug, path.join(dir, 'scans')]);
+    assert.equal(status, 0);
+    assert.deepEqual(fs.readdirSync(debug).sort(), ['a', 'b']);
+    for (const folder of ['a', 'b']) {
+      assert.ok(fs.readdirSync(path.join(debug, folder, 'id')).includes('00-original.png'));
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
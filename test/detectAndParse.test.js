@@ -0,0 +1,91 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { Image } = require('image-js');
+
+const { createScanner } = require('../build/scanner.js');
+const { InvalidInputError } = require('../build/errors.js');
+const { parse } = require('../build/mrz-formats.js');
+const { modelPaths, listFixtures } = require('./helpers');
+
+const scanner = createScanner({ modelPaths });
+test.after(() => scanner.destroy());
+
+for (const fixture of listFixtures()) {
+  test(`scans ${fixture.name}`, async () => {
+    const result = await scanner.scan(fs.readFileSync(fixture.file), { original: true, errors: 'throw' });
+    const expected = parse(fixture.mrz);
+
+    assert.equal(result.format, fixture.format);
+    assert.equal(result.valid, fixture.valid);
+    assert.deepEqual(result.corrections, fixture.corrections);
+    assert.deepEqual(result.confidence.characters.map((line) => line.map((character) => character.symbol).join('')), fixture.ocr);
+    assert.deepEqual(result.fields, expected.fields);
+    assert.equal(result.geometry.orientation, fixture.orientation);
+  });
+}
+
+test('returns the formatted fields by default', async () => {
+  const fixture = listFixtures().find(({ name }) => name === 'td3');
+  const expected = parse(fixture.mrz).fields;
+  const result = await scanner.scan(fs.readFileSync(fixture.file));
+
+  assert.equal(result.number, expected.documentNumber);
+  assert.equal(result.surname, expected.lastName);
+  assert.equal(result.name, expected.firstName.replace(/\s+/g, ''));
+  assert.equal(result.geometry.orientation, 0);
+});
+
+test('rejects what is not an image', async () => {
+  await assert.rejects(scanner.scan(Buffer.from('not an image'), { errors: 'throw' }), InvalidInputError);
+});
+
+test('writes the debug images and their metadata to the debug directory', async () => {
+  const fixture = listFixtures().find(({ name }) => name === 'td3');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mrz-debug-'));
+  try {
+    const directory = path.join(dir, 'td3');
+    const result = await scanner.scan(fs.readFileSync(fixture.file), { original: true, errors: 'throw', debug: directory });
+    const { files } = result.debug;
+    assert.equal(result.debug.directory, directory);
+
+    const stages = files.filter((file) => path.dirname(file) === directory).map((file) => path.basename(file));
+    assert.equal(stages[0], '00-original.png');
+    assert.ok(stages.some((file) => /^\d{2}-mrz\.png$/.test(file)));
+    assert.match(stages[stages.length - 1], /^\d{2}-lines\.png$/);
+    assert.deepEqual(fs.readdirSync(directory).filter((file) => file.endsWith('.png')).sort(), stages.slice().sort());
+
+    // one crop per character of the zone, labelled with what was read
+    const characters = files.filter((file) => path.dirname(file) === path.join(directory, 'characters'));
+    assert.equal(characters.length, fixture.mrz.join('').length);
+    for (const file of files) {
+      assert.ok(fs.existsSync(file), file);
+    }
+    const metadata = JSON.parse(fs.readFileSync(path.join(directory, 'characters', '1-00.json'), 'utf8'));
+    assert.deepEqual([metadata.line, metadata.column, metadata.predicted], [1, 0, fixture.mrz[1][0]]);
+    assert.equal(metadata.label, fixture.mrz[1].charCodeAt(0));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('writes the debug images of a failed scan', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mrz-debug-'));
+  try {
+    const blank = Buffer.from(new Image(400, 300, new Uint8Array(400 * 300).fill(255), { kind: 'GREY' }).toBuffer());
+    const outcome = await scanner.scan(blank, { errors: 'result', debug: dir });
+    assert.equal(outcome.ok, false);
+    assert.equal(outcome.error.debug.directory, dir);
+    assert.equal(outcome.error.debug.files[0], path.join(dir, '00-original.png'));
+    for (const file of outcome.error.debug.files) {
+      assert.ok(fs.existsSync(file), file);
+      assert.ok(fs.existsSync(file.replace(/\.png$/, '.json')), file);
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
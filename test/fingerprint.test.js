@@ -0,0 +1,144 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { addFingerprintVotes, loadFont, getSimilarity, getFingerprint, predictFingerprints } = require('../build/fingerprint.js');
+const { createScanner } = require('../build/scanner.js');
+const getMrz = require('../build/getMrz.js');
+const getLinesFromImage = require('../build/lib/getLinesFromImage.js');
+const detectAndParseMrz = require('../build/detect-and-parse.js');
+const { InvalidInputError, ModelLoadError } = require('../build/errors.js');
+const { modelPaths, listFixtures, loadImage } = require('./helpers');
+
+function glyph(symbol) {
+  return loadFont().find(({ label }) => label === symbol.charCodeAt(0)).fingerprints[0];
+}
+
+test('getSimilarity is the share of the pixels set in both fingerprints', () => {
+  assert.equal(getSimilarity([0b11110000, 0], [0b11110000, 0]), 1);
+  assert.equal(getSimilarity([0b11110000, 0], [0b00001111, 0]), 0);
+  assert.equal(getSimilarity([0b11110000, 0], [0b11000000, 0b11000000]), 2 / 6);
+  assert.equal(getSimilarity([0, 0], [0, 0]), 0);
+});
+
+test('predictFingerprints finds the symbols of the font', () => {
+  const [p, zero] = predictFingerprints([glyph('P'), glyph('0')], { topN: 2 });
+  assert.equal(String.fromCharCode(p.label), 'P');
+  assert.equal(p.confidence, 1);
+  assert.equal(String.fromCharCode(zero.label), '0');
+  assert.ok(zero.alternatives.length <= 2);
+  assert.ok(zero.alternatives.every(({ score }) => score >= 0.5 && score <= 1));
+});
+
+test('getFingerprint of a crop matches the fingerprint of its component', async () => {
+  const fixture = listFixtures().find(({ name }) => name === 'td3');
+  const { image } = getMrz(await loadImage(fixture))[0].crop(false);
+  const rois = getLinesFromImage(image).lines[0].rois.slice().sort((a, b) => a.minX - b.minX);
+  for (const roi of rois.slice(0, 5)) {
+    const crop = image.crop({ x: roi.minX, y: roi.minY, width: roi.width, height: roi.height });
+    assert.ok(getSimilarity(getFingerprint(crop), roi.data) > 0.8);
+  }
+  assert.deepEqual(
+    predictFingerprints(rois.slice(0, 5).map((roi) => roi.data)).map(({ label }) => String.fromCharCode(label)).join(''),
+    fixture.mrz[0].slice(0, 5)
+  );
+});
+
+test('addFingerprintVotes adds the symbols the fingerprints read differently', () => {
+  const characters = [[
+    { symbol: 'P', confidence: 0.9, alternatives: [] },
+    { symbol: 'T', confidence: 0.8, alternatives: [{ symbol: '1', score: 0.1 }, { symbol: 'Y', score: 0.05 }] }
+  ]];
+  const rois = [
+    { line: 0, column: 0, kind: 'roi', fingerprint: glyph('P') },
+    { line: 0, column: 1, kind: 'roi', fingerprint: glyph('1') },
+    { line: 0, column: 2, kind: 'filler', fingerprint: null }
+  ];
+  const voted = addFingerprintVotes(characters, rois);
+  assert.deepEqual(voted[0][0], characters[0][0]);
+  assert.deepEqual(voted[0][1], { symbol: 'T', confidence: 0.8, alternatives: [{ symbol: 'Y', score: 0.05 }, { symbol: '1', score: 1 }] });
+  // the reading of the svm is left untouched
+  assert.equal(characters[0][1].alternatives.length, 2);
+});
+
+test('scans with the fingerprints without the model files', async () => {
+  const scanner = createScanner({ modelPaths: { descriptors: '/missing/descriptors', model: '/missing/model' } });
+  for (const name of ['td1', 'td3-upside-down', 'mrv-b']) {
+    const fixture = listFixtures().find((candidate) => candidate.name === name);
+    const result = await scanner.scan(fs.readFileSync(fixture.file), { original: true, errors: 'throw', method: 'fingerprint' });
+    assert.equal(result.valid, true, name);
+    assert.deepEqual(result.lines, fixture.mrz, name);
+  }
+  await assert.rejects(scanner.scan(fs.readFileSync(listFixtures()[0].file), { errors: 'throw', method: 'svm' }), ModelLoadError);
+});
+
+test('the fingerprints read when the model files are missing and no method is given', async () => {
+  const fixture = listFixtures().find(({ name }) => name === 'td3');
+  const buffer = fs.readFileSync(fixture.file);
+  const scanner = createScanner({ modelPaths: { descriptors: '/missing/descriptors', model: '/missing/model' } });
+  const result = await scanner.scan(buffer, { original: true, errors: 'throw' });
+  assert.equal(result.recognizer, 'fingerprint');
+  assert.deepEqual(result.lines, fixture.mrz);
+
+  const env = { descriptors: process.env.MRZ_DESCRIPTORS_PATH, model: process.env.MRZ_MODEL_PATH };
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mrz-fallback-'));
+  try {
+    process.env.MRZ_DESCRIPTORS_PATH = path.join(dir, 'ESC-v2.svm.descriptors');
+    process.env.MRZ_MODEL_PATH = path.join(dir, 'ESC-v2.svm.model');
+    const fallback = await detectAndParseMrz(buffer, { original: true, errors: 'throw' });
+    assert.equal(fallback.recognizer, 'fingerprint');
+    assert.equal(fallback.valid, true);
+
+    // a model that does not match its manifest is reported
+    for (const file of [modelPaths.descriptors, modelPaths.model, modelPaths.model.replace(/\.model$/, '.manifest.json')]) {
+      fs.copyFileSync(file, path.join(dir, path.basename(file)));
+    }
+    fs.appendFileSync(process.env.MRZ_MODEL_PATH, '\n');
+    await assert.rejects(detectAndParseMrz(buffer, { errors: 'throw' }), { code: 'MODEL_CORRUPTED' });
+  } finally {
+    for (const [key, name] of [['descriptors', 'MRZ_DESCRIPTORS_PATH'], ['model', 'MRZ_MODEL_PATH']]) {
+      if (env[key] === undefined) delete process.env[name];
+      else process.env[name] = env[key];
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  assert.equal((await detectAndParseMrz(buffer, { original: true, errors: 'throw' })).recognizer, 'svm');
+});
+
+test('a model that cannot be loaded is reported, not replaced by the fingerprints', async () => {
+  const buffer = fs.readFileSync(listFixtures().find(({ name }) => name === 'td3').file);
+  const env = { descriptors: process.env.MRZ_DESCRIPTORS_PATH, model: process.env.MRZ_MODEL_PATH };
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mrz-corrupt-'));
+  try {
+    const paths = { descriptors: path.join(dir, 'ESC-v2.svm.descriptors'), model: path.join(dir, 'ESC-v2.svm.model') };
+    // truncated descriptors
+    const descriptors = fs.readFileSync(modelPaths.descriptors);
+    fs.writeFileSync(paths.descriptors, descriptors.subarray(0, descriptors.length / 2));
+    fs.copyFileSync(modelPaths.model, paths.model);
+    const truncated = createScanner({ modelPaths: paths });
+    await assert.rejects(truncated.scan(buffer, { errors: 'throw' }), { name: 'ModelLoadError', code: 'MODEL_LOAD_FAILED' });
+
+    // a model file that is not one
+    fs.copyFileSync(modelPaths.descriptors, paths.descriptors);
+    fs.writeFileSync(paths.model, 'not a libsvm model');
+    const corrupt = createScanner({ modelPaths: paths });
+    await assert.rejects(corrupt.scan(buffer, { errors: 'throw' }), { name: 'ModelLoadError', code: 'MODEL_LOAD_FAILED' });
+    process.env.MRZ_DESCRIPTORS_PATH = paths.descriptors;
+    process.env.MRZ_MODEL_PATH = paths.model;
+    await assert.rejects(detectAndParseMrz(buffer, { errors: 'throw' }), { name: 'ModelLoadError', code: 'MODEL_LOAD_FAILED' });
+  } finally {
+    for (const [key, name] of [['descriptors', 'MRZ_DESCRIPTORS_PATH'], ['model', 'MRZ_MODEL_PATH']]) {
+      if (env[key] === undefined) delete process.env[name];
+      else process.env[name] = env[key];
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('rejects an unknown method', async () => {
+  const buffer = fs.readFileSync(listFixtures()[0].file);
+  await assert.rejects(detectAndParseMrz(buffer, { errors: 'throw', method: 'tesseract' }), InvalidInputError);
+});
@@ -0,0 +1,91 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { fitLine, fitLines, estimateLength } = require('../build/lib/fixedPitch.js');
+const getMrz = require('../build/getMrz.js');
+const getLinesFromImage = require('../build/lib/getLinesFromImage.js');
+const mrzOcr = require('../build/internal/mrzOcr.js');
+const { loadModel } = require('../build/svm.js');
+const { modelPaths, listFixtures, loadImage } = require('./helpers');
+
+// characters 16 pixels wide every 20 pixels
+function line(count, { y = 0, skip = [] } = {}) {
+  const rois = [];
+  for (let i = 0; i < count; i++) {
+    if (!skip.includes(i)) rois.push({ minX: 10 + i * 20, minY: y, width: 16, height: 24 });
+  }
+  return { rois };
+}
+
+test('estimateLength counts the characters from the span and the pitch', () => {
+  assert.equal(estimateLength(line(44).rois), 44);
+  assert.equal(estimateLength(line(44, { skip: [10, 11, 12] }).rois), 44);
+});
+
+test('fitLine splits the touching characters', () => {
+  const { rois } = line(30);
+  // characters 3 and 4 touch
+  rois.splice(3, 2, { minX: 70, minY: 0, width: 36, height: 24 });
+  const cells = fitLine(rois, 30);
+  assert.equal(cells.length, 30);
+  assert.deepEqual(cells.slice(2, 6).map((cell) => cell.kind), ['roi', 'split', 'split', 'roi']);
+  assert.deepEqual(cells.slice(3, 5).map((cell) => [cell.minX, cell.width]), [[70, 18], [88, 18]]);
+});
+
+test('fitLine merges the fragments of a broken character', () => {
+  const { rois } = line(30);
+  rois.splice(5, 1, { minX: 110, minY: 0, width: 7, height: 24 }, { minX: 119, minY: 2, width: 7, height: 22 });
+  const cells = fitLine(rois, 30);
+  assert.equal(cells.length, 30);
+  assert.deepEqual(cells[5], { minX: 110, minY: 0, width: 16, height: 24, kind: 'merged' });
+  assert.equal(cells[6].roi, rois[7]);
+});
+
+test('fitLine inserts the missing fillers, the trailing ones too', () => {
+  const cells = fitLine(line(36, { skip: [20, 33, 34, 35] }).rois, 36);
+  assert.equal(cells.length, 36);
+  assert.deepEqual(cells.map((cell, i) => (cell.kind === 'filler' ? i : -1)).filter((i) => i >= 0), [20, 33, 34, 35]);
+  assert.deepEqual(cells[34], { minX: 690, minY: 0, width: 16, height: 24, kind: 'filler' });
+});
+
+test('fitLines keeps the lines of a format as found', () => {
+  const lines = [line(12), line(44, { y: 40 }), line(44, { y: 80 })];
+  const cells = fitLines(lines);
+  assert.equal(cells.length, 2);
+  assert.ok(cells.every((cells) => cells.length === 44 && cells.every((cell) => cell.kind === 'roi')));
+  assert.equal(cells[0][0].roi, lines[1].rois[0]);
+});
+
+test('fitLines fits the lines to the closest format', () => {
+  const swiss = fitLines([line(9, { skip: [8] }), line(30, { y: 40, skip: [29] }), line(30, { y: 80 })]);
+  assert.deepEqual(swiss.map((cells) => cells.length), [9, 30, 30]);
+
+  const td2 = fitLines([line(36, { skip: [30, 31, 32] }), line(36, { y: 40, skip: [7] })]);
+  assert.deepEqual(td2.map((cells) => cells.length), [36, 36]);
+
+  // far from every format, the last 3 lines are left as found
+  const unknown = fitLines([line(20), line(20, { y: 40 }), line(20, { y: 80 }), line(20, { y: 120 })]);
+  assert.deepEqual(unknown.map((cells) => cells.length), [20, 20, 20]);
+});
+
+test('mrzOcr reads lost fillers and broken characters at their place', async () => {
+  const fixture = listFixtures().find(({ name }) => name === 'td3');
+  const { image } = getMrz(await loadImage(fixture))[0].crop(false);
+  const grey = image.grey();
+  const rois = getLinesFromImage(grey).lines[0].rois.slice().sort((a, b) => a.minX - b.minX);
+  const paint = (x, y, width, height) => {
+    for (let row = y; row < y + height; row++) {
+      for (let column = x; column < x + width; column++) grey.setPixelXY(column, row, [255]);
+    }
+  };
+  // the last three fillers disappear and the P of WHTP breaks in two
+  for (const roi of rois.slice(-3)) paint(roi.minX - 1, roi.minY - 1, roi.width + 2, roi.height + 2);
+  paint(rois[8].minX + Math.floor(rois[8].width / 2), rois[8].minY - 1, 2, rois[8].height + 2);
+
+  const { ocrResult, rois: cells } = await mrzOcr(grey, { model: await loadModel(modelPaths) });
+  assert.deepEqual(ocrResult, fixture.mrz);
+  assert.deepEqual(cells.filter((cell) => cell.kind !== 'roi').map(({ line, column, kind }) => [line, column, kind]), [
+    [0, 8, 'merged'], [0, 41, 'filler'], [0, 42, 'filler'], [0, 43, 'filler']
+  ]);
+});
@@ -0,0 +1,106 @@
+// Renders the fixtures of the test suite and records what the scanner reads from them.
+// Run `npm run build && node test/fixtures/generate.js` after a change meant to alter the readings,
+// then review the diff of the json files before committing them.
+'use strict';
+const path = require('path');
+
+const { renderDocument } = require('../../build/synthetic.js');
+const { writeImages } = require('../../build/util/readWrite.js');
+const { createScanner } = require('../../build/scanner.js');
+
+const modelPaths = {
+  descriptors: path.join(__dirname, '../../models/ESC-v2.svm.descriptors'),
+  model: path.join(__dirname, '../../models/ESC-v2.svm.model')
+};
+
+// printed glyphs, only the size and the skew change
+function augment(rotation = 0) {
+  return {
+    scale: [1.6, 1.6],
+    rotation: [rotation, rotation],
+    perspective: 0,
+    blur: [0, 0],
+    noise: [0, 0],
+    lighting: [0, 0],
+    jpeg: null,
+    ink: [20, 20],
+    paper: [230, 230]
+  };
+}
+
+// the seed picks the glyph variants, td2 keeps one misread character for the correction to fix
+const documents = {
+  td1: {
+    format: 'TD1',
+    mrz: ['I<BELC6FO0XVD<4REYN<<<<<<<<<<<', '4410012M2506274BEL71N<<<<<<<<7', 'PHBY<<URHMPAKT<<<<<<<<<<<<<<<<'],
+    seed: 2
+  },
+  td2: { format: 'TD2', mrz: ['I<BELXQPEIJIQ<<YPTIW<UQDMBCSKU<<<<<<', 'DHWVCFR<<1BEL5405183F21110611H8JG3<0'], seed: 5 },
+  td3: { format: 'TD3', mrz: ['P<BELWHTP<<RSBXU<SEJURRSNG<<<<<<<<<<<<<<<<<<', 'Q9AF2YFXU8USA0701101<3401077C9F<<<<<<<<<<<60'], seed: 3 },
+  'french-id': {
+    format: 'FRENCH_NATIONAL_ID',
+    mrz: ['IDFRATEST<NAME<<<<<<<<<<<<<<<<0CHE02', '1710GVA123451ROBERTA<<<<<<<9112311F2'],
+    seed: 2
+  },
+  'swiss-dl': {
+    format: 'SWISS_DRIVING_LICENSE',
+    mrz: ['AAA001D<<', 'FACHE305142128097<<800126<<<<<', 'MARCHAND<<FABIENNE<<<<<<<<<<<<'],
+    seed: 1
+  },
+  'mrv-a': {
+    format: 'MRV_A',
+    mrz: ['V<BELERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<', 'L898902C<3BEL8503127F2901019AB12<<<<<<<<<<<<'],
+    seed: 2
+  },
+  'mrv-b': { format: 'MRV_B', mrz: ['VDBELERIKSSON<<ANNA<MARIA<<<<<<<<<<<', 'L8988901<2BEL8503127F2901019AB12<<<<'], seed: 5 }
+};
+
+// name: document, turn applied to the page, skew of the text
+const fixtures = {
+  td1: ['td1', null, 0],
+  'td1-right': ['td1', 'rotateRight', 0],
+  td2: ['td2', null, 0],
+  'td2-upside-down': ['td2', 'rotate180', 0],
+  td3: ['td3', null, 0],
+  'td3-left': ['td3', 'rotateLeft', 0],
+  'td3-right': ['td3', 'rotateRight', 0],
+  'td3-upside-down': ['td3', 'rotate180', 0],
+  'td3-skewed': ['td3', null, 3],
+  'french-id': ['french-id', null, 0],
+  'swiss-dl': ['swiss-dl', null, 0],
+  'mrv-a': ['mrv-a', null, 0],
+  'mrv-b': ['mrv-b', null, 0]
+};
+
+// clockwise quarter turns bringing the page back upright, as reported in the geometry
+const orientations = { rotateRight: 270, rotateLeft: 90, rotate180: 180 };
+
+(async () => {
+  const scanner = createScanner({ modelPaths });
+  for (const name of Object.keys(fixtures)) {
+    const [document, turn, skew] = fixtures[name];
+    const { format, mrz, seed } = documents[document];
+    let { image } = await renderDocument(mrz, { augment: augment(skew), seed });
+    if (turn === 'rotate180') {
+      image = image.rotate(180);
+    } else if (turn) {
+      image = image[turn]();
+    }
+
+    const result = await scanner.scan(Buffer.from(image.toBuffer({ format: 'png' })), { original: true, errors: 'throw' });
+    const ocr = result.confidence.characters.map((line) => line.map((character) => character.symbol).join(''));
+    await writeImages({
+      image,
+      filePath: path.join(__dirname, `${name}.png`),
+      format,
+      mrz,
+      orientation: turn ? orientations[turn] : 0,
+      // what the scanner read before and after the check digit correction
+      ocr,
+      corrections: result.corrections,
+      valid: result.valid
+    });
+    // eslint-disable-next-line no-console
+    console.log(name, result.valid ? 'valid' : 'invalid', `${result.corrections.length} corrections`);
+  }
+})();
@@ -0,0 +1,70 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseMrzText } = require('../build/parseMrzText.js');
+const { describeState } = require('../build/lib/countries.js');
+
+const referenceDate = '2026-10-19';
+
+test('the formatted result describes the whole document', () => {
+  const result = parseMrzText([
+    'I<BELD231458907<<<<<<<<<<<<<<<',
+    '7408122F1204159BEL<<<<<<<<<<<6',
+    'VAN<DER<BERG<<ANNA<MARIA<<<<<<'
+  ], { referenceDate, errors: 'throw' });
+
+  assert.equal(result.format, 'TD1');
+  assert.equal(result.documentType, 'identity-card');
+  assert.equal(result.documentCode, 'I');
+  assert.equal(result.documentSubtype, null);
+  assert.deepEqual(result.issuingState, { code: 'BEL', alpha2: 'BE', alpha3: 'BEL', name: 'Belgium' });
+  assert.equal(result.nationality.alpha2, 'BE');
+  assert.equal(result.firstName, 'ANNA MARIA');
+  assert.equal(result.lastName, 'VAN DER BERG');
+  assert.equal(result.sex, 'female');
+  assert.equal(result.personalNumber, null);
+  assert.deepEqual(result.optionalData, []);
+  assert.equal(result.valid, true);
+  assert.equal(result.validity.documentNumberCheckDigit, true);
+  // the fields of the first versions are unchanged
+  assert.equal(result.number, 'D23145890');
+  assert.equal(result.name, 'ANNAMARIA');
+  assert.equal(result.surname, 'VANDERBERG');
+  assert.equal(result.birthDate, '1974-08-12');
+});
+
+test('the formatted result keeps the subtype, the personal number and the invalid fields', () => {
+  // the check digit of the document number is 6
+  const result = parseMrzText([
+    'PDD<<MUELLER<<HANS<<<<<<<<<<<<<<<<<<<<<<<<<<',
+    'L898902C37D<<7408122F1204159ZE184226B<<<<<10'
+  ], { referenceDate, correct: false, errors: 'throw' });
+
+  assert.equal(result.documentType, 'passport');
+  assert.equal(result.documentCode, 'P');
+  assert.equal(result.documentSubtype, 'D');
+  assert.deepEqual(result.issuingState, { code: 'D', alpha2: 'DE', alpha3: 'DEU', name: 'Germany' });
+  assert.equal(result.personalNumber, 'ZE184226B');
+  assert.equal(result.valid, false);
+  assert.equal(result.validity.documentNumberCheckDigit, false);
+  assert.equal(result.validity.birthDateCheckDigit, true);
+});
+
+test('compact keeps the shape of the first versions', () => {
+  const result = parseMrzText([
+    'P<BELERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<',
+    'L898902C36BEL7408122F1204159ZE184226B<<<<<10'
+  ], { referenceDate, compact: true, errors: 'throw' });
+  assert.deepEqual(Object.keys(result), ['number', 'validDate', 'birthDate', 'name', 'surname', 'warnings']);
+});
+
+test('describeState maps the ICAO codes to ISO 3166', () => {
+  assert.deepEqual(describeState('GBR'), { code: 'GBR', alpha2: 'GB', alpha3: 'GBR', name: 'United Kingdom of Great Britain and Northern Ireland' });
+  assert.equal(describeState('GBN').alpha2, 'GB');
+  assert.equal(describeState('RKS').alpha2, 'XK');
+  assert.deepEqual(describeState('XXA').alpha2, null);
+  assert.equal(describeState('XXA').alpha3, null);
+  assert.equal(describeState('UTO'), null);
+  assert.equal(describeState(null), null);
+});
@@ -0,0 +1,38 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const getMrz = require('../build/getMrz.js');
+const getLinesFromImage = require('../build/lib/getLinesFromImage.js');
+const groupRoisPerLine = require('../build/lib/groupRoisPerLine.js');
+const { LINES, listFixtures, loadImage } = require('./helpers');
+
+for (const fixture of listFixtures()) {
+  test(`getLinesFromImage splits the zone of ${fixture.name} in characters`, async () => {
+    const { image } = getMrz(await loadImage(fixture))[0].crop(false);
+    const { lines } = getLinesFromImage(image);
+
+    assert.equal(lines.length, LINES[fixture.format]);
+    assert.deepEqual(lines.map((line) => line.rois.length), fixture.mrz.map((line) => line.length));
+    for (const line of lines) {
+      const xs = line.rois.map((roi) => roi.minX);
+      assert.deepEqual(xs, xs.slice().sort((a, b) => a - b), 'characters are ordered left to right');
+    }
+  });
+}
+
+function roi(minX, minY) {
+  return { minX, minY, width: 8, height: 12 };
+}
+
+test('groupRoisPerLine groups the rois by height and sorts the lines top down', () => {
+  const lines = groupRoisPerLine([roi(0, 40), roi(0, 10), roi(10, 12), roi(10, 41), roi(20, 9)]);
+  assert.equal(lines.length, 2);
+  assert.deepEqual(lines[0].rois.map((r) => r.minX), [0, 10, 20]);
+  assert.deepEqual(lines[1].rois.map((r) => r.minX), [0, 10]);
+});
+
+test('groupRoisPerLine keeps the rois more than half a height apart on separate lines', () => {
+  const lines = groupRoisPerLine([roi(0, 0), roi(10, 7), roi(20, 14)]);
+  assert.equal(lines.length, 3);
+});
@@ -0,0 +1,58 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Image } = require('image-js');
+
+const getMrz = require('../build/getMrz.js');
+const { DetectionError } = require('../build/errors.js');
+const { listFixtures, loadImage } = require('./helpers');
+
+for (const fixture of listFixtures()) {
+  test(`getMrz finds the zone of ${fixture.name}`, async () => {
+    const image = await loadImage(fixture);
+    const regions = getMrz(image);
+    assert.ok(regions.length >= 1);
+
+    const { image: mrz, geometry } = regions[0].crop(false);
+    assert.equal(geometry.orientation, fixture.orientation);
+    // a zone is much wider than high once leveled
+    assert.ok(mrz.width > mrz.height * 5, `${mrz.width}x${mrz.height}`);
+    for (const { x, y } of geometry.quadrilateral) {
+      assert.ok(x >= -1 && x <= image.width + 1 && y >= -1 && y <= image.height + 1, `${x},${y} out of the image`);
+    }
+  });
+}
+
+test('getMrz reports the skew of a tilted zone', async () => {
+  const fixture = listFixtures().find(({ name }) => name === 'td3-skewed');
+  const { geometry } = getMrz(await loadImage(fixture))[0].crop(false);
+  // rendered 3° clockwise
+  assert.ok(Math.abs(geometry.skew + 3) < 0.5, `skew ${geometry.skew}`);
+});
+
+test('getMrz keeps at most maxCandidates regions', async () => {
+  const fixture = listFixtures().find(({ name }) => name === 'td3');
+  assert.equal(getMrz(await loadImage(fixture), { maxCandidates: 1 }).length, 1);
+});
+
+test('getMrz fails on a blank image', () => {
+  const blank = new Image(600, 400, new Uint8Array(600 * 400).fill(255), { kind: 'GREY' });
+  assert.throws(() => getMrz(blank), DetectionError);
+});
+
+test('getMrz turns the image when no region found upright can be cropped', async () => {
+  const fixture = listFixtures().find(({ name }) => name === 'td3-left');
+  const image = await loadImage(fixture);
+  // the region found upright is vertical, its crop turns the image right
+  const failing = Object.create(image);
+  failing.rotateRight = () => {
+    throw new Error('could not crop');
+  };
+  const regions = getMrz(failing);
+  const candidate = regions[0].crop(false);
+  assert.equal(candidate.geometry.orientation, fixture.orientation);
+  assert.ok(candidate.image.width > candidate.image.height * 5);
+  // the crop is done once
+  assert.equal(regions[0].crop(false), candidate);
+});
@@ -0,0 +1,41 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+
+const { Image } = require('image-js');
+
+const fixturesDir = path.join(__dirname, 'fixtures');
+
+const modelPaths = {
+  descriptors: path.join(__dirname, '../models/ESC-v2.svm.descriptors'),
+  model: path.join(__dirname, '../models/ESC-v2.svm.model')
+};
+
+// lines per document format
+const LINES = { TD1: 3, TD2: 2, TD3: 2, FRENCH_NATIONAL_ID: 2, SWISS_DRIVING_LICENSE: 3, MRV_A: 2, MRV_B: 2 };
+
+// the expectations of every fixture image, written by fixtures/generate.js
+function listFixtures() {
+  return fs
+    .readdirSync(fixturesDir)
+    .filter((file) => file.endsWith('.json'))
+    .sort()
+    .map((file) => {
+      const name = path.basename(file, '.json');
+      return Object.assign(
+        { name, file: path.join(fixturesDir, `${name}.png`) },
+        JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf8'))
+      );
+    });
+}
+
+function loadImage(fixture) {
+  return Image.load(fixture.file);
+}
+
+module.exports = {
+  modelPaths,
+  LINES,
+  listFixtures,
+  loadImage
+};
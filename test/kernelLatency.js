@@ -0,0 +1,77 @@
+'use strict';
+// Latency of a full TD3 scan with the kernel computed against the support vectors of the bundled model (the default,
+// it has fewer support vectors than pairs of classes), and with the linear kernel collapsed to a weight vector
+// per pair of classes: npm run bench [-- <scans>]
+const fs = require('fs');
+
+const detectAndParseMrz = require('../build/detect-and-parse.js');
+const mrzOcr = require('../build/internal/mrzOcr.js');
+const getMrz = require('../build/getMrz.js');
+const { loadModel, predictImagesWithScores } = require('../build/svm.js');
+const { collapseLinear } = require('../build/lib/svmScores.js');
+const { modelPaths, listFixtures, loadImage } = require('./helpers');
+
+const scans = Number(process.argv[2]) || 10;
+
+function summarize(durations) {
+  const sorted = durations.slice().sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  return { mean, p50: sorted[Math.floor(sorted.length / 2)], min: sorted[0] };
+}
+
+async function time(run) {
+  const start = process.hrtime.bigint();
+  const result = await run();
+  return { result, duration: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+async function main() {
+  const fixture = listFixtures().find(({ name }) => name === 'td3');
+  const buffer = fs.readFileSync(fixture.file);
+  const kernel = await loadModel(modelPaths);
+  const collapsed = Object.assign({}, kernel, { weights: collapseLinear(kernel.svmModel, kernel.supportVectors) });
+  const models = { kernel, collapsed };
+
+  // the crops of the characters, to time the prediction alone
+  const { image } = getMrz(await loadImage(fixture))[0].crop(false);
+  const { rois } = await mrzOcr(image, { model: kernel });
+  const images = rois.filter((roi) => roi.kind !== 'filler').map((roi) => roi.image);
+
+  const timings = { collapsed: { scan: [], predict: [] }, kernel: { scan: [], predict: [] } };
+  const readings = {};
+  // one warm up round, then the two models take turns
+  for (let round = 0; round <= scans; round++) {
+    for (const name of Object.keys(models)) {
+      const model = models[name];
+      const scan = await time(() => detectAndParseMrz(buffer, { model, original: true, errors: 'throw' }));
+      const predict = await time(() => predictImagesWithScores(images, { model }));
+      if (round === 0) {
+        readings[name] = { lines: scan.result.lines, predictions: predict.result };
+        continue;
+      }
+      timings[name].scan.push(scan.duration);
+      timings[name].predict.push(predict.duration);
+    }
+  }
+
+  const same = JSON.stringify(readings.collapsed.lines) === JSON.stringify(readings.kernel.lines);
+  const confidenceDelta = Math.max(...readings.collapsed.predictions.map((prediction, i) => {
+    return Math.abs(prediction.confidence - readings.kernel.predictions[i].confidence);
+  }));
+
+  console.log(`TD3 fixture, ${images.length} characters, ${kernel.supportVectors.length} support vectors, ` +
+    `${collapsed.weights.length} weight vectors, ${scans} scans per model\n`);
+  console.log('model       full scan (mean / p50 / min ms)    prediction (mean / p50 / min ms)');
+  for (const name of Object.keys(models)) {
+    const scan = summarize(timings[name].scan);
+    const predict = summarize(timings[name].predict);
+    const format = ({ mean, p50, min }) => `${mean.toFixed(1)} / ${p50.toFixed(1)} / ${min.toFixed(1)}`.padEnd(35);
+    console.log(`${name.padEnd(12)}${format(scan)}${format(predict)}`);
+  }
+  console.log(`\nsame text: ${same}, largest confidence difference: ${confidenceDelta.toExponential(1)}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,84 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { correct } = require('../build/mrz-correct.js');
+
+const td3 = [
+  'P<BELERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<',
+  'L898902C36BEL7408122F1204159ZE184226B<<<<<10'
+];
+
+function replaceAt(line, index, character) {
+  return line.slice(0, index) + character + line.slice(index + 1);
+}
+
+// the OCR candidates of confident readings, with those of `uncertain` at [line, column]
+function readings(lines, uncertain = []) {
+  const characters = lines.map((line) => Array.from(line, (symbol) => ({ symbol, confidence: 0.99, alternatives: [] })));
+  for (const [line, column, reading] of uncertain) {
+    characters[line][column] = reading;
+  }
+  return characters;
+}
+
+test('correct repairs the character the OCR hesitated on', () => {
+  // L898902C3 read as L89B902C3, L to I satisfies the check digit as well
+  const lines = [td3[0], replaceAt(td3[1], 3, 'B')];
+  const characters = readings(lines, [[1, 3, { symbol: 'B', confidence: 0.55, alternatives: [{ symbol: '8', score: 0.4 }] }]]);
+  const { lines: repaired, corrections } = correct(lines, { characters });
+  assert.deepEqual(repaired, td3);
+  assert.deepEqual(corrections, [{ line: 1, column: 3, from: 'B', to: '8', field: 'documentNumber' }]);
+});
+
+test('correct repairs the only confusion satisfying the check digit without candidates', () => {
+  const lines = [
+    'P<BELWHTP<<RSBXU<SEJURRSNG<<<<<<<<<<<<<<<<<<',
+    '09AF2YFXU8USA0701101<3401077C9F<<<<<<<<<<<60'
+  ];
+  const { lines: repaired, corrections } = correct(lines);
+  assert.equal(repaired[1][0], 'Q');
+  assert.deepEqual(corrections, [{ line: 1, column: 0, from: '0', to: 'Q', field: 'documentNumber' }]);
+});
+
+test('correct repairs the composite check digit', () => {
+  const lines = [td3[0], replaceAt(td3[1], 43, 'O')];
+  assert.deepEqual(correct(lines).lines, td3);
+
+  // any digit is tried when the OCR gave candidates and the fields vouch for every other character
+  const misread = [td3[0], replaceAt(td3[1], 43, '1')];
+  assert.deepEqual(correct(misread).lines, misread);
+  const characters = readings(misread, [[1, 43, { symbol: '1', confidence: 0.5, alternatives: [{ symbol: '7', score: 0.3 }] }]]);
+  assert.deepEqual(correct(misread, { characters }).lines, td3);
+});
+
+test('correct leaves the zone alone when the repairs are ambiguous', () => {
+  for (const line of [
+    // L to I or B to 8
+    replaceAt(td3[1], 3, 'B'),
+    // 8 to 3 or 3 to 8 when B and O are both misread
+    replaceAt(replaceAt(td3[1], 3, 'B'), 5, 'O'),
+    // Z to 2 or B to 8
+    replaceAt(td3[1], 31, 'B'),
+    // a wrong check digit
+    replaceAt(td3[1], 9, '7')
+  ]) {
+    const result = correct([td3[0], line]);
+    assert.deepEqual(result.lines, [td3[0], line], line);
+    assert.deepEqual(result.corrections, [], line);
+  }
+
+  // two candidates the OCR found about as likely
+  const lines = [td3[0], replaceAt(td3[1], 3, 'B')];
+  const characters = readings(lines, [
+    [1, 0, { symbol: 'L', confidence: 0.5, alternatives: [{ symbol: 'I', score: 0.45 }] }],
+    [1, 3, { symbol: 'B', confidence: 0.5, alternatives: [{ symbol: '8', score: 0.45 }] }]
+  ]);
+  assert.deepEqual(correct(lines, { characters }).corrections, []);
+});
+
+test('correct does not keep the field repairs the composite check digit refutes', () => {
+  // the check digit of 120415 read as 8 instead of 9, the repairs of the date break the composite check digit
+  const lines = [td3[0], replaceAt(td3[1], 27, '8')];
+  assert.deepEqual(correct(lines).corrections, []);
+});
@@ -0,0 +1,75 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveDates } = require('../build/mrz-dates.js');
+const { parseMrzText } = require('../build/parseMrzText.js');
+const { computeCheckDigit } = require('../build/mrz-correct.js');
+const { InvalidInputError } = require('../build/errors.js');
+
+const referenceDate = '2026-10-19';
+
+function resolve(birthDate, expirationDate, options = { referenceDate }) {
+  return resolveDates({ birthDate, expirationDate }, options);
+}
+
+test('birth dates are in the past of the reference date', () => {
+  assert.equal(resolve('520101', '300101').birthDate, '1952-01-01');
+  assert.equal(resolve('251231', '300101').birthDate, '2025-12-31');
+  assert.equal(resolve('261019', '300101').birthDate, '2026-10-19');
+  assert.equal(resolve('261020', '300101').birthDate, '1926-10-20');
+});
+
+test('expiration dates are within 50 years of the reference date and after the birth', () => {
+  assert.equal(resolve('520101', '600101').expirationDate, '2060-01-01');
+  assert.equal(resolve('520101', '991231').expirationDate, '1999-12-31');
+  assert.equal(resolve('520101', '760101').expirationDate, '2076-01-01');
+  assert.equal(resolve('520101', '770101').expirationDate, '1977-01-01');
+  // a date before the birth is a century later
+  assert.equal(resolve('800101', '770101').expirationDate, '2077-01-01');
+});
+
+test('the reference date can be moved', () => {
+  assert.equal(resolve('100101', '300101', { referenceDate: new Date('2005-01-01') }).birthDate, '1910-01-01');
+  assert.equal(resolve('100101', '300101', { referenceDate: Date.UTC(2015, 0, 1) }).birthDate, '2010-01-01');
+  assert.throws(() => resolve('100101', '300101', { referenceDate: 'yesterday' }), InvalidInputError);
+});
+
+test('unknown days and months give partial dates', () => {
+  assert.deepEqual(resolve('7408<<', '3012XX'), {
+    birthDate: '1974-08',
+    expirationDate: '2030-12',
+    warnings: []
+  });
+  assert.equal(resolve('74<<<<', '30XX15').birthDate, '1974');
+  assert.equal(resolve('74<<<<', '30XX15').expirationDate, '2030');
+});
+
+test('an invalid date is reported without dropping the other one', () => {
+  const { birthDate, expirationDate, warnings } = resolve('740230', '301231');
+  assert.equal(birthDate, null);
+  assert.equal(expirationDate, '2030-12-31');
+  assert.deepEqual(warnings.map(({ field, code }) => ({ field, code })), [{ field: 'birthDate', code: 'INVALID_DATE' }]);
+
+  assert.equal(resolve('741301', null).warnings.length, 2);
+  assert.equal(resolve('<<0101', '301231').birthDate, null);
+});
+
+test('the formatted result carries the resolved dates and their warnings', () => {
+  const line = (birth, expiration) =>
+    `L898902C36BEL${birth}${computeCheckDigit(birth)}F${expiration}${computeCheckDigit(expiration)}ZE184226B<<<<<10`;
+  const name = 'P<BELERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<';
+
+  const result = parseMrzText([name, line('520101', '600101')], { referenceDate, errors: 'throw' });
+  assert.equal(result.birthDate, '1952-01-01');
+  assert.equal(result.validDate, '2060-01-01');
+  assert.deepEqual(result.warnings, []);
+
+  const partial = parseMrzText([name, line('7408XX', '600101')], { referenceDate, errors: 'throw' });
+  assert.equal(partial.birthDate, '1974-08');
+
+  const invalid = parseMrzText([name, line('740230', '600101')], { referenceDate, errors: 'throw' });
+  assert.equal(invalid.birthDate, null);
+  assert.equal(invalid.number, 'L898902C3');
+  assert.equal(invalid.warnings[0].field, 'birthDate');
+});
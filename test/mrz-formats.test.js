@@ -0,0 +1,102 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parse, detectFormat, countZoneLines } = require('../build/mrz-formats.js');
+const { parseMrzText, normalizeLines } = require('../build/parseMrzText.js');
+
+const zones = {
+  TD1: ['I<UTOD231458907<<<<<<<<<<<<<<<', '7408122F1204159UTO<<<<<<<<<<<6', 'ERIKSSON<<ANNA<MARIA<<<<<<<<<<'],
+  TD2: ['I<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<', 'D231458907UTO7408122F1204159<<<<<<<6'],
+  TD3: ['P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<', 'L898902C36UTO7408122F1204159ZE184226B<<<<<10'],
+  FRENCH_NATIONAL_ID: ['IDFRATEST<NAME<<<<<<<<<<<<<<<<0CHE02', '1710GVA123451ROBERTA<<<<<<<9112311F2'],
+  SWISS_DRIVING_LICENSE: ['AAA001D<<', 'FACHE305142128097<<800126<<<<<', 'MARCHAND<<FABIENNE<<<<<<<<<<<<'],
+  MRV_A: ['V<BELERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<', 'L898902C<3BEL8503127F2901019AB12<<<<<<<<<<<<'],
+  MRV_B: ['VDBELERIKSSON<<ANNA<MARIA<<<<<<<<<<<', 'L8988901<2BEL8503127F2901019AB12<<<<']
+};
+
+test('detectFormat tells the formats apart by their lines', () => {
+  for (const format of Object.keys(zones)) {
+    assert.equal(detectFormat(zones[format]), format);
+  }
+  // a French card without administrative code
+  assert.equal(detectFormat(['IDFRATEST<NAME<<<<<<<<<<<<<<<<<<<<<<', zones.FRENCH_NATIONAL_ID[1]]), 'FRENCH_NATIONAL_ID');
+  assert.throws(() => detectFormat(zones.TD3.map((line) => line.slice(1))), /unrecognized document format: lines of 43\+43/);
+});
+
+test('parse reads the visas', () => {
+  const result = parse(zones.MRV_A);
+  assert.equal(result.format, 'MRV_A');
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.fields, {
+    documentCode: 'V',
+    issuingState: 'BEL',
+    lastName: 'ERIKSSON',
+    firstName: 'ANNA MARIA',
+    documentNumber: 'L898902C',
+    documentNumberCheckDigit: '3',
+    nationality: 'BEL',
+    birthDate: '850312',
+    birthDateCheckDigit: '7',
+    sex: 'female',
+    expirationDate: '290101',
+    expirationDateCheckDigit: '9',
+    optional: 'AB12'
+  });
+
+  const invalid = parse([zones.MRV_B[0], zones.MRV_B[1].replace('<2BEL', '<3BEL')]);
+  assert.equal(invalid.valid, false);
+  assert.deepEqual(invalid.details.filter((detail) => !detail.valid).map((detail) => detail.field), ['documentNumberCheckDigit']);
+});
+
+test('parse reports the layout of the format', () => {
+  const { layout } = parse(zones.MRV_B);
+  assert.equal(layout.format, 'MRV_B');
+  assert.deepEqual(layout.lengths, [36, 36]);
+  assert.deepEqual(layout.fields.find((field) => field.field === 'optional'), { field: 'optional', label: 'Optional data', line: 1, start: 28, end: 36 });
+  // the range of the definition, not the trimmed value
+  assert.deepEqual(parse(zones.TD3).layout.fields.find((field) => field.field === 'lastName'), {
+    field: 'lastName', label: 'Last name', line: 0, start: 5, end: 44
+  });
+});
+
+test('countZoneLines keeps the last lines matching a format', () => {
+  assert.equal(countZoneLines([12, 44, 44]), 2);
+  assert.equal(countZoneLines([30, 30, 30]), 3);
+  assert.equal(countZoneLines([20, 9, 30, 30]), 3);
+  assert.equal(countZoneLines([44, 43]), 0);
+});
+
+test('the formatted result of the other formats', () => {
+  const options = { referenceDate: '2024-01-01' };
+  const french = parseMrzText(zones.FRENCH_NATIONAL_ID, options);
+  assert.equal(french.documentType, 'identity-card');
+  assert.equal(french.validDate, null);
+  assert.equal(french.nationality, null);
+  // no warning about the missing expiration date
+  assert.deepEqual(french.warnings, []);
+
+  const licence = parseMrzText(zones.SWISS_DRIVING_LICENSE, options);
+  assert.equal(licence.documentType, 'driving-license');
+  assert.equal(licence.number, 'AAA001D');
+  assert.equal(licence.sex, null);
+  assert.equal(licence.issuingState.alpha2, 'CH');
+
+  const visa = parseMrzText(zones.MRV_B, options);
+  assert.equal(visa.documentType, 'visa');
+  assert.equal(visa.documentSubtype, 'D');
+  assert.equal(visa.validDate, '2029-01-01');
+  assert.deepEqual(visa.optionalData, ['AB12']);
+});
+
+test('the visas are relaxed and corrected like the other formats', () => {
+  const result = parseMrzText([zones.MRV_A[0], zones.MRV_A[1].replace('8503127', '85O3127')], { original: true });
+  assert.equal(result.valid, true);
+  assert.equal(result.lines[1], zones.MRV_A[1]);
+});
+
+test('normalizeLines splits every format given on a single line', () => {
+  for (const format of Object.keys(zones)) {
+    assert.deepEqual(normalizeLines(zones[format].join('')), zones[format]);
+  }
+});
@@ -0,0 +1,42 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const parse = require('../build/mrz-relax.js');
+
+const td3 = [
+  'P<BELERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<',
+  'L898902C36BEL7408122F1204159ZE184226B<<<<<10'
+];
+
+function replaceAt(line, index, character) {
+  return line.slice(0, index) + character + line.slice(index + 1);
+}
+
+test('mrz-relax leaves a valid zone untouched', () => {
+  const result = parse(td3);
+  assert.equal(result.modified, undefined);
+  assert.equal(result.fields.birthDate, '740812');
+});
+
+test('mrz-relax reads letters of a date as digits', () => {
+  // 740812 read as 74O8l2
+  const line = replaceAt(replaceAt(td3[1], 15, 'O'), 17, 'l');
+  const result = parse([td3[0], line]);
+  assert.deepEqual(result.modified, td3);
+  assert.equal(result.fields.birthDate, '740812');
+});
+
+test('mrz-relax reads digits of a name as letters', () => {
+  const line = replaceAt(td3[0], 9, '5');
+  const result = parse([line, td3[1]]);
+  assert.deepEqual(result.modified, td3);
+  assert.equal(result.fields.lastName, 'ERIKSSON');
+});
+
+test('mrz-relax does not touch the input lines', () => {
+  const lines = [td3[0], replaceAt(td3[1], 15, 'O')];
+  const copy = lines.slice();
+  parse(lines);
+  assert.deepEqual(lines, copy);
+});
@@ -0,0 +1,74 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseMrzText, normalizeLines } = require('../build/parseMrzText.js');
+const { InvalidInputError, ParseError } = require('../build/errors.js');
+const { listFixtures } = require('./helpers');
+
+const td3 = [
+  'P<BELERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<',
+  'L898902C36BEL7408122F1204159ZE184226B<<<<<10'
+];
+
+test('parseMrzText returns the formatted result of a scan', () => {
+  assert.deepEqual(parseMrzText(td3, { compact: true }), {
+    number: 'L898902C3',
+    validDate: '2012-04-15',
+    birthDate: '1974-08-12',
+    name: 'ANNAMARIA',
+    surname: 'ERIKSSON',
+    warnings: []
+  });
+});
+
+test('parseMrzText reads the fixtures like their scans', () => {
+  for (const fixture of listFixtures()) {
+    const result = parseMrzText(fixture.ocr, { original: true, errors: 'throw', correct: true });
+    assert.equal(result.valid, fixture.valid, fixture.name);
+    assert.equal(result.format, fixture.format, fixture.name);
+  }
+});
+
+test('normalizeLines cleans typed text', () => {
+  assert.deepEqual(normalizeLines(` p<bel ériksson<<anna«maria<<<<<<<<<<<<<<<<<<< \r\n${td3[1]}\n\n`), td3);
+  assert.deepEqual(normalizeLines(td3.join('')), td3);
+  assert.deepEqual(normalizeLines(td3.join('').slice(1)), [td3.join('').slice(1)]);
+});
+
+test('parseMrzText relaxes and corrects the text', () => {
+  const result = parseMrzText([td3[0], td3[1].replace('7408122', '74O8122')], { original: true });
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.corrections, [{ line: 1, column: 15, from: 'O', to: '0', field: 'birthDate' }]);
+});
+
+test('parseMrzText does not correct the text by default', () => {
+  // a wrong check digit of the document number
+  const typed = [td3[0], td3[1].replace('C36BEL', 'C37BEL')];
+  for (const options of [{}, { correct: true }]) {
+    const result = parseMrzText(typed, Object.assign({ original: true }, options));
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.lines, typed);
+    assert.deepEqual(result.corrections, []);
+  }
+
+  // Q read as 0, the only look-alike the check digit accepts
+  const ocr = [
+    'P<BELWHTP<<RSBXU<SEJURRSNG<<<<<<<<<<<<<<<<<<',
+    '09AF2YFXU8USA0701101<3401077C9F<<<<<<<<<<<60'
+  ];
+  assert.equal(parseMrzText(ocr, { original: true }).valid, false);
+  const corrected = parseMrzText(ocr, { original: true, correct: true });
+  assert.equal(corrected.valid, true);
+  assert.deepEqual(corrected.corrections, [{ line: 1, column: 0, from: '0', to: 'Q', field: 'documentNumber' }]);
+});
+
+test('parseMrzText applies the errors option', () => {
+  assert.throws(() => parseMrzText(42, { errors: 'throw' }), InvalidInputError);
+  assert.throws(() => parseMrzText('\n \n', { errors: 'throw' }), { code: 'INVALID_TEXT' });
+  assert.throws(() => parseMrzText('P<BEL', { errors: 'throw' }), ParseError);
+
+  const outcome = parseMrzText(td3, { errors: 'result' });
+  assert.equal(outcome.ok, true);
+  assert.equal(outcome.result.number, 'L898902C3');
+});
@@ -0,0 +1,132 @@
+'use strict';
+/* global AbortController */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { Worker } = require('worker_threads');
+
+const { MrzScannerPool, createPool } = require('../build/pool.js');
+const { AbortError, MrzError, TimeoutError } = require('../build/errors.js');
+const { modelPaths, listFixtures } = require('./helpers');
+
+const fixtures = listFixtures();
+const buffers = fixtures.slice(0, 3).map((fixture) => fs.readFileSync(fixture.file));
+
+// the pool with the messages posted to each worker
+class RecordingPool extends MrzScannerPool {
+  createWorker() {
+    const worker = super.createWorker();
+    const postMessage = worker.postMessage.bind(worker);
+    worker.postMessage = (message) => {
+      this.posted = (this.posted || []).concat({ threadId: worker.threadId, type: message.type });
+      postMessage(message);
+    };
+    return worker;
+  }
+}
+
+// workers that throw before they are ready, like a module that fails to load
+class BrokenPool extends MrzScannerPool {
+  createWorker() {
+    this.created = (this.created || 0) + 1;
+    return new Worker('throw new Error("broken worker")', { eval: true });
+  }
+}
+
+async function waitFor(condition, timeout = 10000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error('condition not met in time');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+test('the pool runs the queued scans in order', async () => {
+  const pool = createPool({ workers: 1, modelPaths, original: true, errors: 'throw' });
+  try {
+    const order = [];
+    const results = await Promise.all(buffers.map((buffer, index) => pool.scan(buffer).then((result) => {
+      order.push(index);
+      return result;
+    })));
+    assert.deepEqual(order, [0, 1, 2]);
+    results.forEach((result, index) => assert.deepEqual(result.lines, fixtures[index].mrz));
+  } finally {
+    await pool.destroy();
+  }
+});
+
+test('load sends one load job to every worker', async () => {
+  const pool = new RecordingPool({ workers: 2, modelPaths, errors: 'throw' });
+  try {
+    // the first worker is busy when the model is loaded
+    const scan = pool.scan(buffers[0]);
+    await pool.load();
+    await scan;
+    const loaded = pool.posted.filter(({ type }) => type === 'load').map(({ threadId }) => threadId);
+    assert.equal(loaded.length, 2);
+    assert.deepEqual(loaded.slice().sort(), pool.slots.map((slot) => slot.worker.threadId).sort());
+  } finally {
+    await pool.destroy();
+  }
+});
+
+test('an aborted scan is dropped from the queue or stops its worker', async () => {
+  const pool = createPool({ workers: 1, modelPaths, original: true, errors: 'throw' });
+  try {
+    const running = pool.scan(buffers[0]);
+    const controller = new AbortController();
+    const queued = pool.scan(buffers[1], { signal: controller.signal });
+    controller.abort();
+    await assert.rejects(queued, AbortError);
+    assert.deepEqual((await running).lines, fixtures[0].mrz);
+
+    const worker = pool.slots[0].worker;
+    const again = new AbortController();
+    const aborted = pool.scan(buffers[1], { signal: again.signal });
+    setTimeout(() => again.abort(), 50);
+    await assert.rejects(aborted, { code: 'ABORTED' });
+    assert.notEqual(pool.slots[0].worker, worker);
+    assert.deepEqual((await pool.scan(buffers[2])).lines, fixtures[2].mrz);
+  } finally {
+    await pool.destroy();
+  }
+});
+
+test('a scan that times out is replaced by a new worker', async () => {
+  const pool = createPool({ workers: 1, modelPaths, original: true, errors: 'throw' });
+  try {
+    const worker = pool.slots[0].worker;
+    await assert.rejects(pool.scan(buffers[0], { timeout: 1 }), TimeoutError);
+    assert.notEqual(pool.slots[0].worker, worker);
+    assert.deepEqual((await pool.scan(buffers[0])).lines, fixtures[0].mrz);
+  } finally {
+    await pool.destroy();
+  }
+});
+
+test('destroy rejects the running and the queued scans', async () => {
+  const pool = createPool({ workers: 1, modelPaths, errors: 'throw' });
+  const scans = buffers.map((buffer) => assert.rejects(pool.scan(buffer), AbortError));
+  await pool.destroy();
+  await Promise.all(scans);
+  assert.equal(pool.size, 0);
+  await assert.rejects(pool.scan(buffers[0], { errors: 'throw' }), { code: 'ABORTED' });
+});
+
+test('the pool stops starting workers that crash before they are ready', async () => {
+  const pool = new BrokenPool({ workers: 2, errors: 'throw' });
+  try {
+    await assert.rejects(pool.scan(buffers[0]), (error) => {
+      assert.ok(error instanceof MrzError);
+      assert.equal(error.code, 'WORKER_CRASHED');
+      return true;
+    });
+    await waitFor(() => pool.size === 0);
+    // the two first workers and one replacement per crash, up to three crashes in a row
+    assert.equal(pool.created, 4);
+    await assert.rejects(pool.scan(buffers[0]), /crashed 3 times before starting: broken worker/);
+  } finally {
+    await pool.destroy();
+  }
+});
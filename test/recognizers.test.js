@@ -0,0 +1,96 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createFingerprintRecognizer, resolveRecognizer } = require('../build/recognizers.js');
+const { createScanner } = require('../build/scanner.js');
+const { createPool } = require('../build/pool.js');
+const detectAndParseMrz = require('../build/detect-and-parse.js');
+const { InvalidInputError, ModelLoadError, OcrError } = require('../build/errors.js');
+const { listFixtures } = require('./helpers');
+
+const missingModel = { descriptors: '/missing/descriptors', model: '/missing/model' };
+
+function readFixture(name) {
+  const fixture = listFixtures().find((candidate) => candidate.name === name);
+  return { fixture, buffer: fs.readFileSync(fixture.file) };
+}
+
+test('resolveRecognizer picks the built-in recognizer of the method', () => {
+  assert.equal(resolveRecognizer({}).name, 'svm');
+  assert.equal(resolveRecognizer({ method: 'fingerprint' }).name, 'fingerprint');
+  const recognizer = { recognize: () => [] };
+  assert.equal(resolveRecognizer({ recognizer, method: 'fingerprint' }), recognizer);
+  assert.throws(() => resolveRecognizer({ recognizer: {} }), { code: 'INVALID_OPTION' });
+  assert.throws(() => resolveRecognizer({ recognizer: { input: 'words', recognize: () => [] } }), InvalidInputError);
+  assert.throws(() => resolveRecognizer({ recognizer: '/missing/recognizer.js' }), { code: 'RECOGNIZER_LOAD_FAILED' });
+});
+
+test('a recognizer of characters replaces the svm', async () => {
+  const fingerprints = createFingerprintRecognizer();
+  const calls = [];
+  const recognizer = {
+    name: 'wrapped',
+    async recognize(images, context) {
+      calls.push({ count: images.length, topN: context.topN, rois: context.rois.length });
+      return fingerprints.recognize(images, context);
+    }
+  };
+  const { fixture, buffer } = readFixture('td3');
+  // the model files are not needed
+  const scanner = createScanner({ modelPaths: missingModel });
+  const result = await scanner.scan(buffer, { original: true, errors: 'throw', recognizer, topN: 2 });
+  assert.deepEqual(result.lines, fixture.mrz);
+  assert.equal(result.valid, true);
+  assert.deepEqual(calls, [{ count: 88, topN: 2, rois: 88 }]);
+});
+
+test('a recognizer of lines gets one image per line', async () => {
+  const { fixture, buffer } = readFixture('td1');
+  const seen = [];
+  const recognizer = {
+    input: 'lines',
+    recognize(images, { lengths }) {
+      seen.push(...images.map((image) => [image.width > image.height * 10, lengths]));
+      // reads what the fixture holds, without alternatives
+      return fixture.mrz.map((line) => Array.from(line, (symbol) => ({ symbol, confidence: 0.9 })));
+    }
+  };
+  const result = await detectAndParseMrz(buffer, { original: true, errors: 'throw', recognizer });
+  assert.deepEqual(result.lines, fixture.mrz);
+  assert.ok(Math.abs(result.confidence.value - 0.9) < 1e-9);
+  assert.deepEqual(result.confidence.characters[0][0], { symbol: fixture.mrz[0][0], confidence: 0.9, alternatives: [] });
+  assert.deepEqual(seen, [[true, [30, 30, 30]], [true, [30, 30, 30]], [true, [30, 30, 30]]]);
+});
+
+test('the readings of a recognizer are checked', async () => {
+  const { buffer } = readFixture('td3');
+  const short = { name: 'short', recognize: (images) => images.slice(1).map(() => ({ symbol: '<', confidence: 1 })) };
+  await assert.rejects(detectAndParseMrz(buffer, { errors: 'throw', recognizer: short }), (error) => {
+    assert.ok(error instanceof OcrError);
+    assert.equal(error.code, 'INVALID_RECOGNITION');
+    assert.match(error.message, /recognizer short returned 87 readings for 88 images/);
+    return true;
+  });
+  const words = { input: 'lines', recognize: (images) => images.map(() => [{ symbol: 'PASS', confidence: 1 }]) };
+  await assert.rejects(detectAndParseMrz(buffer, { errors: 'throw', recognizer: words }), { code: 'INVALID_RECOGNITION' });
+  await assert.rejects(detectAndParseMrz(buffer, { errors: 'throw', recognizer: '/missing/recognizer.js' }), ModelLoadError);
+});
+
+test('the recognizer is given to the workers as a module path', async () => {
+  const file = path.join(os.tmpdir(), `mrz-recognizer-${process.pid}.js`);
+  fs.writeFileSync(file, `module.exports = require(${JSON.stringify(path.join(__dirname, '../build/recognizers.js'))}).createFingerprintRecognizer();\n`);
+  const pool = createPool({ workers: 1, modelPaths: missingModel });
+  try {
+    const { fixture, buffer } = readFixture('td2');
+    const result = await pool.scan(buffer, { original: true, errors: 'throw', recognizer: file });
+    assert.deepEqual(result.lines, fixture.mrz);
+    await assert.rejects(pool.scan(buffer, { errors: 'throw', recognizer: createFingerprintRecognizer() }), { code: 'INVALID_OPTION' });
+  } finally {
+    await pool.destroy();
+    fs.unlinkSync(file);
+  }
+});
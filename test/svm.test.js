@@ -0,0 +1,165 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { Image } = require('image-js');
+
+const getMrz = require('../build/getMrz.js');
+const mrzOcr = require('../build/internal/mrzOcr.js');
+const { generateDataset } = require('../build/synthetic.js');
+const { collapseLinear } = require('../build/lib/svmScores.js');
+const {
+  applyModel,
+  extractHOG,
+  loadData,
+  loadModel,
+  train,
+  predict,
+  saveModel,
+  createModel,
+  predictImages,
+  predictImagesWithScores,
+  getFilePath,
+  getModelSource,
+  setModel
+} = require('../build/svm.js');
+const { modelPaths, listFixtures, loadImage } = require('./helpers');
+
+test('extractHOG describes every character with the same number of features', async () => {
+  const fixture = listFixtures().find(({ name }) => name === 'td3');
+  const { image } = getMrz(await loadImage(fixture))[0].crop(false);
+  const { rois } = await mrzOcr(image, { model: await loadModel(modelPaths) });
+  const lengths = new Set(rois.slice(0, 10).map((roi) => extractHOG(roi.image).length));
+  assert.equal(lengths.size, 1);
+});
+
+test('the bundled model reads the fixtures as recorded', async (t) => {
+  const model = await loadModel(modelPaths);
+  for (const fixture of listFixtures()) {
+    await t.test(fixture.name, async () => {
+      const { image } = getMrz(await loadImage(fixture))[0].crop(false);
+      const { ocrResult, confidence } = await mrzOcr(image, { model });
+      assert.deepEqual(ocrResult, fixture.ocr);
+      assert.ok(confidence.value > 0 && confidence.value <= 1);
+    });
+  }
+});
+
+test('a trained model survives saveModel and loadModel', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mrz-scan-svm-'));
+  try {
+    await generateDataset({ output: path.join(directory, 'data'), count: 2, formats: ['TD3'], augment: false });
+    const letters = await loadData(path.join(directory, 'data'));
+    const trained = await train(letters);
+    const paths = { descriptors: path.join(directory, 'model.descriptors'), model: path.join(directory, 'model.svm') };
+    await saveModel(trained, undefined, paths);
+
+    const images = letters.slice(0, 20).map((letter) => letter.image);
+    const predicted = await predictImages(images, await loadModel(paths));
+    assert.deepEqual(predicted, letters.slice(0, 20).map((letter) => letter.label));
+
+    const manifestPath = path.join(directory, 'model.svm.manifest.json');
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    assert.equal(manifest.name, 'model');
+    assert.equal(manifest.descriptorLength, 145);
+    assert.equal(manifest.alphabet, '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ<');
+    assert.deepEqual(manifest.kernel, { type: 'linear' });
+    assert.equal(manifest.metrics, null);
+
+    // trained on other features
+    fs.writeFileSync(manifestPath, JSON.stringify(Object.assign({}, manifest, { features: Object.assign({}, manifest.features, { pad: 4 }) })));
+    await assert.rejects(loadModel(paths), { code: 'MODEL_MISMATCH' });
+    // a file changed after the training
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+    fs.appendFileSync(paths.model, '\n');
+    await assert.rejects(loadModel(paths), { code: 'MODEL_CORRUPTED' });
+    // a model older than the manifests
+    fs.unlinkSync(manifestPath);
+    assert.equal((await loadModel(paths)).manifest, null);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('the linear kernel is collapsed to weights only when there are fewer pairs than support vectors', async () => {
+  // 666 pairs of classes for 620 support vectors
+  const model = await loadModel(modelPaths);
+  assert.equal(model.weights, null);
+  const collapsed = Object.assign({}, model, { weights: collapseLinear(model.svmModel, model.supportVectors) });
+  assert.equal(collapsed.weights.length, (model.svmModel.labels.length * (model.svmModel.labels.length - 1)) / 2);
+  const fixture = listFixtures().find(({ name }) => name === 'td1');
+  const { image } = getMrz(await loadImage(fixture))[0].crop(false);
+  const images = (await mrzOcr(image, { model })).rois.map((roi) => roi.image);
+
+  const scores = await predictImagesWithScores(images, { model: collapsed });
+  const expected = await predictImagesWithScores(images, { model });
+  assert.deepEqual(scores.map(({ label }) => label), expected.map(({ label }) => label));
+  scores.forEach(({ confidence }, i) => assert.ok(Math.abs(confidence - expected[i].confidence) < 1e-9));
+  assert.deepEqual(await predictImages(images, collapsed), await predictImages(images, model));
+
+  // both vote as libsvm with the kernel against every training descriptor
+  const Xtest = model.Xtrain.filter((x, i) => i % 5 === 0).map((x) => x.map((value, j) => value + ((j % 3) - 1) * 0.05));
+  const libsvm = predict(model.classifier, model.Xtrain, Xtest, model.kernelOptions);
+  assert.deepEqual(await applyModel(Xtest, model), libsvm);
+  assert.deepEqual(await applyModel(Xtest, collapsed), libsvm);
+});
+
+test('a linear model with more support vectors than pairs of classes is collapsed', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mrz-scan-svm-'));
+  try {
+    await generateDataset({ output: path.join(directory, 'data'), count: 2, formats: ['TD3'], augment: false });
+    // the two most frequent symbols
+    const letters = await loadData(path.join(directory, 'data'));
+    const counts = new Map();
+    for (const { label } of letters) counts.set(label, (counts.get(label) || 0) + 1);
+    const [first, second] = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a));
+    const pair = letters.filter(({ label }) => label === first || label === second);
+    const paths = { descriptors: path.join(directory, 'pair.descriptors'), model: path.join(directory, 'pair.svm') };
+    await saveModel(await train(pair), undefined, paths);
+
+    const model = await loadModel(paths);
+    assert.ok(model.supportVectors.length > 1);
+    assert.equal(model.weights.length, 1);
+    const Xtest = model.Xtrain;
+    assert.deepEqual(await applyModel(Xtest, model), predict(model.classifier, model.Xtrain, Xtest, model.kernelOptions));
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('the model shipped with the package is the last resort', async () => {
+  assert.deepEqual(getFilePath(), modelPaths);
+  const model = await loadModel();
+  assert.equal(model.manifest.name, 'ESC-v2');
+  // descriptors of other features
+  await assert.rejects(predictImagesWithScores([new Image(12, 16, { kind: 'GREY' })], { model: Object.assign({}, model, { Xtrain: [[0, 1]] }) }), { code: 'MODEL_MISMATCH' });
+  assert.deepEqual(getModelSource(), modelPaths);
+  // it is not overwritten by a training without paths
+  await assert.rejects(createModel([], 'mrz'), { code: 'MODEL_WRITE_FAILED' });
+});
+
+test('setModel loads the model from memory', async () => {
+  const contents = {
+    descriptors: fs.readFileSync(modelPaths.descriptors),
+    model: fs.readFileSync(modelPaths.model, 'utf8'),
+    manifest: fs.readFileSync(modelPaths.model.replace(/\.model$/, '.manifest.json'))
+  };
+  const fixture = listFixtures().find(({ name }) => name === 'td1');
+  const { image } = getMrz(await loadImage(fixture))[0].crop(false);
+  setModel(contents);
+  try {
+    assert.equal(getModelSource(), contents);
+    const { ocrResult } = await mrzOcr(image, { model: await loadModel() });
+    assert.deepEqual(ocrResult, fixture.ocr);
+    assert.throws(() => setModel({ descriptors: modelPaths.descriptors, model: modelPaths.model }), { code: 'INVALID_OPTION' });
+
+    setModel({ descriptors: contents.descriptors, model: 'not a model' });
+    await assert.rejects(loadModel(), /the model given to setModel/);
+  } finally {
+    setModel(null);
+  }
+  assert.deepEqual(getModelSource(), modelPaths);
+});
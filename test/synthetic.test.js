@@ -0,0 +1,77 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { generateDataset } = require('../build/synthetic.js');
+const generateCli = require('../build/cli/generate.js');
+const { parse } = require('../build/mrz-formats.js');
+
+let directory;
+
+test.before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mrz-scan-synthetic-'));
+});
+
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+function readMetadata(file) {
+  return JSON.parse(fs.readFileSync(file.replace(/\.png$/, '.json'), 'utf8'));
+}
+
+test('generateDataset writes one labelled crop per character of each MRZ', async () => {
+  const output = path.join(directory, 'characters');
+  const { directory: written, files } = await generateDataset({ output, count: 3, formats: ['TD1', 'TD3'], augment: false });
+  assert.equal(written, output);
+
+  const cards = fs.readdirSync(output).sort();
+  assert.deepEqual(cards, ['0', '1', '2']);
+  for (const card of cards) {
+    const crops = files.filter((file) => path.dirname(file) === path.join(output, card));
+    const metadata = crops.map(readMetadata);
+    // 3 lines of 30 characters or 2 lines of 44
+    assert.ok(crops.length === 90 || crops.length === 88, `${card}: ${crops.length}`);
+    // every image next to its ground truth
+    assert.equal(fs.readdirSync(path.join(output, card)).length, crops.length * 2);
+    for (const { label, symbol, card: name, line, column } of metadata) {
+      assert.equal(label, symbol.charCodeAt(0));
+      assert.equal(name, card);
+      assert.ok(Number.isInteger(line) && Number.isInteger(column));
+    }
+  }
+});
+
+test('generateDataset writes documents next to their valid MRZ', async () => {
+  const output = path.join(directory, 'documents');
+  const { files } = await generateDataset({ output, count: 2, kind: 'documents', formats: ['TD2'], seed: 7 });
+  assert.deepEqual(files, [path.join(output, '0.png'), path.join(output, '1.png')]);
+  assert.deepEqual(fs.readdirSync(output).sort(), ['0.json', '0.png', '1.json', '1.png']);
+  for (const file of files) {
+    const { format, mrz } = readMetadata(file);
+    assert.equal(format, 'TD2');
+    const parsed = parse(mrz);
+    assert.equal(parsed.format, 'TD2');
+    assert.equal(parsed.valid, true);
+  }
+
+  // the same seed draws the same MRZs
+  const again = await generateDataset({ output: path.join(directory, 'again'), count: 2, kind: 'documents', formats: ['TD2'], seed: 7 });
+  assert.deepEqual(again.files.map((file) => readMetadata(file).mrz), files.map((file) => readMetadata(file).mrz));
+
+  await assert.rejects(generateDataset({ output, count: 0 }), { code: 'INVALID_OPTION' });
+});
+
+test('mrz-scan generate reports the written images', async () => {
+  let stdout = '';
+  let stderr = '';
+  const io = { stdout: { write: (chunk) => (stdout += chunk) }, stderr: { write: (chunk) => (stderr += chunk) } };
+  const output = path.join(directory, 'cli');
+  assert.equal(await generateCli(['-o', output, '-k', 'documents', '-c', '1', '--clean'], io), 0);
+  assert.equal(stdout, `1 images written to ${output}\n`);
+  assert.ok(fs.existsSync(path.join(output, '0.json')));
+
+  assert.equal(await generateCli(['-o', output, '--clean', '--augment', '{}'], io), 2);
+  assert.match(stderr, /--clean and --augment are exclusive/);
+});
@@ -0,0 +1,104 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SVM = require('libsvm-js/asm');
+
+const { trainModel } = require('../build/train.js');
+const trainCli = require('../build/cli/train.js');
+const { generateDataset } = require('../build/synthetic.js');
+const { applyModel, loadData, loadModel, predict, predictImages } = require('../build/svm.js');
+
+let directory;
+let data;
+
+test.before(async () => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mrz-scan-train-'));
+  data = path.join(directory, 'data');
+  await generateDataset({ output: data, count: 2, formats: ['TD3'], augment: false });
+});
+
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+test('trainModel keeps a share of each class aside and writes a model that reloads', async () => {
+  const letters = await loadData(data);
+  const totals = new Map();
+  for (const { label } of letters) totals.set(label, (totals.get(label) || 0) + 1);
+
+  const output = path.join(directory, 'model');
+  const report = await trainModel({ data, output, name: 'tiny', validation: 0.25, seed: 3 });
+
+  // every class keeps at least one training sample
+  const kept = new Map(Array.from(totals, ([label, total]) => [label, Math.min(total - 1, Math.round(total * 0.25))]));
+  const validation = Array.from(kept.values()).reduce((sum, count) => sum + count, 0);
+  assert.equal(report.validation, validation);
+  assert.equal(report.train, letters.length - validation);
+
+  const labels = Array.from(totals.keys()).sort((a, b) => a - b);
+  assert.deepEqual(report.confusion.labels, labels.map((label) => String.fromCharCode(label)));
+  assert.deepEqual(report.classes.map(({ label, total }) => [label, total]), labels.map((label) => [label, kept.get(label)]));
+  report.confusion.matrix.forEach((row, i) => {
+    assert.equal(row.length, labels.length);
+    assert.equal(row.reduce((sum, count) => sum + count, 0), report.classes[i].total);
+    assert.equal(row[i], report.classes[i].correct);
+  });
+  const correct = report.classes.reduce((sum, { correct: count }) => sum + count, 0);
+  assert.equal(report.accuracy, correct / validation);
+
+  assert.deepEqual(report.paths, {
+    descriptors: path.join(output, 'tiny.svm.descriptors'),
+    model: path.join(output, 'tiny.svm.model'),
+    manifest: path.join(output, 'tiny.svm.manifest.json')
+  });
+  const manifest = JSON.parse(fs.readFileSync(report.paths.manifest, 'utf8'));
+  assert.deepEqual(manifest.metrics, { train: report.train, validation, seed: 3, accuracy: report.accuracy });
+
+  const model = await loadModel(report.paths);
+  assert.equal(model.manifest.name, 'tiny');
+  const images = letters.slice(0, 20).map((letter) => letter.image);
+  assert.deepEqual(await predictImages(images, model), letters.slice(0, 20).map((letter) => letter.label));
+
+  // the same seed gives the same split
+  const again = await trainModel({ data, output, name: 'tiny', validation: 0.25, seed: 3 });
+  assert.deepEqual(again.confusion, report.confusion);
+});
+
+test('trainModel without validation reports no accuracy', async () => {
+  const report = await trainModel({ data, output: path.join(directory, 'all'), validation: 0 });
+  assert.equal(report.validation, 0);
+  assert.equal(report.accuracy, null);
+  assert.equal(JSON.parse(fs.readFileSync(report.paths.manifest, 'utf8')).metrics.accuracy, null);
+  await assert.rejects(trainModel({ data, output: directory, validation: 1 }), { code: 'INVALID_OPTION' });
+});
+
+test('trainModel writes a nu-SVC model that reloads and refuses the types loadModel cannot read', async () => {
+  const output = path.join(directory, 'nu');
+  const report = await trainModel({ data, output, validation: 0, svm: { type: SVM.SVM_TYPES.NU_SVC, nu: 0.1 } });
+  assert.match(fs.readFileSync(report.paths.model, 'utf8'), /^svm_type nu_svc\n/);
+  const model = await loadModel(report.paths);
+  // the decision values read from the model vote as libsvm
+  const libsvm = predict(model.classifier, model.Xtrain, model.Xtrain, model.kernelOptions);
+  assert.deepEqual(await applyModel(model.Xtrain, model), libsvm);
+
+  for (const type of [SVM.SVM_TYPES.ONE_CLASS, SVM.SVM_TYPES.EPSILON_SVR, SVM.SVM_TYPES.NU_SVR]) {
+    await assert.rejects(trainModel({ data, output, svm: { type } }), { name: 'InvalidInputError', code: 'INVALID_OPTION' });
+  }
+});
+
+test('mrz-scan train prints the report as json', async () => {
+  let stdout = '';
+  let stderr = '';
+  const io = { stdout: { write: (chunk) => (stdout += chunk) }, stderr: { write: (chunk) => (stderr += chunk) } };
+  const output = path.join(directory, 'cli');
+  assert.equal(await trainCli(['--output', output, '--validation', '0.25', '--seed', '3', '-f', 'json', data], io), 0);
+  assert.equal(stderr, '');
+  const report = JSON.parse(stdout);
+  assert.equal(report.paths.model, path.join(output, 'ESC-v2.svm.model'));
+  assert.ok(fs.existsSync(report.paths.model));
+
+  assert.equal(await trainCli(['--validation', 'most', '--output', output, data], io), 2);
+  assert.match(stderr, /--validation expects a number/);
+});
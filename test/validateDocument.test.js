@@ -0,0 +1,90 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const { validateDocument } = require('../build/validateDocument.js');
+const { parseMrzText } = require('../build/parseMrzText.js');
+const { createScanner } = require('../build/scanner.js');
+const { InvalidInputError } = require('../build/errors.js');
+const { modelPaths, listFixtures } = require('./helpers');
+
+const document = {
+  validDate: '2030-06-15',
+  birthDate: '2008-11-02',
+  documentType: 'passport',
+  documentCode: 'P',
+  documentSubtype: null,
+  issuingState: { code: 'BEL', alpha2: 'BE', alpha3: 'BEL', name: 'Belgium' }
+};
+
+function outcome(validation, rule) {
+  return validation.rules.find((entry) => entry.rule === rule).passed;
+}
+
+test('expiration rules', () => {
+  const validation = validateDocument(document, { notExpired: true, expiringWithinDays: 30 }, { referenceDate: '2030-06-01' });
+  assert.equal(outcome(validation, 'notExpired'), true);
+  assert.equal(outcome(validation, 'expiringWithinDays'), false);
+  assert.equal(validation.valid, false);
+
+  assert.equal(outcome(validateDocument(document, { notExpired: true }, { referenceDate: '2030-06-15' }), 'notExpired'), true);
+  assert.equal(outcome(validateDocument(document, { notExpired: true }, { referenceDate: '2030-06-16' }), 'notExpired'), false);
+});
+
+test('age rules', () => {
+  const rules = { minAge: 18, maxAge: 65 };
+  assert.equal(outcome(validateDocument(document, rules, { referenceDate: '2026-11-01' }), 'minAge'), false);
+  assert.equal(outcome(validateDocument(document, rules, { referenceDate: '2026-11-02' }), 'minAge'), true);
+  assert.equal(validateDocument(document, rules, { referenceDate: '2026-11-02' }).valid, true);
+  assert.equal(outcome(validateDocument(document, rules, { referenceDate: '2074-11-02' }), 'maxAge'), false);
+});
+
+test('partial and unreadable dates leave the rule undecided', () => {
+  const partial = Object.assign({}, document, { birthDate: '2008' });
+  assert.equal(outcome(validateDocument(partial, { minAge: 18 }, { referenceDate: '2026-06-01' }), 'minAge'), null);
+  assert.equal(outcome(validateDocument(partial, { minAge: 18 }, { referenceDate: '2027-01-01' }), 'minAge'), true);
+
+  const unreadable = Object.assign({}, document, { validDate: null });
+  const validation = validateDocument(unreadable, { notExpired: true }, { referenceDate: '2026-06-01' });
+  assert.equal(outcome(validation, 'notExpired'), null);
+  assert.equal(validation.valid, false);
+});
+
+test('validity length, issuing states and document codes', () => {
+  const options = { referenceDate: '2020-01-01' };
+  assert.equal(outcome(validateDocument(document, { maxValidityYears: 10 }, options), 'maxValidityYears'), false);
+  assert.equal(outcome(validateDocument(document, { maxValidityYears: { passport: 11 } }, options), 'maxValidityYears'), true);
+  // other document types are not checked
+  assert.deepEqual(validateDocument(document, { maxValidityYears: { visa: 1 } }, options).rules, []);
+
+  assert.equal(outcome(validateDocument(document, { issuingStates: ['be'] }, options), 'issuingStates'), true);
+  assert.equal(outcome(validateDocument(document, { issuingStates: ['FRA', 'DE'] }, options), 'issuingStates'), false);
+  assert.equal(outcome(validateDocument(document, { documentCodes: ['P'] }, options), 'documentCodes'), true);
+  assert.equal(outcome(validateDocument(document, { documentCodes: ['PD'] }, options), 'documentCodes'), false);
+});
+
+test('invalid rules are rejected', () => {
+  assert.throws(() => validateDocument(document, { minAgee: 18 }), InvalidInputError);
+  assert.throws(() => validateDocument(document, { minAge: '18' }), { code: 'INVALID_OPTION' });
+  assert.throws(() => parseMrzText('P<BEL', { rules: { issuingStates: 'BEL' }, errors: 'throw' }), { code: 'INVALID_OPTION' });
+});
+
+test('the scan returns the outcomes with the result', async () => {
+  const scanner = createScanner({ modelPaths });
+  try {
+    const fixture = listFixtures().find(({ name }) => name === 'td3');
+    const rules = { notExpired: true, minAge: 18, issuingStates: ['BEL'] };
+    const result = await scanner.scan(fs.readFileSync(fixture.file), { rules, referenceDate: '2030-01-01', errors: 'throw' });
+    assert.deepEqual(result.validation.rules.map(({ rule, passed }) => [rule, passed]), [
+      ['notExpired', true],
+      ['minAge', true],
+      ['issuingStates', true]
+    ]);
+
+    const original = await scanner.scan(fs.readFileSync(fixture.file), { rules, referenceDate: '2040-01-01', original: true, errors: 'throw' });
+    assert.equal(original.validation.valid, false);
+  } finally {
+    await scanner.destroy();
+  }
+});